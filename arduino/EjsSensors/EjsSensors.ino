@@ -4,6 +4,7 @@
 #include <TinyGPS++.h>
 #include <OneWire.h>
 #include <DallasTemperature.h>
+#include <ArduinoJson.h>
 
 // Wi-Fi credentials
 const char* ssid = "MAPs";
@@ -13,6 +14,11 @@ const char* password = "12345678";
 WebSocketsClient webSocket;
 const char* webSocketServer = "192.168.0.252";  // Node.js server IP
 const uint16_t webSocketPort = 3000;
+const char* deviceToken = "change-me";  // API key issued by POST /api/devices
+const char* firmwareVersion = "1.2.0";
+
+// Telemetry interval, changed by the set_interval command
+unsigned long sendIntervalMs = 500;
 
 // GPS
 SoftwareSerial gpsSerial(D4, D3);  // RX, TX for GPS module
@@ -43,7 +49,10 @@ void setup() {
   }
   Serial.println("Connected to WiFi");
 
-  // Connect to WebSocket server
+  // Connect to WebSocket server, authenticating with the device API key
+  static String extraHeaders = String("Authorization: Bearer ") + deviceToken +
+                               "\r\nX-Firmware-Version: " + firmwareVersion;
+  webSocket.setExtraHeaders(extraHeaders.c_str());
   webSocket.begin(webSocketServer, webSocketPort, "/");
   webSocket.onEvent(webSocketEvent);
 
@@ -59,9 +68,9 @@ void loop() {
     gps.encode(gpsSerial.read());
   }
 
-  // Send data every 500 milliseconds
+  // Send data every sendIntervalMs milliseconds
   static unsigned long lastSendTime = 0;
-  if (millis() - lastSendTime > 500) {
+  if (millis() - lastSendTime > sendIntervalMs) {
     lastSendTime = millis();
     sendSensorData();
   }
@@ -100,6 +109,64 @@ void sendSensorData() {
   }
 }
 
+// Answer a command: {"type":"ack","id":"<commandId>","payload":{"status":"ok",...}}
+void sendAck(const char* id, JsonDocument& payload) {
+  JsonDocument ack;
+  ack["type"] = "ack";
+  ack["id"] = id;
+  ack["payload"] = payload;
+
+  String message;
+  serializeJson(ack, message);
+  webSocket.sendTXT(message);
+  Serial.println("Ack sent: " + message);
+}
+
+// Run a command from the server:
+// {"type":"command","id":"<commandId>","payload":{"name":"set_interval","args":{"intervalMs":2000}}}
+void handleCommand(uint8_t* payload, size_t length) {
+  JsonDocument message;
+  if (deserializeJson(message, payload, length) || message["type"] != "command") {
+    return;
+  }
+
+  const char* id = message["id"] | "";
+  const char* name = message["payload"]["name"] | "";
+  JsonObject args = message["payload"]["args"];
+
+  JsonDocument result;
+  result["status"] = "ok";
+
+  if (strcmp(name, "set_interval") == 0) {
+    unsigned long intervalMs = args["intervalMs"] | 0UL;
+    if (intervalMs < 200) {
+      result["status"] = "error";
+      result["message"] = "intervalMs must be at least 200";
+    } else {
+      sendIntervalMs = intervalMs;
+      result["intervalMs"] = sendIntervalMs;
+    }
+  } else if (strcmp(name, "ping") == 0) {
+    result["uptimeMs"] = millis();
+    result["rssi"] = WiFi.RSSI();
+    result["firmwareVersion"] = firmwareVersion;
+  } else if (strcmp(name, "start_mission") == 0) {
+    // The server opens the mission once this is acknowledged
+    Serial.println("Mission started");
+  } else if (strcmp(name, "reboot") == 0) {
+    // Acknowledge first: the connection drops with the restart
+    sendAck(id, result);
+    delay(200);
+    ESP.restart();
+    return;
+  } else {
+    result["status"] = "error";
+    result["message"] = String("Unknown command: ") + name;
+  }
+
+  sendAck(id, result);
+}
+
 // Handle WebSocket events
 void webSocketEvent(WStype_t type, uint8_t* payload, size_t length) {
   switch (type) {
@@ -111,6 +178,7 @@ void webSocketEvent(WStype_t type, uint8_t* payload, size_t length) {
       break;
     case WStype_TEXT:
       Serial.printf("Received message: %s\n", payload);
+      handleCommand(payload, length);
       break;
   }
 }
@@ -3,6 +3,15 @@ import asyncio
 import websockets
 import base64
 import json
+import os
+import struct
+import time
+from datetime import datetime, timezone
+
+
+# Binary frame header (see server/utils/videoFrame.js): magic "HQ", version,
+# header length, stream id, reserved, sequence, capture time (ms since epoch)
+FRAME_HEADER = struct.Struct(">2sBBHHId")
 
 
 # Function to read class names from a file
@@ -29,6 +38,42 @@ def detect_objects(model, image, confidence_threshold=0.5):
     return class_ids, confidences, bounding_boxes
 
 
+# Function to build a binary video frame message
+def pack_frame(jpeg_bytes, stream_id, seq, captured_at_ms):
+    header = FRAME_HEADER.pack(
+        b"HQ", 1, FRAME_HEADER.size, stream_id, 0, seq & 0xFFFFFFFF, captured_at_ms
+    )
+    return header + jpeg_bytes
+
+
+# Function to build a detection message for the server
+def detection_message(class_ids, confidences, bounding_boxes, class_names, image, stream_id, captured_at_ms):
+    height, width = image.shape[:2]
+    detections = [
+        {
+            "label": class_names[int(class_id) - 1],
+            "classId": int(class_id),
+            "confidence": round(float(confidence), 3),
+            "box": [int(value) for value in box],
+        }
+        for class_id, confidence, box in zip(
+            class_ids.flatten(), confidences.flatten(), bounding_boxes
+        )
+    ]
+    return json.dumps(
+        {
+            "type": "detection",
+            "payload": {
+                "capturedAt": captured_at_ms,
+                "stream": stream_id,
+                "frameWidth": width,
+                "frameHeight": height,
+                "detections": detections,
+            },
+        }
+    )
+
+
 # Function to draw bounding boxes and labels on the image
 def draw_objects(image, class_ids, class_names, bounding_boxes):
     for class_id, box in zip(class_ids.flatten(), bounding_boxes):
@@ -47,8 +92,10 @@ def draw_objects(image, class_ids, class_names, bounding_boxes):
 
 
 # Coroutine to send video frames to the WebSocket server
-async def send_video(uri):
-    async with websockets.connect(uri) as websocket:
+async def send_video(uri, token, frame_format="binary", stream_id=0):
+    headers = {"Authorization": f"Bearer {token}"}
+    seq = 0
+    async with websockets.connect(uri, extra_headers=headers) as websocket:
         cam = cv2.VideoCapture(0)
         class_file = "coco.names"
         class_names = load_class_names(class_file)
@@ -62,19 +109,44 @@ async def send_video(uri):
                 if not success:
                     print("Error reading camera frame. Stopping video stream.")
                     break
+                # Capture time lets dashboards show end-to-end latency
+                captured_at_ms = time.time() * 1000
+                seq += 1
 
                 class_ids, confidences, bounding_boxes = detect_objects(model, img)
                 if len(class_ids) != 0:
+                    # Report what was found before boxes are drawn on the frame
+                    await websocket.send(
+                        detection_message(
+                            class_ids, confidences, bounding_boxes, class_names,
+                            img, stream_id, captured_at_ms,
+                        )
+                    )
                     draw_objects(img, class_ids, class_names, bounding_boxes)
 
-                # Encode image to JPEG and then to base64
+                # Encode image to JPEG
                 _, buffer = cv2.imencode(".jpeg", img)
-                frame_data = base64.b64encode(buffer).decode("utf-8")
 
-                # Create a JSON object with the frame data
-                message = json.dumps({"image": frame_data})
-
-                # Send the JSON message over WebSocket
+                if frame_format == "binary":
+                    # Raw JPEG behind a small binary header
+                    message = pack_frame(buffer.tobytes(), stream_id, seq, captured_at_ms)
+                else:
+                    # Legacy form: base64 JPEG in a typed JSON envelope
+                    captured_at = datetime.fromtimestamp(
+                        captured_at_ms / 1000, timezone.utc
+                    ).isoformat()
+                    message = json.dumps(
+                        {
+                            "type": "video_frame",
+                            "payload": {
+                                "image": base64.b64encode(buffer).decode("utf-8"),
+                                "stream": stream_id,
+                                "capturedAt": captured_at,
+                            },
+                        }
+                    )
+
+                # Send the frame over WebSocket
                 await websocket.send(message)
                 
         except KeyboardInterrupt:
@@ -85,4 +157,11 @@ async def send_video(uri):
 
 
 # Start the asyncio event loop and send video frames
-asyncio.run(send_video("ws://localhost:3000"))
+asyncio.run(
+    send_video(
+        os.environ.get("HYDROQUEST_WS_URL", "ws://localhost:3000"),
+        os.environ.get("HYDROQUEST_DEVICE_TOKEN", ""),
+        os.environ.get("HYDROQUEST_VIDEO_FORMAT", "binary"),
+        int(os.environ.get("HYDROQUEST_STREAM_ID", "0")),
+    )
+)
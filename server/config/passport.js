@@ -1,28 +1,82 @@
 const LocalStrategy = require("passport-local").Strategy;
 const User = require("../model/userModel");
 const bcrypt = require("bcrypt");
+const { LOGIN_FAILURES } = require("../model/loginEventModel");
+const { recordLogin } = require("../services/loginHistory");
+const { reserveLogin, recordSuccess } = require("../services/loginThrottle");
+
+// Same answer for unknown emails and wrong passwords, so the form does not
+// reveal which emails are registered
+const INVALID_CREDENTIALS = "Invalid email or password";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Unknown emails are checked against this hash so they take as long as a
+// wrong password
+let dummyHash = null;
+const getDummyHash = () => {
+  dummyHash = dummyHash || bcrypt.hash("not-a-real-password", 12);
+  return dummyHash;
+};
+
 function initPassport(passport) {
   passport.use(
     new LocalStrategy(
-      { usernameField: "email" },
-      async (email, password, done) => {
-        const user = await User.findOne({ email: email });
-        if (!user) {
-          return done(null, false, { message: "User not found" });
-        }
+      { usernameField: "email", passReqToCallback: true },
+      async (req, email, password, done) => {
+        try {
+          // password and isActive are not selected by default
+          const user = await User.findOne({ email: email }).select("+password +isActive");
+
+          // Counted as a failure until the password proves right, so parallel
+          // attempts cannot slip past the lockout. Locked accounts and
+          // addresses are refused even with the right password.
+          const { lockedUntil, delayMs } = await reserveLogin(req.ip, email);
+          if (lockedUntil) {
+            await recordLogin(req, { email, user, failure: LOGIN_FAILURES.LOCKED });
+            const minutes = Math.ceil((lockedUntil.getTime() - Date.now()) / 60000);
+            return done(null, false, {
+              message: `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+            });
+          }
+          if (delayMs) await sleep(delayMs);
 
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch)
-          return done(null, false, { message: "Incorrect Password" });
-        return done(null, user);
+          const isMatch = await bcrypt.compare(password, user ? user.password : await getDummyHash());
+          if (!user || !isMatch) {
+            await recordLogin(req, {
+              email,
+              user,
+              failure: user ? LOGIN_FAILURES.BAD_PASSWORD : LOGIN_FAILURES.UNKNOWN_EMAIL,
+            });
+            return done(null, false, { message: INVALID_CREDENTIALS });
+          }
+          await recordSuccess(req.ip, email);
+
+          // Checked after the password so it only tells the account owner
+          if (user.isActive === false) {
+            await recordLogin(req, { email, user, failure: LOGIN_FAILURES.INACTIVE });
+            return done(null, false, { message: "This account has been deactivated" });
+          }
+          await recordLogin(req, { email, user });
+          return done(null, user);
+        } catch (error) {
+          return done(error);
+        }
       }
     )
   );
 
-  passport.serializeUser((user, done) => done(null, user.id));
-  passport.deserializeUser(async (id, done) => {
-    const user = await User.findById(id);
-    return done(null, user);
+  // The session remembers when it was created so that a later password
+  // change (User.passwordChangedAt) ends it
+  passport.serializeUser((user, done) => done(null, { id: user.id, issuedAt: Date.now() }));
+  passport.deserializeUser(async (session, done) => {
+    try {
+      // false drops the login from the session
+      const user = await User.findBySession(session);
+      return done(null, user || false);
+    } catch (error) {
+      return done(error);
+    }
   });
 }
 module.exports = initPassport;
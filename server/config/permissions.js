@@ -0,0 +1,72 @@
+/**
+ * Role Permissions
+ *
+ * Declares what each user role (see model/userModel) may do. Routes and
+ * WebSocket actions ask for a permission, never for a role, so changing
+ * who may do what only means editing ROLE_PERMISSIONS below.
+ *
+ * @module config/permissions
+ */
+
+/**
+ * Actions that can be granted to a role
+ * @constant {Object<string, string>}
+ */
+const PERMISSIONS = {
+  VIEW_TELEMETRY: 'telemetry:view',
+  IMPORT_TELEMETRY: 'telemetry:import',
+  VIEW_VIDEO: 'video:view',
+  CAPTURE_MEDIA: 'media:capture',
+  DELETE_MEDIA: 'media:delete',
+  RUN_MISSIONS: 'missions:run',
+  HANDLE_ALERTS: 'alerts:handle',
+  MANAGE_ALERT_RULES: 'alerts:manage',
+  MANAGE_GEOFENCES: 'geofences:manage',
+  VIEW_COMMANDS: 'commands:view',
+  ISSUE_COMMANDS: 'commands:issue',
+  MANAGE_DEVICES: 'devices:manage',
+  MANAGE_USERS: 'users:manage',
+};
+
+const OPERATOR = [
+  PERMISSIONS.VIEW_TELEMETRY,
+  PERMISSIONS.IMPORT_TELEMETRY,
+  PERMISSIONS.VIEW_VIDEO,
+  PERMISSIONS.CAPTURE_MEDIA,
+  PERMISSIONS.RUN_MISSIONS,
+  PERMISSIONS.HANDLE_ALERTS,
+  PERMISSIONS.VIEW_COMMANDS,
+];
+
+/**
+ * Permissions granted to each user role
+ * - user: watches the vehicle, runs missions and handles alerts
+ * - mod: a user who may also send commands to devices
+ * - admin: everything, including devices, rules, geofences and users
+ * @constant {Object<string, string[]>}
+ */
+const ROLE_PERMISSIONS = {
+  user: OPERATOR,
+  mod: [...OPERATOR, PERMISSIONS.ISSUE_COMMANDS],
+  admin: Object.values(PERMISSIONS),
+};
+
+/**
+ * Whether a user holds a permission
+ *
+ * @param {Object} user - User document (anything with a `role`)
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean} False for missing users and unknown roles
+ *
+ * @example
+ * if (can(req.user, PERMISSIONS.ISSUE_COMMANDS)) { ... }
+ */
+const can = (user, permission) => Boolean(
+  user && (ROLE_PERMISSIONS[user.role] || []).includes(permission)
+);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  can,
+};
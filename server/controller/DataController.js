@@ -8,84 +8,105 @@
  */
 
 const Sensor = require('../model/dataModel');
-const WebSocket = require('ws');
+const Mission = require('../model/missionModel');
+const { normalizeTelemetry } = require('../services/telemetryIngest');
+const { MESSAGE_TYPES, CHANNELS, send, broadcast } = require('../services/messageHub');
+const { evaluateReading } = require('../services/alertEngine');
+const { checkPosition } = require('../services/geofenceMonitor');
 
 /**
- * Handles incoming sensor data from WebSocket connections
+ * Replies to the sender with the reasons a payload was rejected
+ *
+ * @param {WebSocket} ws - Sender connection
+ * @param {Object} envelope - Envelope the payload arrived in
+ * @param {Array<{field: string, code: string, message: string}>} reasons
+ * @param {number} [version] - Schema version the payload was read as
+ */
+const sendRejection = (ws, envelope, reasons, version) => {
+  send(ws, MESSAGE_TYPES.ACK, { status: 'rejected', version, reasons }, { id: envelope.id });
+};
+
+/**
+ * Handles incoming telemetry messages
  *
  * Processes sensor data from ESP8266 microcontroller including:
  * - Temperature readings (DS18B20 sensor)
  * - TDS (Total Dissolved Solids) measurements
  * - GPS coordinates and speed
  *
- * Saves data to MongoDB and broadcasts to all connected dashboard clients
+ * Payloads are normalized by the ingestion layer (field aliases, unit
+ * conversion, schema version) before being saved to MongoDB and broadcast
+ * on the telemetry channel. Readings are tagged with the sending device
+ * and, if it has one running, its active mission, then evaluated against
+ * the alert rules and geofences. Rejected payloads are answered with an `ack` carrying
+ * `status: "rejected"` and the reasons; accepted payloads are acked only
+ * when the envelope carried an `id`.
  *
  * @async
  * @param {WebSocket} ws - The WebSocket connection that sent the message
- * @param {Buffer|string} message - Raw sensor data message
+ * @param {Object} envelope - Parsed message envelope
  * @param {WebSocket.Server} wss - WebSocket server instance for broadcasting
  * @returns {Promise<void>}
  *
  * @example
- * Expected message format:
+ * Expected message format (schema v1):
  * {
- *   "temperature": 25.5,
- *   "TDS_Value": 450,
- *   "latitude": 31.9686,
- *   "longitude": 35.9163,
- *   "speed": 1.5
+ *   "type": "telemetry",
+ *   "v": 1,
+ *   "payload": {
+ *     "temperature": 25.5,
+ *     "TDS_Value": 450,
+ *     "latitude": 31.9686,
+ *     "longitude": 35.9163,
+ *     "speed": 1.5
+ *   }
  * }
  */
-exports.handleSensorData = async (ws, message, wss) => {
-  try {
-    // Convert Buffer to string and parse JSON
-    const messageStr = message.toString();
-    const data = JSON.parse(messageStr);
-
-    // Log received data for debugging
-    console.log('[DataController] Received sensor data:', {
-      temperature: data.temperature,
-      TDS: data.TDS_Value,
-      location: `${data.latitude}, ${data.longitude}`,
-      timestamp: new Date().toISOString()
-    });
-
-    // Validate required fields
-    if (!data.temperature && !data.TDS_Value && !data.latitude) {
-      console.warn('[DataController] Incomplete sensor data received');
-      return;
-    }
+exports.handleSensorData = async (ws, envelope, wss) => {
+  const result = normalizeTelemetry(envelope.payload);
+  if (!result.ok) {
+    console.warn('[DataController] Telemetry rejected:', JSON.stringify(result.reasons));
+    sendRejection(ws, envelope, result.reasons, result.version);
+    return;
+  }
 
-    // Save data to MongoDB using Mongoose
+  try {
+    // Save data to MongoDB using Mongoose, tagged with the sending device
+    // and its active mission (if any)
+    const mission = await Mission.findActive(ws.device._id);
     const sensorData = new Sensor({
-      ...data,
-      timestamp: new Date() // Add server timestamp
+      ...result.value,
+      device: ws.device._id,
+      mission: mission ? mission._id : undefined,
     });
 
     await sensorData.save();
     console.log('[DataController] Sensor data saved to MongoDB (ID:', sensorData._id, ')');
 
-    // Broadcast the data to all connected dashboard clients
-    let broadcastCount = 0;
-    wss.clients.forEach((client) => {
-      if (client !== ws && client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify(data));
-        broadcastCount++;
-      }
-    });
+    if (envelope.id !== undefined) {
+      send(ws, MESSAGE_TYPES.ACK, { status: 'accepted', readingId: sensorData._id }, { id: envelope.id });
+    }
+
+    // Broadcast the canonical reading to telemetry subscribers
+    const broadcastCount = broadcast(wss, CHANNELS.TELEMETRY, MESSAGE_TYPES.TELEMETRY,
+      sensorData.toJSON(), { except: ws });
 
     console.log(`[DataController] Broadcasted to ${broadcastCount} connected clients`);
 
-  } catch (err) {
-    // Handle JSON parse errors
-    if (err instanceof SyntaxError) {
-      console.error('[DataController] Invalid JSON received:', message.toString());
-      return;
-    }
+    // Check the reading against alert rules and geofences (errors are
+    // logged by each service)
+    evaluateReading(sensorData, wss);
+    checkPosition(sensorData, wss);
 
+  } catch (err) {
     // Handle database errors
     if (err.name === 'ValidationError') {
       console.error('[DataController] Validation error:', err.message);
+      sendRejection(ws, envelope, Object.values(err.errors).map((e) => ({
+        field: e.path,
+        code: 'out_of_range',
+        message: e.message,
+      })), result.version);
       return;
     }
 
@@ -0,0 +1,141 @@
+/**
+ * Stream Controller
+ *
+ * Handles the non-telemetry WebSocket message types: video frames and
+ * detections from the Python vision node, and commands/acks exchanged
+ * between dashboards and devices (delivered by services/commandQueue).
+ *
+ * @module controller/StreamController
+ */
+
+const { MESSAGE_TYPES, CHANNELS, send, broadcast } = require('../services/messageHub');
+const { relayFrame } = require('../services/videoRelay');
+const { normalizeDetections, recordDetections } = require('../services/detectionRecorder');
+const { issueCommand, handleCommandAck } = require('../services/commandQueue');
+
+/**
+ * Relays a video frame to video channel subscribers
+ *
+ * Only vision nodes may send frames (see MESSAGE_PERMISSIONS). Frames are
+ * rate-limited and dropped for slow viewers by services/videoRelay.
+ *
+ * Frames arrive either as binary messages (utils/videoFrame; the envelope
+ * has `binary: true` and the decoded frame as payload) or as JSON whose
+ * payload carries a base64 `image`, optionally a `stream` id and
+ * `capturedAt` (ISO time the camera grabbed the frame).
+ *
+ * @param {WebSocket} ws - Sender connection
+ * @param {Object} envelope - Parsed envelope
+ * @param {WebSocket.Server} wss - WebSocket server
+ *
+ * @example
+ * { "type": "video_frame", "payload": { "image": "/9j/4AAQ...", "capturedAt": "2024-05-01T10:00:00.120Z" } }
+ */
+exports.handleVideoFrame = (ws, envelope, wss) => {
+  if (envelope.binary) {
+    const { streamId, capturedAt, image } = envelope.payload;
+    relayFrame(ws, { binary: true, stream: streamId, image, capturedAt }, wss);
+    return;
+  }
+
+  const { image, stream = 0 } = envelope.payload || {};
+  if (typeof image !== 'string' || image.length === 0) {
+    send(ws, MESSAGE_TYPES.ERROR, { code: 'invalid_frame', message: 'video_frame requires an image' },
+      { id: envelope.id });
+    return;
+  }
+  if (!Number.isInteger(stream) || stream < 0 || stream > 0xffff) {
+    send(ws, MESSAGE_TYPES.ERROR, { code: 'invalid_frame', message: 'stream must be an integer from 0 to 65535' },
+      { id: envelope.id });
+    return;
+  }
+
+  relayFrame(ws, {
+    stream,
+    image,
+    device: ws.device.name,
+    capturedAt: envelope.payload.capturedAt,
+    receivedAt: new Date().toISOString(),
+  }, wss);
+};
+
+/**
+ * Stores the object detections of one frame and pushes them to detection
+ * channel subscribers
+ *
+ * Invalid payloads are answered with a `rejected` ack listing the reasons;
+ * valid ones with an `accepted` ack when the envelope has an id.
+ *
+ * @param {WebSocket} ws - Sender connection
+ * @param {Object} envelope - Parsed envelope (payload format in services/detectionRecorder)
+ * @param {WebSocket.Server} wss - WebSocket server
+ *
+ * @example
+ * { "type": "detection", "id": "f42", "payload": { "capturedAt": 1714557600120,
+ *   "detections": [{ "label": "person", "confidence": 0.87, "box": [120, 40, 64, 180] }] } }
+ */
+exports.handleDetection = async (ws, envelope, wss) => {
+  const result = normalizeDetections(envelope.payload);
+  if (!result.ok) {
+    console.warn('[StreamController] Detection rejected:', JSON.stringify(result.reasons));
+    send(ws, MESSAGE_TYPES.ACK, { status: 'rejected', reasons: result.reasons }, { id: envelope.id });
+    return;
+  }
+
+  const detections = await recordDetections(ws.device, result.value);
+  if (envelope.id !== undefined) {
+    send(ws, MESSAGE_TYPES.ACK, { status: 'accepted', count: detections.length }, { id: envelope.id });
+  }
+  if (detections.length === 0) return;
+
+  broadcast(wss, CHANNELS.DETECTIONS, MESSAGE_TYPES.DETECTION, {
+    device: ws.device.name,
+    capturedAt: result.value.capturedAt,
+    detections: detections.map((detection) => detection.toJSON()),
+  });
+};
+
+/**
+ * Queues a command from a dashboard for a device
+ *
+ * The hub has already checked that the user may issue commands (see
+ * USER_PERMISSIONS in services/messageHub). The dashboard gets an ack with
+ * the stored command; later state changes arrive on the commands channel
+ * as `command_status` messages (see services/commandQueue).
+ *
+ * @param {WebSocket} ws - Sender connection
+ * @param {Object} envelope - Parsed envelope
+ * @param {WebSocket.Server} wss - WebSocket server
+ *
+ * @example
+ * { "type": "command", "id": "c1", "payload": { "device": "sub-01", "name": "set_interval", "args": { "intervalMs": 2000 } } }
+ */
+exports.handleCommand = async (ws, envelope, wss) => {
+  try {
+    const command = await issueCommand(wss, envelope.payload || {}, ws.user);
+    send(ws, MESSAGE_TYPES.ACK, { status: 'queued', command: command.toJSON() }, { id: envelope.id });
+  } catch (error) {
+    if (!error.status) throw error;
+    send(ws, MESSAGE_TYPES.ACK, { status: 'rejected', reasons: [error.message] }, { id: envelope.id });
+  }
+};
+
+/**
+ * Handles an acknowledgement from a device or vision node
+ *
+ * Acks for the command in flight complete it (services/commandQueue);
+ * any other ack is relayed to dashboards on the command channel.
+ *
+ * @param {WebSocket} ws - Sender connection
+ * @param {Object} envelope - Parsed envelope
+ * @param {WebSocket.Server} wss - WebSocket server
+ */
+exports.handleAck = async (ws, envelope, wss) => {
+  if (await handleCommandAck(ws, envelope, wss)) return;
+
+  broadcast(wss, CHANNELS.COMMANDS, MESSAGE_TYPES.ACK, {
+    ...envelope.payload,
+    id: envelope.id,
+    device: ws.device.name,
+  });
+};
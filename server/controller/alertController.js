@@ -0,0 +1,212 @@
+/**
+ * Alert Controller
+ *
+ * Renders the alerts page, lets operators acknowledge and resolve alerts,
+ * and lets admins manage the threshold rules evaluated by the alert engine.
+ *
+ * @module controller/alertController
+ */
+
+const mongoose = require('mongoose');
+const Alert = require('../model/alertModel');
+const AlertRule = require('../model/alertRuleModel');
+const Device = require('../model/deviceModel');
+const alertEngine = require('../services/alertEngine');
+
+const { ALERT_STATES } = Alert;
+const { ALERT_METRICS, COMPARISONS } = AlertRule;
+
+/**
+ * Loads the document named by `req.params.id`, flashing an error if missing
+ *
+ * @param {Model} Model - Mongoose model
+ * @param {Request} req - Express request
+ * @param {string} label - Name used in the error message
+ * @returns {Promise<Document|null>}
+ */
+const findByParam = async (Model, req, label) => {
+  const doc = mongoose.isValidObjectId(req.params.id) ? await Model.findById(req.params.id) : null;
+  if (!doc) req.flash('error', `${label} not found`);
+  return doc;
+};
+
+/**
+ * Render the alerts page
+ *
+ * @async
+ * @param {Request} req - Express request object (query `state` filters the list)
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.index = async (req, res) => {
+  try {
+    const state = Object.values(ALERT_STATES).includes(req.query.state) ? req.query.state : undefined;
+    const filter = state ? { state } : { state: { $ne: ALERT_STATES.RESOLVED } };
+
+    const [alerts, rules, devices] = await Promise.all([
+      Alert.find(filter)
+        .sort({ openedAt: -1 })
+        .limit(200)
+        .populate('rule', 'name')
+        .populate('device', 'name'),
+      AlertRule.find().sort({ name: 1 }).populate('device', 'name'),
+      Device.find({ revokedAt: null }).sort({ name: 1 }),
+    ]);
+
+    res.render('./alerts/index', {
+      alerts,
+      rules,
+      devices,
+      state,
+      metrics: ALERT_METRICS,
+      comparisons: COMPARISONS,
+      user: req.user,
+    });
+
+  } catch (error) {
+    console.error('[AlertController] Index error:', error.message);
+    res.status(500).send('Failed to load alerts');
+  }
+};
+
+/**
+ * Acknowledge an open alert
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.acknowledge = async (req, res) => {
+  try {
+    const alert = await findByParam(Alert, req, 'Alert');
+    if (alert && alert.state === ALERT_STATES.OPEN) {
+      alert.state = ALERT_STATES.ACKNOWLEDGED;
+      alert.acknowledgedAt = new Date();
+      alert.acknowledgedBy = req.user._id;
+      await alert.save();
+      alertEngine.publishAlert(req.app.get('wss'), 'acknowledged', alert);
+    }
+  } catch (error) {
+    console.error('[AlertController] Acknowledge error:', error.message);
+    req.flash('error', 'Failed to acknowledge alert');
+  }
+  res.redirect('back');
+};
+
+/**
+ * Resolve an alert by hand
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.resolve = async (req, res) => {
+  try {
+    const alert = await findByParam(Alert, req, 'Alert');
+    if (alert && alert.state !== ALERT_STATES.RESOLVED) {
+      alert.state = ALERT_STATES.RESOLVED;
+      alert.resolvedAt = new Date();
+      alert.resolvedBy = req.user._id;
+      await alert.save();
+      alertEngine.forgetAlert(alert);
+      alertEngine.publishAlert(req.app.get('wss'), 'resolved', alert);
+    }
+  } catch (error) {
+    console.error('[AlertController] Resolve error:', error.message);
+    req.flash('error', 'Failed to resolve alert');
+  }
+  res.redirect('back');
+};
+
+/**
+ * Create an alert rule
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /dashboard/alerts/rules
+ * Body: { name: "High TDS", metric: "TDS_Value", comparison: "gt", threshold: 900,
+ *         minDurationSec: 30, hysteresis: 50, severity: "critical", device: "" }
+ */
+exports.createRule = async (req, res) => {
+  const { name, metric, comparison, threshold, minDurationSec, hysteresis, severity, device } = req.body;
+
+  try {
+    await AlertRule.create({
+      name,
+      metric,
+      comparison,
+      threshold,
+      minDurationSec: minDurationSec || 0,
+      hysteresis: hysteresis || 0,
+      severity,
+      device: device || null,
+      createdBy: req.user._id,
+    });
+    alertEngine.invalidateRules();
+    req.flash('success', `Rule "${name}" created`);
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const errors = error.errors ? Object.values(error.errors).map((err) => err.message) : [error.message];
+      req.flash('error', errors.join(', '));
+    } else {
+      console.error('[AlertController] Create rule error:', error.message);
+      req.flash('error', 'Failed to create rule');
+    }
+  }
+  res.redirect('/dashboard/alerts');
+};
+
+/**
+ * Enable or disable an alert rule
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.toggleRule = async (req, res) => {
+  try {
+    const rule = await findByParam(AlertRule, req, 'Rule');
+    if (rule) {
+      rule.enabled = !rule.enabled;
+      await rule.save();
+      alertEngine.invalidateRules();
+    }
+  } catch (error) {
+    console.error('[AlertController] Toggle rule error:', error.message);
+    req.flash('error', 'Failed to update rule');
+  }
+  res.redirect('/dashboard/alerts');
+};
+
+/**
+ * Delete an alert rule
+ *
+ * Alerts it already raised are kept for the record.
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await findByParam(AlertRule, req, 'Rule');
+    if (rule) {
+      await rule.deleteOne();
+      alertEngine.invalidateRules();
+      req.flash('success', `Rule "${rule.name}" deleted`);
+    }
+  } catch (error) {
+    console.error('[AlertController] Delete rule error:', error.message);
+    req.flash('error', 'Failed to delete rule');
+  }
+  res.redirect('/dashboard/alerts');
+};
@@ -9,6 +9,8 @@
 
 const User = require('../model/userModel');
 const bcrypt = require('bcrypt');
+const { requestReset, findUserByToken, resetPassword } = require('../services/passwordReset');
+const { disconnectUser } = require('../services/userAdmin');
 
 /**
  * Render login page
@@ -17,10 +19,8 @@ const bcrypt = require('bcrypt');
  * @param {Response} res - Express response object
  */
 exports.loginPage = (req, res) => {
-  res.render('./security/login', {
-    error: req.flash('error'),
-    success: req.flash('success')
-  });
+  // express-flash passes pending messages to the view as `messages`
+  res.render('./security/login');
 };
 
 /**
@@ -30,10 +30,8 @@ exports.loginPage = (req, res) => {
  * @param {Response} res - Express response object
  */
 exports.registerPage = (req, res) => {
-  res.render('./security/signup', {
-    error: req.flash('error'),
-    success: req.flash('success')
-  });
+  // express-flash passes pending messages to the view as `messages`
+  res.render('./security/signup');
 };
 
 /**
@@ -142,3 +140,105 @@ exports.logout = async (req, res) => {
   req.flash('success', 'Logged out successfully');
   res.redirect('/');
 };
+
+/**
+ * Render the forgot-password page
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+exports.forgotPage = (req, res) => {
+  res.render('./security/forgot');
+};
+
+/**
+ * Email a password reset link
+ *
+ * Answers the same way whether or not the address has an account, so the
+ * form cannot be used to find out who is registered.
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /auth/forgot
+ * Body: { email: "john@example.com" }
+ */
+exports.forgot = async (req, res) => {
+  try {
+    await requestReset(req.body.email);
+  } catch (error) {
+    console.error('[AuthController] Forgot password error:', error.message);
+    if (error.status === 503) {
+      req.flash('error', 'Password reset is not available. Please contact an administrator.');
+      return res.redirect('/auth/forgot');
+    }
+  }
+
+  req.flash('success', 'If an account exists for that address, a reset link is on its way.');
+  res.redirect('/auth/forgot');
+};
+
+/**
+ * Render the reset-password page for a reset link
+ *
+ * @async
+ * @param {Request} req - Express request object (`token` param)
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.resetPage = async (req, res) => {
+  try {
+    const user = await findUserByToken(req.params.token);
+    if (!user) {
+      req.flash('error', 'This reset link is invalid or has expired');
+      return res.redirect('/auth/forgot');
+    }
+    res.render('./security/reset', { token: req.params.token });
+
+  } catch (error) {
+    console.error('[AuthController] Reset page error:', error.message);
+    res.status(500).send('Failed to load the reset page');
+  }
+};
+
+/**
+ * Set a new password from a reset link
+ *
+ * The link stops working and all of the account's sessions end; open
+ * dashboard WebSockets of the account are closed.
+ *
+ * @async
+ * @param {Request} req - Express request object (`token` param)
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /auth/reset/:token
+ * Body: { password: "NewPass123", confirmPassword: "NewPass123" }
+ */
+exports.reset = async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const user = await resetPassword(token, req.body.password, req.body.confirmPassword);
+    disconnectUser(req.app.get('wss'), user, 'Password changed');
+    req.flash('success', 'Your password has been changed. Please log in.');
+    res.redirect('/auth/login');
+
+  } catch (error) {
+    if (error.status === 400) {
+      req.flash('error', error.message);
+      return res.redirect(`/auth/reset/${encodeURIComponent(token)}`);
+    }
+    if (error.status === 410) {
+      req.flash('error', error.message);
+      return res.redirect('/auth/forgot');
+    }
+    console.error('[AuthController] Reset error:', error.message);
+    req.flash('error', 'Password reset failed. Please try again.');
+    res.redirect(`/auth/reset/${encodeURIComponent(token)}`);
+  }
+};
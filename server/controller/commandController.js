@@ -0,0 +1,125 @@
+/**
+ * Command Controller
+ *
+ * Renders the device command page and exposes the command history and
+ * command issuing as JSON. Delivery and acknowledgement tracking live in
+ * services/commandQueue.
+ *
+ * @module controller/commandController
+ */
+
+const Command = require('../model/commandModel');
+const Device = require('../model/deviceModel');
+const { DEVICE_KINDS } = require('../model/deviceModel');
+const { COMMAND_STATES } = require('../model/commandModel');
+const { badRequest, parseId } = require('../services/telemetryQuery');
+const { COMMAND_DEFINITIONS, issueCommand } = require('../services/commandQueue');
+
+/**
+ * Default and maximum number of commands per request
+ * @constant {number}
+ */
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+/**
+ * Render the command page: send form and history
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.index = async (req, res) => {
+  try {
+    const [devices, commands] = await Promise.all([
+      Device.find({ revokedAt: null, kind: DEVICE_KINDS.SENSOR_BOARD }).sort({ name: 1 }),
+      Command.find()
+        .sort({ createdAt: -1 })
+        .limit(DEFAULT_LIMIT)
+        .populate('device', 'name')
+        .populate('issuedBy', 'firstName lastName'),
+    ]);
+
+    res.render('./commands/index', {
+      devices,
+      commands,
+      definitions: COMMAND_DEFINITIONS,
+      user: req.user,
+    });
+
+  } catch (error) {
+    console.error('[CommandController] Index error:', error.message);
+    res.status(500).send('Failed to load commands');
+  }
+};
+
+/**
+ * List commands, newest first
+ *
+ * @async
+ * @param {Request} req - Express request object (`device`, `state`, `limit`)
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON `{data}`
+ */
+exports.list = async (req, res) => {
+  try {
+    const filter = {};
+    const device = parseId(req.query.device, 'device');
+    if (device) filter.device = device;
+    if (req.query.state) {
+      if (!Object.values(COMMAND_STATES).includes(req.query.state)) {
+        throw badRequest(`state must be one of: ${Object.values(COMMAND_STATES).join(', ')}`);
+      }
+      filter.state = req.query.state;
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    const data = await Command.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('device', 'name')
+      .populate('issuedBy', 'firstName lastName');
+    res.json({ data });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[CommandController] List error:', error.message);
+    res.status(500).json({ error: 'Failed to list commands' });
+  }
+};
+
+/**
+ * Queue a command for a device
+ *
+ * Responds once the command is stored; delivery and the device's answer
+ * are reported on the WebSocket `commands` channel.
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /api/commands
+ * Body: { device: "<deviceId>", name: "set_interval", args: { intervalMs: 2000 } }
+ */
+exports.create = async (req, res) => {
+  try {
+    const command = await issueCommand(req.app.get('wss'), req.body, req.user);
+    res.status(201).json(command);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[CommandController] Create error:', error.message);
+    res.status(500).json({ error: 'Failed to queue command' });
+  }
+};
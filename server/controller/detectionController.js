@@ -0,0 +1,108 @@
+/**
+ * Detection Controller
+ *
+ * Renders the detections timeline page and serves stored object detections
+ * as JSON for the timeline and the map layers.
+ *
+ * @module controller/detectionController
+ */
+
+const Detection = require('../model/detectionModel');
+const Mission = require('../model/missionModel');
+const { badRequest, parseDate, parseId } = require('../services/telemetryQuery');
+
+/**
+ * Default and maximum number of detections per request
+ * @constant {number}
+ */
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+/**
+ * Builds a Detection filter from query parameters
+ *
+ * @param {Object} query - Request query
+ * @param {string} [query.mission] - Mission id
+ * @param {string} [query.device] - Vision node id
+ * @param {string} [query.label] - Detected class
+ * @param {string} [query.minConfidence] - Lowest confidence, 0..1
+ * @param {string} [query.from] - Range start (inclusive)
+ * @param {string} [query.to] - Range end (inclusive)
+ * @param {string} [query.located] - "true" for detections with a GPS position only
+ * @returns {Object} MongoDB filter
+ * @throws {Error} 400 if a parameter is invalid
+ */
+const buildFilter = (query) => {
+  const filter = {};
+
+  const mission = parseId(query.mission, 'mission');
+  const device = parseId(query.device, 'device');
+  if (mission) filter.mission = mission;
+  if (device) filter.device = device;
+  if (query.label) filter.label = String(query.label);
+
+  if (query.minConfidence !== undefined && query.minConfidence !== '') {
+    const minConfidence = Number(query.minConfidence);
+    if (!(minConfidence >= 0 && minConfidence <= 1)) throw badRequest('minConfidence must be between 0 and 1');
+    filter.confidence = { $gte: minConfidence };
+  }
+
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  if (from || to) {
+    filter.capturedAt = {};
+    if (from) filter.capturedAt.$gte = from;
+    if (to) filter.capturedAt.$lte = to;
+  }
+
+  if (query.located === 'true') filter.latitude = { $exists: true };
+  return filter;
+};
+
+/**
+ * Render the detections timeline page
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.index = async (req, res) => {
+  // Missions and known labels for the filters (the page still works without them)
+  const [missions, labels] = await Promise.all([
+    Mission.find().sort({ startedAt: -1 }).limit(50).populate('device', 'name').catch(() => []),
+    Detection.distinct('label').catch(() => []),
+  ]);
+  res.render('./detections/index', { user: req.user, missions, labels: labels.sort() });
+};
+
+/**
+ * List detections, newest first
+ *
+ * @async
+ * @param {Request} req - Express request object (filters as in buildFilter, plus `limit`)
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON `{data}`
+ */
+exports.list = async (req, res) => {
+  try {
+    const filter = buildFilter(req.query);
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    const data = await Detection.find(filter)
+      .sort({ capturedAt: -1 })
+      .limit(limit)
+      .populate('device', 'name');
+    res.json({ data });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[DetectionController] List error:', error.message);
+    res.status(500).json({ error: 'Failed to list detections' });
+  }
+};
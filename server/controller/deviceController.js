@@ -0,0 +1,243 @@
+/**
+ * Device Controller
+ *
+ * Admin API for the device registry: list registered hardware, register new
+ * devices, revoke or rotate their API keys and pair camera nodes with the
+ * sensor board on the same vehicle. Plain API keys are only ever returned
+ * once, in the response to create/rotate.
+ *
+ * @module controller/deviceController
+ */
+
+const mongoose = require('mongoose');
+const Device = require('../model/deviceModel');
+
+const { DEVICE_KINDS } = Device;
+
+/**
+ * Closes any open WebSocket connections belonging to a device
+ *
+ * @param {Request} req - Express request (used to reach the WebSocket server)
+ * @param {Device} device - Device whose connections should be dropped
+ * @param {string} [reason] - Close reason sent to the device
+ * @returns {number} Number of connections closed
+ */
+const disconnectDevice = (req, device, reason = 'Device key revoked') => {
+  const wss = req.app.get('wss');
+  let closed = 0;
+  if (!wss) return closed;
+
+  wss.clients.forEach((client) => {
+    if (client.device && client.device._id.equals(device._id)) {
+      client.close(4001, reason);
+      closed++;
+    }
+  });
+  return closed;
+};
+
+/**
+ * Loads the device named by `req.params.id`, answering 404 if missing
+ *
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @returns {Promise<Device|null>}
+ */
+const findDeviceOr404 = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Device not found' });
+    return null;
+  }
+  const device = await Device.findById(req.params.id);
+  if (!device) {
+    res.status(404).json({ error: 'Device not found' });
+    return null;
+  }
+  return device;
+};
+
+/**
+ * Sets the sensor board a camera node is paired with
+ *
+ * @async
+ * @param {Device} device - Camera node (not saved)
+ * @param {string|null} [pairedId] - Sensor board id; null or "" unpairs,
+ *   undefined leaves the pairing as it is
+ * @returns {Promise<string|null>} Error message, or null once applied
+ */
+const applyPairing = async (device, pairedId) => {
+  if (pairedId === undefined) return null;
+  if (pairedId === null || pairedId === '') {
+    device.pairedDevice = null;
+    return null;
+  }
+  if (device.kind !== DEVICE_KINDS.CAMERA_NODE) {
+    return 'Only camera nodes can be paired with a sensor board';
+  }
+
+  const board = mongoose.isValidObjectId(pairedId) ? await Device.findById(pairedId) : null;
+  if (!board) return 'Paired device not found';
+  if (board.kind !== DEVICE_KINDS.SENSOR_BOARD) {
+    return 'A camera node can only be paired with a sensor board';
+  }
+  device.pairedDevice = board._id;
+  return null;
+};
+
+/**
+ * List registered devices
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * GET /api/devices
+ */
+exports.list = async (req, res) => {
+  try {
+    const devices = await Device.find().sort({ name: 1 });
+    res.json({ devices });
+  } catch (error) {
+    console.error('[DeviceController] List error:', error.message);
+    res.status(500).json({ error: 'Failed to list devices' });
+  }
+};
+
+/**
+ * Register a new device and issue its API key
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /api/devices
+ * Body: { name: "cam-01", kind: "camera_node", firmwareVersion: "1.0.0", pairedDevice: "<sensor board id>" }
+ * Response: { device: {...}, apiKey: "hq_..." }
+ */
+exports.create = async (req, res) => {
+  try {
+    const { name, kind, firmwareVersion, pairedDevice } = req.body;
+    const device = new Device({ name, kind, firmwareVersion });
+    const pairingError = await applyPairing(device, pairedDevice);
+    if (pairingError) return res.status(400).json({ error: pairingError });
+
+    const apiKey = device.setNewApiKey();
+    await device.save();
+
+    console.log('[DeviceController] Device registered:', device.name);
+    res.status(201).json({ device, apiKey });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A device with that name already exists' });
+    }
+    console.error('[DeviceController] Create error:', error.message);
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+};
+
+/**
+ * Revoke a device's API key and drop its open connections
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /api/devices/:id/revoke
+ */
+exports.revoke = async (req, res) => {
+  try {
+    const device = await findDeviceOr404(req, res);
+    if (!device) return;
+
+    device.revokedAt = new Date();
+    await device.save();
+    const disconnected = disconnectDevice(req, device);
+
+    console.log('[DeviceController] Device revoked:', device.name);
+    res.json({ device, disconnected });
+
+  } catch (error) {
+    console.error('[DeviceController] Revoke error:', error.message);
+    res.status(500).json({ error: 'Failed to revoke device' });
+  }
+};
+
+/**
+ * Issue a new API key for a device, invalidating the old one
+ *
+ * Also reinstates a revoked device.
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /api/devices/:id/rotate
+ * Response: { device: {...}, apiKey: "hq_..." }
+ */
+exports.rotate = async (req, res) => {
+  try {
+    const device = await findDeviceOr404(req, res);
+    if (!device) return;
+
+    const apiKey = device.setNewApiKey();
+    await device.save();
+    const disconnected = disconnectDevice(req, device);
+
+    console.log('[DeviceController] Device key rotated:', device.name);
+    res.json({ device, apiKey, disconnected });
+
+  } catch (error) {
+    console.error('[DeviceController] Rotate error:', error.message);
+    res.status(500).json({ error: 'Failed to rotate device key' });
+  }
+};
+
+/**
+ * Pair a camera node with the sensor board on the same vehicle, or unpair it
+ *
+ * The camera is disconnected so that it reconnects with the new pairing.
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /api/devices/:id/pair
+ * Body: { pairedDevice: "<sensor board id>" }   (null to unpair)
+ * Response: { device: {...}, disconnected: 1 }
+ */
+exports.pair = async (req, res) => {
+  try {
+    const device = await findDeviceOr404(req, res);
+    if (!device) return;
+
+    if (req.body.pairedDevice === undefined) {
+      return res.status(400).json({ error: 'pairedDevice is required (null to unpair)' });
+    }
+    const pairingError = await applyPairing(device, req.body.pairedDevice);
+    if (pairingError) return res.status(400).json({ error: pairingError });
+    await device.save();
+    const disconnected = disconnectDevice(req, device, 'Device pairing changed');
+
+    console.log('[DeviceController] Device pairing changed:', device.name, '->', device.pairedDevice);
+    res.json({ device, disconnected });
+
+  } catch (error) {
+    console.error('[DeviceController] Pair error:', error.message);
+    res.status(500).json({ error: 'Failed to pair device' });
+  }
+};
@@ -0,0 +1,148 @@
+/**
+ * Geofence Controller
+ *
+ * JSON API for geofences (operating areas) and the enter/exit events they
+ * fire. Fences are exchanged as GeoJSON Features so the dashboard map can
+ * draw and save them directly.
+ *
+ * @module controller/geofenceController
+ */
+
+const mongoose = require('mongoose');
+const Geofence = require('../model/geofenceModel');
+const GeofenceEvent = require('../model/geofenceEventModel');
+const { invalidateFences } = require('../services/geofenceMonitor');
+
+/**
+ * Maximum events returned by the events listing
+ * @constant {number}
+ */
+const MAX_EVENTS = 500;
+
+/**
+ * List geofences as a GeoJSON FeatureCollection
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * GET /api/geofences
+ * Response: { type: "FeatureCollection", features: [...] }
+ */
+exports.list = async (req, res) => {
+  try {
+    const fences = await Geofence.find().sort({ name: 1 });
+    res.json({
+      type: 'FeatureCollection',
+      features: fences.map((fence) => fence.toFeature()),
+    });
+  } catch (error) {
+    console.error('[GeofenceController] List error:', error.message);
+    res.status(500).json({ error: 'Failed to list geofences' });
+  }
+};
+
+/**
+ * Save a geofence drawn on the map
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /api/geofences
+ * Body (circle): { type: "Feature",
+ *                  geometry: { type: "Point", coordinates: [35.91, 31.96] },
+ *                  properties: { name: "Test pool", radius: 150 } }
+ * Body (polygon): { type: "Feature",
+ *                   geometry: { type: "Polygon", coordinates: [[[lng, lat], ...]] },
+ *                   properties: { name: "Harbour", device: "<deviceId>" } }
+ */
+exports.create = async (req, res) => {
+  try {
+    const fence = await Geofence.create({
+      ...Geofence.fieldsFromFeature(req.body),
+      createdBy: req.user._id,
+    });
+    invalidateFences();
+
+    console.log('[GeofenceController] Geofence created:', fence.name);
+    res.status(201).json(fence.toFeature());
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const errors = error.errors ? Object.values(error.errors).map((err) => err.message) : [error.message];
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+    console.error('[GeofenceController] Create error:', error.message);
+    res.status(500).json({ error: 'Failed to save geofence' });
+  }
+};
+
+/**
+ * Delete a geofence
+ *
+ * Events it already fired are kept for the record.
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * DELETE /api/geofences/:id
+ */
+exports.remove = async (req, res) => {
+  try {
+    const fence = mongoose.isValidObjectId(req.params.id)
+      ? await Geofence.findByIdAndDelete(req.params.id)
+      : null;
+    if (!fence) return res.status(404).json({ error: 'Geofence not found' });
+
+    invalidateFences();
+    console.log('[GeofenceController] Geofence deleted:', fence.name);
+    res.json({ deleted: String(fence._id) });
+
+  } catch (error) {
+    console.error('[GeofenceController] Delete error:', error.message);
+    res.status(500).json({ error: 'Failed to delete geofence' });
+  }
+};
+
+/**
+ * List recent enter/exit events, newest first
+ *
+ * @async
+ * @param {Request} req - Express request object (query: device, geofence, limit)
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * GET /api/geofences/events?device=<deviceId>&limit=50
+ */
+exports.events = async (req, res) => {
+  try {
+    const filter = {};
+    for (const key of ['device', 'geofence']) {
+      if (req.query[key] === undefined) continue;
+      if (!mongoose.isValidObjectId(req.query[key])) {
+        return res.status(400).json({ error: `${key} must be a valid id` });
+      }
+      filter[key] = req.query[key];
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_EVENTS);
+
+    const events = await GeofenceEvent.find(filter)
+      .sort({ occurredAt: -1 })
+      .limit(limit)
+      .populate('device', 'name');
+    res.json({ events });
+
+  } catch (error) {
+    console.error('[GeofenceController] Events error:', error.message);
+    res.status(500).json({ error: 'Failed to list geofence events' });
+  }
+};
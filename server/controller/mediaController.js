@@ -0,0 +1,312 @@
+/**
+ * Media Controller
+ *
+ * Snapshot and clip recording from the camera stream, the media gallery
+ * page, and the JSON API that lists and serves saved files.
+ *
+ * @module controller/mediaController
+ */
+
+const mongoose = require('mongoose');
+const Media = require('../model/mediaModel');
+const Mission = require('../model/missionModel');
+const { MEDIA_KINDS } = require('../model/mediaModel');
+const { badRequest, parseDate, parseId } = require('../services/telemetryQuery');
+const {
+  takeSnapshot,
+  startRecording,
+  stopRecording,
+  activeRecordings,
+  mediaPath,
+  removeMedia,
+} = require('../services/mediaRecorder');
+
+/**
+ * Default and maximum number of media items per request
+ * @constant {number}
+ */
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Builds a Media filter from query parameters
+ *
+ * @param {Object} query - Request query
+ * @param {string} [query.mission] - Mission id
+ * @param {string} [query.device] - Vision node id
+ * @param {string} [query.kind] - snapshot or clip
+ * @param {string} [query.from] - Capture range start (inclusive)
+ * @param {string} [query.to] - Capture range end (inclusive)
+ * @returns {Object} MongoDB filter
+ * @throws {Error} 400 if a parameter is invalid
+ */
+const buildFilter = (query) => {
+  const filter = {};
+
+  const mission = parseId(query.mission, 'mission');
+  const device = parseId(query.device, 'device');
+  if (mission) filter.mission = mission;
+  if (device) filter.device = device;
+
+  if (query.kind) {
+    if (!MEDIA_KINDS.includes(query.kind)) throw badRequest(`kind must be one of: ${MEDIA_KINDS.join(', ')}`);
+    filter.kind = query.kind;
+  }
+
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  if (from || to) {
+    filter.startedAt = {};
+    if (from) filter.startedAt.$gte = from;
+    if (to) filter.startedAt.$lte = to;
+  }
+  return filter;
+};
+
+/**
+ * Reads the camera to capture from a request body
+ *
+ * @param {Object} body - Request body ({device, stream}, both optional)
+ * @returns {{device: (ObjectId|undefined), stream: (number|undefined)}}
+ * @throws {Error} 400 if a field is invalid
+ */
+const parseSource = (body = {}) => {
+  const source = { device: parseId(body.device, 'device') };
+  if (body.stream !== undefined && body.stream !== '') {
+    const stream = Number(body.stream);
+    if (!Number.isInteger(stream) || stream < 0 || stream > 0xffff) {
+      throw badRequest('stream must be an integer from 0 to 65535');
+    }
+    source.stream = stream;
+  }
+  return source;
+};
+
+/**
+ * Sends a service or validation error as JSON
+ *
+ * @param {Response} res - Express response object
+ * @param {Error} error - Error (with `status` for expected failures)
+ * @param {string} action - What failed, for the log and the 500 message
+ */
+const sendError = (res, error, action) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === 'CastError') {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+  console.error(`[MediaController] ${action} error:`, error.message);
+  res.status(500).json({ error: `Failed to ${action.toLowerCase()}` });
+};
+
+/**
+ * Render the media gallery
+ *
+ * @async
+ * @param {Request} req - Express request object (`mission`, `kind` filters)
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.index = async (req, res) => {
+  try {
+    // Unknown filter values are ignored rather than rejected on the page
+    const filters = {
+      mission: mongoose.isValidObjectId(req.query.mission) ? req.query.mission : '',
+      kind: MEDIA_KINDS.includes(req.query.kind) ? req.query.kind : '',
+    };
+
+    const [media, missions] = await Promise.all([
+      Media.find(buildFilter(filters))
+        .sort({ startedAt: -1 })
+        .limit(MAX_LIMIT)
+        .populate('device', 'name')
+        .populate('mission', 'name')
+        .populate('detections', 'label confidence'),
+      Mission.find().sort({ startedAt: -1 }).limit(50),
+    ]);
+
+    res.render('./media/index', {
+      media,
+      missions,
+      filters,
+      kinds: MEDIA_KINDS,
+      recordings: activeRecordings(),
+      user: req.user,
+    });
+
+  } catch (error) {
+    console.error('[MediaController] Index error:', error.message);
+    res.status(500).send('Failed to load media');
+  }
+};
+
+/**
+ * List saved media, newest first
+ *
+ * @async
+ * @param {Request} req - Express request object (filters as in buildFilter, plus `limit`)
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON `{data}`
+ */
+exports.list = async (req, res) => {
+  try {
+    const filter = buildFilter(req.query);
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    const data = await Media.find(filter)
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .populate('device', 'name')
+      .populate('mission', 'name');
+    res.json({ data });
+
+  } catch (error) {
+    sendError(res, error, 'List media');
+  }
+};
+
+/**
+ * Get one media item with its detections and, for clips, the frame index
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.show = async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id)
+      .select('+frames')
+      .populate('device', 'name')
+      .populate('mission', 'name')
+      .populate('detections', 'label confidence box capturedAt');
+    if (!media) return res.status(404).json({ error: 'Media not found' });
+    res.json(media);
+
+  } catch (error) {
+    sendError(res, error, 'Load media');
+  }
+};
+
+/**
+ * Serve a media file (`?download=1` to save it)
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.file = async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+    if (!media) return res.status(404).json({ error: 'Media not found' });
+
+    const options = { headers: { 'Content-Type': media.mimeType } };
+    const done = (error) => {
+      if (error && !res.headersSent) res.status(404).json({ error: 'Media file is missing' });
+    };
+    if (req.query.download) {
+      res.download(mediaPath(media), media.fileName, options, done);
+    } else {
+      res.sendFile(mediaPath(media), options, done);
+    }
+
+  } catch (error) {
+    sendError(res, error, 'Serve media');
+  }
+};
+
+/**
+ * Save the newest frame of a camera
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /api/media/snapshots
+ * Body: { device: "<visionNodeId>", stream: 0 }   // both optional: newest frame of any camera
+ */
+exports.snapshot = async (req, res) => {
+  try {
+    const media = await takeSnapshot(parseSource(req.body), req.user);
+    res.status(201).json(media);
+  } catch (error) {
+    sendError(res, error, 'Take snapshot');
+  }
+};
+
+/**
+ * List the clips being recorded
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+exports.recordings = (req, res) => {
+  res.json({ data: activeRecordings() });
+};
+
+/**
+ * Start recording a camera's relayed frames
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /api/media/recordings
+ * Body: { device: "<visionNodeId>", stream: 0 }   // both optional
+ */
+exports.startRecording = async (req, res) => {
+  try {
+    const media = await startRecording(parseSource(req.body), req.user);
+    res.status(201).json(media);
+  } catch (error) {
+    sendError(res, error, 'Start recording');
+  }
+};
+
+/**
+ * Stop a recording and save the clip
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.stopRecording = async (req, res) => {
+  try {
+    const media = await stopRecording(req.params.id);
+    res.json(media);
+  } catch (error) {
+    sendError(res, error, 'Stop recording');
+  }
+};
+
+/**
+ * Delete a media item and its file
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.remove = async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+    if (!media) return res.status(404).json({ error: 'Media not found' });
+
+    await removeMedia(media);
+    console.log('[MediaController] Media deleted:', media.fileName);
+    res.json({ deleted: String(media._id) });
+
+  } catch (error) {
+    sendError(res, error, 'Delete media');
+  }
+};
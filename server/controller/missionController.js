@@ -0,0 +1,164 @@
+/**
+ * Mission Controller
+ *
+ * Starts and stops missions (dive sessions) from the dashboard and renders
+ * the mission list and per-mission summary pages.
+ *
+ * @module controller/missionController
+ */
+
+const mongoose = require('mongoose');
+const Mission = require('../model/missionModel');
+const Device = require('../model/deviceModel');
+const { summarizeMission } = require('../services/missionSummary');
+
+/**
+ * Render the mission list with the start-mission form
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.index = async (req, res) => {
+  try {
+    const [missions, devices] = await Promise.all([
+      Mission.find()
+        .sort({ startedAt: -1 })
+        .limit(100)
+        .populate('device', 'name')
+        .populate('operator', 'firstName lastName'),
+      Device.find({ revokedAt: null }).sort({ name: 1 }),
+    ]);
+
+    res.render('./missions/index', { missions, devices, user: req.user });
+
+  } catch (error) {
+    console.error('[MissionController] Index error:', error.message);
+    res.status(500).send('Failed to load missions');
+  }
+};
+
+/**
+ * Start a mission for a device
+ *
+ * A device can only run one mission at a time; the check below gives a
+ * friendly message, the unique index on active missions settles races.
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /dashboard/missions/start
+ * Body: { name: "Harbour survey", device: "<deviceId>", notes: "Calm sea" }
+ */
+exports.start = async (req, res) => {
+  const { name, device, notes } = req.body;
+
+  try {
+    if (!mongoose.isValidObjectId(device) || !(await Device.exists({ _id: device, revokedAt: null }))) {
+      req.flash('error', 'Please choose a registered device');
+      return res.redirect('/dashboard/missions');
+    }
+
+    const active = await Mission.findActive(device);
+    if (active) {
+      req.flash('error', `This device is already running "${active.name}"`);
+      return res.redirect('/dashboard/missions');
+    }
+
+    const mission = await Mission.create({
+      name,
+      device,
+      notes,
+      operator: req.user._id,
+    });
+
+    console.log('[MissionController] Mission started:', mission.name);
+    req.flash('success', `Mission "${mission.name}" started`);
+    res.redirect(`/dashboard/missions/${mission._id}`);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      req.flash('error', errors.join(', '));
+      return res.redirect('/dashboard/missions');
+    }
+    if (error.code === 11000) {
+      req.flash('error', 'This device is already running a mission');
+      return res.redirect('/dashboard/missions');
+    }
+    console.error('[MissionController] Start error:', error.message);
+    req.flash('error', 'Failed to start mission');
+    res.redirect('/dashboard/missions');
+  }
+};
+
+/**
+ * Stop an active mission
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /dashboard/missions/:id/stop
+ * Body: { notes: "Surfaced near buoy 4" }   // optional, replaces notes
+ */
+exports.stop = async (req, res) => {
+  try {
+    const mission = mongoose.isValidObjectId(req.params.id)
+      ? await Mission.findById(req.params.id)
+      : null;
+    if (!mission) {
+      req.flash('error', 'Mission not found');
+      return res.redirect('/dashboard/missions');
+    }
+
+    if (mission.isActive) {
+      mission.endedAt = new Date();
+      if (req.body.notes !== undefined) mission.notes = req.body.notes;
+      await mission.save();
+      console.log('[MissionController] Mission stopped:', mission.name);
+      req.flash('success', `Mission "${mission.name}" stopped`);
+    }
+
+    res.redirect(`/dashboard/missions/${mission._id}`);
+
+  } catch (error) {
+    console.error('[MissionController] Stop error:', error.message);
+    req.flash('error', 'Failed to stop mission');
+    res.redirect('/dashboard/missions');
+  }
+};
+
+/**
+ * Render a mission's summary page
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.show = async (req, res) => {
+  try {
+    const mission = mongoose.isValidObjectId(req.params.id)
+      ? await Mission.findById(req.params.id)
+        .populate('device', 'name')
+        .populate('operator', 'firstName lastName')
+      : null;
+    if (!mission) {
+      return res.status(404).send('Mission not found');
+    }
+
+    const summary = await summarizeMission(mission);
+    res.render('./missions/summary', { mission, summary, user: req.user });
+
+  } catch (error) {
+    console.error('[MissionController] Summary error:', error.message);
+    res.status(500).send('Failed to load mission summary');
+  }
+};
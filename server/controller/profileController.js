@@ -0,0 +1,136 @@
+/**
+ * Profile Controller
+ *
+ * The signed-in user's own account page: personal details, profile
+ * picture, password change and recent login history. The account rules
+ * live in services/accountProfile.
+ *
+ * @module controller/profileController
+ */
+
+const { GENDERS } = require('../model/userModel');
+const { LOGIN_HISTORY_DAYS } = require('../model/loginEventModel');
+const accountProfile = require('../services/accountProfile');
+const { recentLogins } = require('../services/loginHistory');
+const { disconnectUser } = require('../services/userAdmin');
+
+/**
+ * Render the profile page
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.index = async (req, res) => {
+  try {
+    const logins = await recentLogins(req.user._id);
+
+    res.render('./profile/index', {
+      user: req.user,
+      genders: Object.values(GENDERS),
+      logins,
+      historyDays: LOGIN_HISTORY_DAYS,
+      maxPictureBytes: accountProfile.AVATAR_MAX_BYTES,
+      pictureTypes: accountProfile.AVATAR_FORMATS.map((format) => format.mimeType),
+    });
+
+  } catch (error) {
+    console.error('[ProfileController] Index error:', error.message);
+    res.status(500).send('Failed to load your profile');
+  }
+};
+
+/**
+ * Update name, date of birth and gender
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /dashboard/profile
+ * Body: { firstName: "Ada", lastName: "Lovelace", DOB: "1990-12-10", gender: "female" }
+ */
+exports.update = async (req, res) => {
+  try {
+    await accountProfile.updateProfile(req.user._id, req.body);
+    req.flash('success', 'Your profile has been updated');
+  } catch (error) {
+    if (error.status) {
+      req.flash('error', error.message);
+    } else {
+      console.error('[ProfileController] Update error:', error.message);
+      req.flash('error', 'Failed to update your profile');
+    }
+  }
+  res.redirect('back');
+};
+
+/**
+ * Upload a new profile picture (raw image body)
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /dashboard/profile/picture
+ * Content-Type: image/png
+ * <image bytes>
+ *
+ * Response: { profilePic: "/avatars/65f0c...-1718000000000.png" }
+ */
+exports.picture = async (req, res) => {
+  try {
+    const user = await accountProfile.savePicture(req.user, req.body);
+    res.json({ profilePic: user.profilePic });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[ProfileController] Picture error:', error.message);
+    res.status(500).json({ error: 'Failed to save the picture' });
+  }
+};
+
+/**
+ * Change the password
+ *
+ * Every other session of the account ends; this one is issued afresh so
+ * the user stays logged in.
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /dashboard/profile/password
+ * Body: { currentPassword: "...", password: "...", confirmPassword: "..." }
+ */
+exports.password = async (req, res, next) => {
+  try {
+    const user = await accountProfile.changePassword(req.user._id, req.body);
+    disconnectUser(req.app.get('wss'), user, 'Password changed');
+
+    req.login(user, (error) => {
+      if (error) return next(error);
+      req.flash('success', 'Your password has been changed');
+      res.redirect('/dashboard/profile');
+    });
+
+  } catch (error) {
+    if (error.status) {
+      req.flash('error', error.message);
+    } else {
+      console.error('[ProfileController] Password error:', error.message);
+      req.flash('error', 'Failed to change your password');
+    }
+    res.redirect('/dashboard/profile');
+  }
+};
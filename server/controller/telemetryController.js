@@ -0,0 +1,268 @@
+/**
+ * Telemetry Controller
+ *
+ * JSON API over stored Sensor history for dashboards and analysis
+ * scripts: paginated raw readings, the latest readings, spatial searches
+ * (near a point, inside a polygon or bounding box), downsampled
+ * min/max/avg buckets, streamed CSV/GeoJSON/GPX exports and bulk import
+ * of offline-logged readings.
+ *
+ * @module controller/telemetryController
+ */
+
+const Sensor = require('../model/dataModel');
+const Mission = require('../model/missionModel');
+const Device = require('../model/deviceModel');
+const {
+  findPage, findNear, aggregateBuckets, buildFilter, badRequest,
+} = require('../services/telemetryQuery');
+const { FORMATS, streamExport } = require('../services/telemetryExport');
+const { importTelemetry } = require('../services/telemetryImport');
+
+/**
+ * Sends a query error as JSON (400 for bad parameters, 500 otherwise)
+ *
+ * @param {Response} res - Express response object
+ * @param {Error} error - Error thrown by the query service
+ * @param {string} action - What was being done, for the log
+ */
+const sendQueryError = (res, error, action) => {
+  if (error.status === 400) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`[TelemetryController] ${action} error:`, error.message);
+  res.status(500).json({ error: `Failed to ${action.toLowerCase()} telemetry` });
+};
+
+/**
+ * List readings with filters and cursor pagination
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * GET /api/telemetry?from=2024-05-01T10:00Z&to=2024-05-01T11:00Z&fields=temperature,TDS_Value&limit=500
+ * Response: { data: [{ _id, timestamp, temperature, TDS_Value }, ...], nextCursor: "eyJ0Ijo..." }
+ *
+ * GET /api/telemetry?cursor=eyJ0Ijo...   // next page, same filters
+ */
+exports.list = async (req, res) => {
+  try {
+    res.json(await findPage(req.query));
+  } catch (error) {
+    sendQueryError(res, error, 'List');
+  }
+};
+
+/**
+ * Get the most recent readings
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * GET /api/telemetry/latest?limit=20
+ */
+exports.latest = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 1, 1), 1000);
+    const data = await Sensor.getRecent(limit);
+    res.json({ data });
+  } catch (error) {
+    sendQueryError(res, error, 'Fetch');
+  }
+};
+
+/**
+ * Readings within a radius of a point, nearest first
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * GET /api/telemetry/near?lat=31.9686&lng=35.9163&radius=200&mission=<missionId>
+ * Response: { data: [{ _id, timestamp, distanceMeters, temperature, ... }, ...] }
+ */
+exports.near = async (req, res) => {
+  try {
+    res.json(await findNear(req.query));
+  } catch (error) {
+    sendQueryError(res, error, 'Search');
+  }
+};
+
+/**
+ * Readings inside a polygon, with cursor pagination
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * GET /api/telemetry/within?polygon=35.90,31.96;35.93,31.96;35.93,31.98;35.90,31.98
+ */
+exports.within = async (req, res) => {
+  try {
+    if (req.query.polygon === undefined) throw badRequest('polygon is required');
+    res.json(await findPage(req.query));
+  } catch (error) {
+    sendQueryError(res, error, 'Search');
+  }
+};
+
+/**
+ * Readings inside a bounding box (e.g. the visible map area), with cursor
+ * pagination
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * GET /api/telemetry/bbox?bbox=35.90,31.96,35.93,31.98&from=2024-05-01&fields=latitude,longitude
+ */
+exports.bbox = async (req, res) => {
+  try {
+    if (req.query.bbox === undefined) throw badRequest('bbox is required');
+    res.json(await findPage(req.query));
+  } catch (error) {
+    sendQueryError(res, error, 'Search');
+  }
+};
+
+/**
+ * Downsample readings into time buckets
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * GET /api/telemetry/aggregate?from=2024-05-01&to=2024-05-02&bucket=1h&fields=temperature,speed
+ * Response: { bucketMs: 3600000, buckets: [{ t, count, temperature: {min, max, avg}, speed: {...} }] }
+ */
+exports.aggregate = async (req, res) => {
+  try {
+    res.json(await aggregateBuckets(req.query));
+  } catch (error) {
+    sendQueryError(res, error, 'Aggregate');
+  }
+};
+
+/**
+ * Builds a filesystem-safe export name
+ *
+ * @param {string} text - Raw name
+ * @returns {string}
+ */
+const fileName = (text) => text.replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'export';
+
+/**
+ * Stream readings for a mission or date range as CSV, GeoJSON or GPX
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * GET /api/telemetry/export/csv?mission=<missionId>
+ * GET /api/telemetry/export/geojson?from=2024-05-01&to=2024-05-02&device=<deviceId>
+ * GET /api/telemetry/export/gpx?mission=<missionId>
+ */
+exports.export = async (req, res) => {
+  const { format } = req.params;
+  if (!FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+  }
+  if (!req.query.mission && !(req.query.from && req.query.to)) {
+    return res.status(400).json({ error: 'Provide a mission or both from and to' });
+  }
+
+  try {
+    const filter = buildFilter(req.query);
+
+    let name = `hydroquest-${req.query.from}-${req.query.to}`;
+    if (filter.mission) {
+      const mission = await Mission.findById(filter.mission);
+      if (!mission) return res.status(404).json({ error: 'Mission not found' });
+      name = `hydroquest-${mission.name}`;
+    }
+
+    const count = await streamExport(res, { format, filter, name: fileName(name) });
+    console.log(`[TelemetryController] Exported ${count} readings as ${format}`);
+
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('[TelemetryController] Export aborted:', error.message);
+      return res.destroy(error);
+    }
+    sendQueryError(res, error, 'Export');
+  }
+};
+
+/**
+ * Import offline-logged readings from a CSV or NDJSON upload
+ *
+ * The upload is the raw request body; the format is taken from `format`
+ * or the Content-Type (`text/csv`, `application/x-ndjson`). The mission,
+ * if given, must belong to the device.
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /api/telemetry/import?device=<deviceId>&mission=<missionId>
+ * Content-Type: text/csv
+ *
+ * timestamp,temperature,TDS_Value,latitude,longitude,speed
+ * 2024-05-01T10:00:00Z,24.5,310,31.9686,35.9163,1.2
+ *
+ * Response: { summary: { total, accepted, duplicate, rejected }, rows: [{ line, status, reasons? }] }
+ */
+exports.import = async (req, res) => {
+  const format = req.query.format || (req.is('text/csv') ? 'csv' : 'ndjson');
+  if (!['csv', 'ndjson'].includes(format)) {
+    return res.status(400).json({ error: 'format must be csv or ndjson' });
+  }
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    return res.status(400).json({ error: 'Upload the CSV or NDJSON file as the request body' });
+  }
+
+  try {
+    const filter = buildFilter({ device: req.query.device, mission: req.query.mission });
+    if (!filter.device) {
+      return res.status(400).json({ error: 'device is required' });
+    }
+
+    const device = await Device.findById(filter.device);
+    if (!device) return res.status(404).json({ error: 'Device not found' });
+
+    let mission;
+    if (filter.mission) {
+      mission = await Mission.findById(filter.mission);
+      if (!mission) return res.status(404).json({ error: 'Mission not found' });
+      if (!mission.device.equals(device._id)) {
+        return res.status(400).json({ error: 'Mission belongs to a different device' });
+      }
+    }
+
+    const report = await importTelemetry({ body: req.body, format, device, mission });
+    console.log('[TelemetryController] Import finished:', JSON.stringify(report.summary));
+    res.json(report);
+
+  } catch (error) {
+    sendQueryError(res, error, 'Import');
+  }
+};
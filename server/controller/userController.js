@@ -0,0 +1,196 @@
+/**
+ * User Controller
+ *
+ * Admin console for user accounts: the searchable user list, role changes,
+ * deactivation, forced password resets, deletion, the audit trail and the
+ * login attempts log.
+ * The account rules and audit logging live in services/userAdmin.
+ *
+ * @module controller/userController
+ */
+
+const { USER_ROLES } = require('../model/userModel');
+const { AUDIT_ACTIONS } = require('../model/auditLogModel');
+const userAdmin = require('../services/userAdmin');
+
+/**
+ * Request details stored with each audit entry
+ *
+ * @param {Request} req - Express request object
+ * @returns {{ip: string}}
+ */
+const contextOf = (req) => ({
+  ip: req.ip,
+});
+
+/**
+ * Runs an account action and flashes its outcome
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {string} label - Action name for log and error messages
+ * @param {function(): Promise<string>} action - Resolves to the success message
+ * @returns {Promise<void>}
+ */
+const runAction = async (req, res, label, action) => {
+  try {
+    req.flash('success', await action());
+  } catch (error) {
+    if (error.status) {
+      req.flash('error', error.message);
+    } else {
+      console.error(`[UserController] ${label} error:`, error.message);
+      req.flash('error', `Failed to ${label.toLowerCase()}`);
+    }
+  }
+  res.redirect('back');
+};
+
+/**
+ * Render the user list
+ *
+ * @async
+ * @param {Request} req - Express request object (`q`, `role`, `status`, `page`)
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.index = async (req, res) => {
+  try {
+    const result = await userAdmin.listUsers(req.query);
+
+    res.render('./users/index', {
+      ...result,
+      roles: Object.values(USER_ROLES),
+      statuses: Object.values(userAdmin.USER_STATUSES),
+      user: req.user,
+    });
+
+  } catch (error) {
+    console.error('[UserController] Index error:', error.message);
+    res.status(500).send('Failed to load users');
+  }
+};
+
+/**
+ * Render the audit trail
+ *
+ * @async
+ * @param {Request} req - Express request object (`target`, `page`)
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.audit = async (req, res) => {
+  try {
+    const result = await userAdmin.listAudit(req.query);
+
+    res.render('./users/audit', {
+      ...result,
+      actions: AUDIT_ACTIONS,
+      user: req.user,
+    });
+
+  } catch (error) {
+    console.error('[UserController] Audit error:', error.message);
+    res.status(500).send('Failed to load the audit trail');
+  }
+};
+
+/**
+ * Render the login attempts log
+ *
+ * @async
+ * @param {Request} req - Express request object (`email`, `ip`, `result`, `page`)
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.logins = async (req, res) => {
+  try {
+    const result = await userAdmin.listLoginAttempts(req.query);
+
+    res.render('./users/logins', {
+      ...result,
+      results: Object.values(userAdmin.LOGIN_RESULTS),
+      user: req.user,
+    });
+
+  } catch (error) {
+    console.error('[UserController] Logins error:', error.message);
+    res.status(500).send('Failed to load login attempts');
+  }
+};
+
+/**
+ * Change a user's role
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * POST /dashboard/users/:id/role
+ * Body: { role: "mod" }
+ */
+exports.updateRole = (req, res) => runAction(req, res, 'Change role', async () => {
+  const target = await userAdmin.changeRole(req.user, req.params.id, req.body.role, contextOf(req));
+  // Reconnecting picks up the new permissions
+  userAdmin.disconnectUser(req.app.get('wss'), target, 'Role changed');
+  return `${target.email} is now ${target.role}`;
+});
+
+/**
+ * Deactivate an account
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.deactivate = (req, res) => runAction(req, res, 'Deactivate user', async () => {
+  const target = await userAdmin.setActive(req.user, req.params.id, false, contextOf(req));
+  userAdmin.disconnectUser(req.app.get('wss'), target, 'Account deactivated');
+  return `${target.email} has been deactivated`;
+});
+
+/**
+ * Reactivate an account
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.reactivate = (req, res) => runAction(req, res, 'Reactivate user', async () => {
+  const target = await userAdmin.setActive(req.user, req.params.id, true, contextOf(req));
+  return `${target.email} has been reactivated`;
+});
+
+/**
+ * Force a password reset: the password stops working and a reset link is
+ * emailed
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.forceReset = (req, res) => runAction(req, res, 'Force password reset', async () => {
+  const target = await userAdmin.forcePasswordReset(req.user, req.params.id, contextOf(req));
+  userAdmin.disconnectUser(req.app.get('wss'), target, 'Password reset');
+  return `A reset link has been sent to ${target.email}`;
+});
+
+/**
+ * Delete a user
+ *
+ * @async
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>}
+ */
+exports.remove = (req, res) => runAction(req, res, 'Delete user', async () => {
+  const target = await userAdmin.deleteUser(req.user, req.params.id, contextOf(req));
+  userAdmin.disconnectUser(req.app.get('wss'), target, 'Account deleted');
+  return `${target.email} has been deleted`;
+});
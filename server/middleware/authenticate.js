@@ -1,14 +1,77 @@
-exports.protect = (req, res, next) => {
-    if (req.isAuthenticated()) {
-      next();
-    }
+/**
+ * Authentication & Authorization Middleware
+ *
+ * `protect` keeps pages behind the login; `requirePermission` additionally
+ * checks the user's role against config/permissions. Browser page loads
+ * are redirected to the login page, API calls get a JSON 401/403.
+ *
+ * @module middleware/authenticate
+ */
+
+const { can } = require("../config/permissions");
+
+/**
+ * Whether the client wants a page rather than JSON (browser navigation
+ * and form posts send `text/html` first, fetch() sends `*\/*`)
+ *
+ * @param {Request} req - Express request object
+ * @returns {boolean}
+ */
+const wantsPage = (req) => req.accepts(["json", "html"]) === "html";
+
+/**
+ * Answer a request from a user who is not logged in
+ */
+const unauthenticated = (req, res) => {
+  if (wantsPage(req)) {
+    req.flash("error", "Please log in to continue");
     return res.redirect("/auth/login");
-  };
-  
-  exports.loggedIn = (req, res, next) => {
-    if (req.isAuthenticated()) {
-      return res.redirect("/dashboard");
+  }
+  res.status(401).json({ error: "Authentication required" });
+};
+
+/**
+ * Only let logged-in users through
+ *
+ * @example
+ * app.use('/dashboard', protect);
+ */
+exports.protect = (req, res, next) => {
+  if (!req.isAuthenticated()) {
+    return unauthenticated(req, res);
+  }
+  next();
+};
+
+/**
+ * Only let users through whose role holds the given permission
+ *
+ * @param {string} permission - One of PERMISSIONS (see config/permissions)
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.use(requirePermission(PERMISSIONS.MANAGE_DEVICES));
+ */
+exports.requirePermission = (permission) => (req, res, next) => {
+  if (!req.isAuthenticated()) {
+    return unauthenticated(req, res);
+  }
+  if (!can(req.user, permission)) {
+    console.warn(`[Auth] ${req.user.email} (${req.user.role}) lacks ${permission} for ${req.method} ${req.originalUrl}`);
+    if (wantsPage(req)) {
+      return res.status(403).send("You do not have permission to view this page");
     }
-    next();
-  };
-  
\ No newline at end of file
+    return res.status(403).json({ error: "You do not have permission to perform this action" });
+  }
+  next();
+};
+
+/**
+ * Keep logged-in users away from the login and signup pages
+ */
+exports.loggedIn = (req, res, next) => {
+  if (req.isAuthenticated()) {
+    return res.redirect("/dashboard");
+  }
+  next();
+};
@@ -0,0 +1,115 @@
+/**
+ * WebSocket Connection Authentication
+ *
+ * Identifies every WebSocket during the HTTP upgrade handshake as one of:
+ * - device:    ESP8266 sensor board, authenticated with its device API key
+ * - vision:    Python vision node, authenticated with its device API key
+ * - dashboard: Browser, authenticated with the express-session/Passport session
+ *
+ * API keys are sent as `Authorization: Bearer <key>` (or `?token=` for
+ * clients that cannot set headers) and looked up in the Device registry.
+ * Devices may report their firmware with an `X-Firmware-Version` header.
+ * Connections that present neither a valid key nor a logged-in session are
+ * refused with 401.
+ *
+ * @module middleware/wsAuthenticate
+ */
+
+const User = require('../model/userModel');
+const Device = require('../model/deviceModel');
+
+const { DEVICE_KINDS } = Device;
+
+/**
+ * Connection roles
+ * @constant {Object<string, string>}
+ */
+const ROLES = {
+  DEVICE: 'device',
+  VISION: 'vision',
+  DASHBOARD: 'dashboard',
+};
+
+/**
+ * Extracts a bearer token from the upgrade request
+ *
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {string|undefined} Token, if present
+ */
+const readToken = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('token') || undefined;
+};
+
+/**
+ * Connection role for each registered device kind
+ * @constant {Object<string, string>}
+ */
+const ROLE_BY_KIND = {
+  [DEVICE_KINDS.SENSOR_BOARD]: ROLES.DEVICE,
+  [DEVICE_KINDS.CAMERA_NODE]: ROLES.VISION,
+};
+
+/**
+ * Remote address of the upgrade request
+ *
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {string}
+ */
+const remoteAddress = (req) => req.socket.remoteAddress;
+
+/**
+ * Runs the express-session middleware against a raw upgrade request
+ *
+ * @param {Function} sessionMiddleware - express-session middleware
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {Promise<void>}
+ */
+const loadSession = (sessionMiddleware, req) => new Promise((resolve, reject) => {
+  sessionMiddleware(req, {}, (err) => (err ? reject(err) : resolve()));
+});
+
+/**
+ * Creates the upgrade authenticator
+ *
+ * @param {Function} sessionMiddleware - The same express-session instance the app uses
+ * @returns {function(http.IncomingMessage): Promise<Object|null>} Resolves to
+ *   `{role, device}` (a Device document) or `{role, user}`, or null when the
+ *   connection is refused
+ *
+ * @example
+ * const authenticate = createUpgradeAuthenticator(sessionMiddleware);
+ * server.on('upgrade', async (req, socket, head) => {
+ *   const identity = await authenticate(req);
+ *   ...
+ * });
+ */
+const createUpgradeAuthenticator = (sessionMiddleware) => async (req) => {
+  const token = readToken(req);
+  if (token) {
+    const device = await Device.findByApiKey(token);
+    if (!device) return null;
+
+    await device.markSeen({
+      ip: remoteAddress(req),
+      firmwareVersion: req.headers['x-firmware-version'],
+    });
+    return { role: ROLE_BY_KIND[device.kind], device };
+  }
+
+  await loadSession(sessionMiddleware, req);
+  const session = req.session && req.session.passport && req.session.passport.user;
+  if (!session) return null;
+
+  const user = await User.findBySession(session);
+  return user ? { role: ROLES.DASHBOARD, user } : null;
+};
+
+module.exports = {
+  ROLES,
+  remoteAddress,
+  createUpgradeAuthenticator,
+};
@@ -0,0 +1,118 @@
+/**
+ * Alert Model
+ *
+ * Mongoose schema for alerts raised by alert rules. An alert moves from
+ * open → acknowledged (an operator has seen it) → resolved (the reading
+ * came back within limits, or an operator closed it).
+ *
+ * @module model/alertModel
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Alert states
+ * @constant {Object<string, string>}
+ */
+const ALERT_STATES = {
+  OPEN: 'open',
+  ACKNOWLEDGED: 'acknowledged',
+  RESOLVED: 'resolved',
+};
+
+/**
+ * Alert Schema Definition
+ *
+ * @typedef {Object} Alert
+ * @property {ObjectId} rule - Rule that raised the alert
+ * @property {ObjectId} device - Device whose readings breached the rule
+ * @property {ObjectId} mission - Mission active when the alert opened
+ * @property {string} state - open|acknowledged|resolved
+ * @property {string} severity - Copied from the rule when raised
+ * @property {string} message - Human-readable description
+ * @property {number} triggerValue - Value that opened the alert
+ * @property {number} peakValue - Most extreme value seen while unresolved
+ * @property {number} lastValue - Most recent value seen while unresolved
+ * @property {Date} openedAt - When the alert opened
+ * @property {Date} acknowledgedAt - When it was acknowledged
+ * @property {ObjectId} acknowledgedBy - User who acknowledged it
+ * @property {Date} resolvedAt - When it was resolved
+ * @property {ObjectId} resolvedBy - User who resolved it (empty if automatic)
+ */
+const alertSchema = new mongoose.Schema(
+  {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AlertRule',
+      required: true,
+    },
+
+    device: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+    },
+
+    mission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Mission',
+    },
+
+    state: {
+      type: String,
+      enum: Object.values(ALERT_STATES),
+      default: ALERT_STATES.OPEN,
+    },
+
+    severity: {
+      type: String,
+      enum: ['info', 'warning', 'critical'],
+      default: 'warning',
+    },
+
+    message: {
+      type: String,
+      trim: true,
+    },
+
+    triggerValue: Number,
+    peakValue: Number,
+    lastValue: Number,
+
+    openedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    acknowledgedAt: Date,
+
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    resolvedAt: Date,
+
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/**
+ * Indexes for better query performance
+ * - Unresolved alert lookup per rule and device (engine restore)
+ * - Alert list filtered by state, most recent first
+ */
+alertSchema.index({ rule: 1, device: 1, state: 1 });
+alertSchema.index({ state: 1, openedAt: -1 });
+
+const Alert = mongoose.model('Alert', alertSchema);
+
+module.exports = Alert;
+module.exports.ALERT_STATES = ALERT_STATES;
@@ -0,0 +1,166 @@
+/**
+ * Alert Rule Model
+ *
+ * Mongoose schema for admin-defined threshold rules. Every ingested
+ * reading is checked against the enabled rules by services/alertEngine.
+ *
+ * @module model/alertRuleModel
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Metrics a rule can watch (numeric Sensor fields)
+ * @constant {string[]}
+ */
+const ALERT_METRICS = ['temperature', 'TDS_Value', 'speed', 'latitude', 'longitude'];
+
+/**
+ * Supported comparisons and their symbols
+ * @constant {Object<string, string>}
+ */
+const COMPARISONS = {
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+};
+
+/**
+ * Alert Rule Schema Definition
+ *
+ * A rule fires when `metric <comparison> threshold` holds continuously for
+ * at least `minDurationSec`. It clears once the value is back past the
+ * threshold by more than `hysteresis`, so readings jittering around the
+ * threshold do not open and close alerts repeatedly.
+ *
+ * @typedef {Object} AlertRule
+ * @property {string} name - Rule name shown on alerts
+ * @property {string} metric - Watched Sensor field
+ * @property {string} comparison - gt|gte|lt|lte
+ * @property {number} threshold - Threshold value
+ * @property {number} minDurationSec - Seconds the condition must hold before firing
+ * @property {number} hysteresis - Band the value must clear before the alert resolves
+ * @property {string} severity - info|warning|critical
+ * @property {ObjectId} device - Limit the rule to one device (all devices if empty)
+ * @property {boolean} enabled - Whether the rule is evaluated
+ * @property {ObjectId} createdBy - Admin who created the rule
+ */
+const alertRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      trim: true,
+      maxlength: [100, 'Rule name cannot exceed 100 characters'],
+    },
+
+    metric: {
+      type: String,
+      required: [true, 'Metric is required'],
+      enum: {
+        values: ALERT_METRICS,
+        message: `Metric must be one of: ${ALERT_METRICS.join(', ')}`,
+      },
+    },
+
+    comparison: {
+      type: String,
+      required: [true, 'Comparison is required'],
+      enum: {
+        values: Object.keys(COMPARISONS),
+        message: 'Comparison must be: gt, gte, lt or lte',
+      },
+    },
+
+    threshold: {
+      type: Number,
+      required: [true, 'Threshold is required'],
+    },
+
+    minDurationSec: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum duration cannot be negative'],
+    },
+
+    hysteresis: {
+      type: Number,
+      default: 0,
+      min: [0, 'Hysteresis cannot be negative'],
+    },
+
+    severity: {
+      type: String,
+      enum: {
+        values: ['info', 'warning', 'critical'],
+        message: 'Severity must be: info, warning or critical',
+      },
+      default: 'warning',
+    },
+
+    device: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+      default: null,
+    },
+
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/**
+ * Virtual property: Human-readable condition, e.g. "TDS_Value > 900"
+ */
+alertRuleSchema.virtual('condition').get(function () {
+  return `${this.metric} ${COMPARISONS[this.comparison]} ${this.threshold}`;
+});
+
+/**
+ * Instance method: Whether a value breaches the rule's threshold
+ *
+ * @param {number} value - Metric value
+ * @returns {boolean}
+ */
+alertRuleSchema.methods.isBreached = function (value) {
+  switch (this.comparison) {
+    case 'gt': return value > this.threshold;
+    case 'gte': return value >= this.threshold;
+    case 'lt': return value < this.threshold;
+    case 'lte': return value <= this.threshold;
+    default: return false;
+  }
+};
+
+/**
+ * Instance method: Whether a value has cleared the threshold by the
+ * hysteresis band (used to resolve an open alert)
+ *
+ * @param {number} value - Metric value
+ * @returns {boolean}
+ */
+alertRuleSchema.methods.isCleared = function (value) {
+  if (this.comparison === 'gt' || this.comparison === 'gte') {
+    return value < this.threshold - this.hysteresis;
+  }
+  return value > this.threshold + this.hysteresis;
+};
+
+const AlertRule = mongoose.model('AlertRule', alertRuleSchema);
+
+module.exports = AlertRule;
+module.exports.ALERT_METRICS = ALERT_METRICS;
+module.exports.COMPARISONS = COMPARISONS;
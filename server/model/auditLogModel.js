@@ -0,0 +1,101 @@
+/**
+ * Audit Log Model
+ *
+ * Mongoose schema for the audit trail of administrative changes to user
+ * accounts (role changes, deactivation, forced password resets, deletion).
+ * Entries are written by services/userAdmin and never edited.
+ *
+ * @module model/auditLogModel
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Recorded actions
+ * @constant {Object<string, string>}
+ */
+const AUDIT_ACTIONS = {
+  ROLE_CHANGED: 'user.role_changed',
+  DEACTIVATED: 'user.deactivated',
+  REACTIVATED: 'user.reactivated',
+  PASSWORD_RESET_FORCED: 'user.password_reset_forced',
+  DELETED: 'user.deleted',
+};
+
+/**
+ * Audit Log Schema Definition
+ *
+ * The acting and target users' names and emails are copied into the entry
+ * so it stays readable after either account is deleted.
+ *
+ * @typedef {Object} AuditLog
+ * @property {ObjectId} actor - Admin who made the change
+ * @property {string} actorEmail - Admin's email at the time
+ * @property {string} action - What was done (see AUDIT_ACTIONS)
+ * @property {ObjectId} target - User the change applied to
+ * @property {string} targetEmail - Target's email at the time
+ * @property {string} targetName - Target's full name at the time
+ * @property {Object} details - Action specifics (e.g. `{from, to}` for roles)
+ * @property {string} ip - Address the request came from
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Actor is required'],
+    },
+
+    actorEmail: {
+      type: String,
+      trim: true,
+    },
+
+    action: {
+      type: String,
+      enum: {
+        values: Object.values(AUDIT_ACTIONS),
+        message: 'Unknown audit action: {VALUE}',
+      },
+      required: [true, 'Action is required'],
+    },
+
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    targetEmail: {
+      type: String,
+      trim: true,
+    },
+
+    targetName: {
+      type: String,
+      trim: true,
+    },
+
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    ip: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
@@ -0,0 +1,123 @@
+/**
+ * Command Model
+ *
+ * Mongoose schema for commands sent from the dashboard to a device (e.g.
+ * change the telemetry interval, reboot). services/commandQueue delivers
+ * them one at a time per device and records how each one ended.
+ *
+ * @module model/commandModel
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Commands devices understand (arguments are checked by services/commandQueue)
+ * @constant {Object<string, string>}
+ */
+const COMMAND_NAMES = {
+  SET_INTERVAL: 'set_interval',
+  PING: 'ping',
+  REBOOT: 'reboot',
+  START_MISSION: 'start_mission',
+};
+
+/**
+ * Command lifecycle:
+ * queued -> sent -> acked | failed | timed_out
+ * (a queued command that is never delivered also ends as timed_out)
+ * @constant {Object<string, string>}
+ */
+const COMMAND_STATES = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  ACKED: 'acked',
+  FAILED: 'failed',
+  TIMED_OUT: 'timed_out',
+};
+
+/**
+ * Command Schema Definition
+ *
+ * @typedef {Object} Command
+ * @property {ObjectId} device - Target device
+ * @property {string} name - Command name (see COMMAND_NAMES)
+ * @property {Object} args - Command arguments
+ * @property {string} state - Lifecycle state (see COMMAND_STATES)
+ * @property {ObjectId} issuedBy - User who issued the command
+ * @property {Date} sentAt - When the command went out on the device's socket
+ * @property {Date} completedAt - When it was acked, failed or timed out
+ * @property {Object} result - Extra fields of the device's acknowledgement
+ * @property {string} error - Why the command failed or timed out
+ */
+const commandSchema = new mongoose.Schema(
+  {
+    device: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+      required: [true, 'Target device is required'],
+    },
+
+    name: {
+      type: String,
+      enum: {
+        values: Object.values(COMMAND_NAMES),
+        message: 'Unknown command: {VALUE}',
+      },
+      required: [true, 'Command name is required'],
+    },
+
+    args: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    state: {
+      type: String,
+      enum: Object.values(COMMAND_STATES),
+      default: COMMAND_STATES.QUEUED,
+    },
+
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    sentAt: {
+      type: Date,
+    },
+
+    completedAt: {
+      type: Date,
+    },
+
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+
+    error: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+commandSchema.index({ device: 1, createdAt: -1 });
+commandSchema.index({ state: 1, device: 1 });
+
+/**
+ * Virtual: Whether the command is still waiting to be sent or acknowledged
+ */
+commandSchema.virtual('isPending').get(function () {
+  return this.state === COMMAND_STATES.QUEUED || this.state === COMMAND_STATES.SENT;
+});
+
+const Command = mongoose.model('Command', commandSchema);
+
+module.exports = Command;
+module.exports.COMMAND_NAMES = COMMAND_NAMES;
+module.exports.COMMAND_STATES = COMMAND_STATES;
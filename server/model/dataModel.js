@@ -8,6 +8,7 @@
  */
 
 const mongoose = require('mongoose');
+const { hasFix } = require('../utils/geo');
 
 /**
  * Sensor Data Schema Definition
@@ -23,7 +24,11 @@ const mongoose = require('mongoose');
  * @property {number} latitude - GPS latitude coordinate (-90 to 90)
  * @property {number} longitude - GPS longitude coordinate (-180 to 180)
  * @property {number} speed - Current speed in knots from GPS
+ * @property {Object} position - GeoJSON Point derived from latitude/longitude
+ *   (absent without a GPS fix); backs the 2dsphere spatial queries
  * @property {Date} timestamp - Data collection timestamp
+ * @property {ObjectId} device - Device that produced the reading
+ * @property {ObjectId} mission - Mission that was active when the reading arrived
  */
 const sensorSchema = new mongoose.Schema(
   {
@@ -85,12 +90,33 @@ const sensorSchema = new mongoose.Schema(
       },
     },
 
+    position: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+    },
+
     timestamp: {
       type: Date,
       default: Date.now,
       required: true,
       index: true, // Index for efficient time-based queries
     },
+
+    device: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+    },
+
+    mission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Mission',
+    },
   },
   {
     timestamps: true, // Automatically add createdAt and updatedAt
@@ -102,10 +128,28 @@ const sensorSchema = new mongoose.Schema(
 /**
  * Indexes for better query performance
  * - Time-based queries (recent data)
- * - Geospatial queries (location-based)
+ * - Geospatial queries (near point, within polygon / bounding box)
  */
 sensorSchema.index({ timestamp: -1 }); // Most recent first
-sensorSchema.index({ latitude: 1, longitude: 1 }); // Geospatial queries
+sensorSchema.index({ position: '2dsphere' }); // Geospatial queries
+sensorSchema.index({ device: 1, timestamp: -1 }); // Per-device timelines
+sensorSchema.index({ mission: 1, timestamp: 1 }); // Mission replay & summaries
+
+/**
+ * Middleware: Keep the GeoJSON position in step with latitude/longitude
+ *
+ * Runs on validate so it also covers insertMany (bulk imports). Readings
+ * without a usable fix get no position, which keeps them out of the
+ * 2dsphere index.
+ */
+sensorSchema.pre('validate', function (next) {
+  if (hasFix(this)) {
+    this.position = { type: 'Point', coordinates: [this.longitude, this.latitude] };
+  } else {
+    this.position = undefined;
+  }
+  next();
+});
 
 /**
  * Virtual property: Location string
@@ -0,0 +1,126 @@
+/**
+ * Detection Model
+ *
+ * Mongoose schema for objects the vision node's detector found in a camera
+ * frame. services/detectionRecorder links each detection to the telemetry
+ * reading closest in time to the frame, which gives it a GPS position and
+ * a mission.
+ *
+ * @module model/detectionModel
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Detection Schema Definition
+ *
+ * @typedef {Object} Detection
+ * @property {ObjectId} device - Vision node that reported the detection
+ * @property {number} stream - Camera on the vision node
+ * @property {string} label - Detected class (e.g. "person")
+ * @property {number} classId - Detector class index
+ * @property {number} confidence - Detector score, 0..1
+ * @property {Object} box - Bounding box in frame pixels {x, y, width, height}
+ * @property {number} frameWidth - Frame width in pixels
+ * @property {number} frameHeight - Frame height in pixels
+ * @property {Date} capturedAt - Frame timestamp
+ * @property {ObjectId} reading - Nearest telemetry reading (if one was close enough)
+ * @property {ObjectId} mission - Mission of that reading
+ * @property {number} latitude - Reading latitude
+ * @property {number} longitude - Reading longitude
+ * @property {number} readingOffsetMs - Reading time minus frame time
+ */
+const detectionSchema = new mongoose.Schema(
+  {
+    device: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+      required: true,
+    },
+
+    stream: {
+      type: Number,
+      default: 0,
+    },
+
+    label: {
+      type: String,
+      required: [true, 'Detection label is required'],
+      trim: true,
+      maxlength: [100, 'Detection label cannot exceed 100 characters'],
+    },
+
+    classId: {
+      type: Number,
+    },
+
+    confidence: {
+      type: Number,
+      required: [true, 'Confidence is required'],
+      min: [0, 'Confidence must be between 0 and 1'],
+      max: [1, 'Confidence must be between 0 and 1'],
+    },
+
+    box: {
+      x: { type: Number, required: true, min: 0 },
+      y: { type: Number, required: true, min: 0 },
+      width: { type: Number, required: true, min: 0 },
+      height: { type: Number, required: true, min: 0 },
+    },
+
+    frameWidth: {
+      type: Number,
+    },
+
+    frameHeight: {
+      type: Number,
+    },
+
+    capturedAt: {
+      type: Date,
+      required: true,
+    },
+
+    reading: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sensor',
+    },
+
+    mission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Mission',
+    },
+
+    latitude: {
+      type: Number,
+    },
+
+    longitude: {
+      type: Number,
+    },
+
+    readingOffsetMs: {
+      type: Number,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+detectionSchema.index({ capturedAt: -1 });
+detectionSchema.index({ mission: 1, capturedAt: 1 });
+detectionSchema.index({ device: 1, capturedAt: -1 });
+
+/**
+ * Virtual: Whether the detection has a GPS position
+ */
+detectionSchema.virtual('located').get(function () {
+  return typeof this.latitude === 'number' && typeof this.longitude === 'number';
+});
+
+const Detection = mongoose.model('Detection', detectionSchema);
+
+module.exports = Detection;
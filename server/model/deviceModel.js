@@ -0,0 +1,201 @@
+/**
+ * Device Model
+ *
+ * Mongoose schema for the hardware registered against this server:
+ * ESP8266 sensor boards and Python camera (vision) nodes. Each device
+ * authenticates its WebSocket connection with its own API key. A camera
+ * node can be paired with the sensor board on the same vehicle, whose
+ * readings then locate its detections and captures.
+ *
+ * @module model/deviceModel
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Device kinds
+ * @constant {Object<string, string>}
+ */
+const DEVICE_KINDS = {
+  SENSOR_BOARD: 'sensor_board',
+  CAMERA_NODE: 'camera_node',
+};
+
+/**
+ * A device counts as online if it was seen within this window
+ * @constant {number}
+ */
+const ONLINE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Minimum interval between last-seen writes for a single device, so a
+ * board sending twice a second does not write to MongoDB twice a second
+ * @constant {number}
+ */
+const LAST_SEEN_THROTTLE_MS = 15 * 1000;
+
+/**
+ * Device Schema Definition
+ *
+ * API keys are random 32-byte values, so they are stored as a SHA-256
+ * digest (not bcrypt) which allows direct lookup by hash on connect.
+ *
+ * @typedef {Object} Device
+ * @property {string} name - Unique human-readable name (e.g. "sub-01")
+ * @property {string} kind - Device kind (sensor_board|camera_node)
+ * @property {string} apiKeyHash - SHA-256 hex digest of the API key
+ * @property {string} apiKeyPrefix - First characters of the key, for identification
+ * @property {string} firmwareVersion - Last reported firmware version
+ * @property {Date} lastSeenAt - Last time the device connected or sent data
+ * @property {string} lastSeenIp - Remote address of the last connection
+ * @property {Date} revokedAt - Set when the device's key has been revoked
+ * @property {ObjectId} pairedDevice - For a camera node: the sensor board on
+ *   the same vehicle (null if not paired)
+ */
+const deviceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Device name is required'],
+      unique: true,
+      trim: true,
+      maxlength: [50, 'Device name cannot exceed 50 characters'],
+      match: [/^[a-zA-Z0-9_-]+$/, 'Device name can only contain letters, numbers, hyphens and underscores'],
+    },
+
+    kind: {
+      type: String,
+      required: [true, 'Device kind is required'],
+      enum: {
+        values: Object.values(DEVICE_KINDS),
+        message: 'Kind must be: sensor_board or camera_node',
+      },
+    },
+
+    apiKeyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+
+    apiKeyPrefix: {
+      type: String,
+    },
+
+    firmwareVersion: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Firmware version cannot exceed 50 characters'],
+    },
+
+    lastSeenAt: {
+      type: Date,
+    },
+
+    lastSeenIp: {
+      type: String,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    pairedDevice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/**
+ * Virtual property: Connection status (online|offline|revoked|never)
+ */
+deviceSchema.virtual('status').get(function () {
+  if (this.revokedAt) return 'revoked';
+  if (!this.lastSeenAt) return 'never';
+  return Date.now() - this.lastSeenAt.getTime() < ONLINE_WINDOW_MS ? 'online' : 'offline';
+});
+
+/**
+ * Static method: Hash an API key for storage or lookup
+ *
+ * @param {string} apiKey - Plain API key
+ * @returns {string} SHA-256 hex digest
+ */
+deviceSchema.statics.hashApiKey = function (apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+};
+
+/**
+ * Static method: Generate a new random API key
+ *
+ * @returns {string} Plain API key (shown to the admin once, never stored)
+ */
+deviceSchema.statics.generateApiKey = function () {
+  return `hq_${crypto.randomBytes(32).toString('hex')}`;
+};
+
+/**
+ * Static method: Find an active (non-revoked) device by its API key
+ *
+ * @param {string} apiKey - Plain API key
+ * @returns {Promise<Device|null>}
+ */
+deviceSchema.statics.findByApiKey = function (apiKey) {
+  return this.findOne({ apiKeyHash: this.hashApiKey(apiKey), revokedAt: null }).exec();
+};
+
+/**
+ * Instance method: Replace the device's API key
+ *
+ * Also clears a previous revocation. The caller is responsible for saving.
+ *
+ * @returns {string} The new plain API key
+ */
+deviceSchema.methods.setNewApiKey = function () {
+  const apiKey = this.constructor.generateApiKey();
+  this.apiKeyHash = this.constructor.hashApiKey(apiKey);
+  this.apiKeyPrefix = apiKey.slice(0, 10);
+  this.revokedAt = null;
+  return apiKey;
+};
+
+/**
+ * Instance method: Record that the device was seen
+ *
+ * Writes are throttled to LAST_SEEN_THROTTLE_MS unless the IP or firmware
+ * version changed.
+ *
+ * @param {Object} seen
+ * @param {string} [seen.ip] - Remote address
+ * @param {string} [seen.firmwareVersion] - Reported firmware version
+ * @returns {Promise<void>}
+ */
+deviceSchema.methods.markSeen = async function ({ ip, firmwareVersion } = {}) {
+  const now = new Date();
+  const changed = (ip && ip !== this.lastSeenIp)
+    || (firmwareVersion && firmwareVersion !== this.firmwareVersion);
+  const stale = !this.lastSeenAt || now - this.lastSeenAt >= LAST_SEEN_THROTTLE_MS;
+  if (!changed && !stale) return;
+
+  const update = { lastSeenAt: now };
+  if (ip) update.lastSeenIp = ip;
+  if (firmwareVersion) update.firmwareVersion = firmwareVersion;
+
+  Object.assign(this, update);
+  await this.constructor.updateOne({ _id: this._id }, { $set: update });
+};
+
+const Device = mongoose.model('Device', deviceSchema);
+
+module.exports = Device;
+module.exports.DEVICE_KINDS = DEVICE_KINDS;
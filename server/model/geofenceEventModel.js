@@ -0,0 +1,92 @@
+/**
+ * Geofence Event Model
+ *
+ * Mongoose schema for the enter/exit events fired when a device's GPS fix
+ * crosses a geofence boundary.
+ *
+ * @module model/geofenceEventModel
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Event types
+ * @constant {string[]}
+ */
+const GEOFENCE_EVENT_TYPES = ['enter', 'exit'];
+
+/**
+ * Geofence Event Schema Definition
+ *
+ * @typedef {Object} GeofenceEvent
+ * @property {ObjectId} geofence - Fence that was crossed
+ * @property {string} geofenceName - Fence name at the time (kept if the fence is deleted)
+ * @property {ObjectId} device - Device that crossed it
+ * @property {ObjectId} mission - Mission active at the time
+ * @property {ObjectId} reading - Sensor reading with the first fix on the new side
+ * @property {string} type - enter|exit
+ * @property {number} latitude - Fix latitude
+ * @property {number} longitude - Fix longitude
+ * @property {Date} occurredAt - Reading timestamp
+ */
+const geofenceEventSchema = new mongoose.Schema(
+  {
+    geofence: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Geofence',
+      required: true,
+    },
+
+    geofenceName: {
+      type: String,
+    },
+
+    device: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+      required: true,
+    },
+
+    mission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Mission',
+    },
+
+    reading: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sensor',
+    },
+
+    type: {
+      type: String,
+      required: true,
+      enum: GEOFENCE_EVENT_TYPES,
+    },
+
+    latitude: {
+      type: Number,
+      required: true,
+    },
+
+    longitude: {
+      type: Number,
+      required: true,
+    },
+
+    occurredAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+geofenceEventSchema.index({ device: 1, occurredAt: -1 });
+geofenceEventSchema.index({ geofence: 1, device: 1, occurredAt: -1 });
+
+const GeofenceEvent = mongoose.model('GeofenceEvent', geofenceEventSchema);
+
+module.exports = GeofenceEvent;
+module.exports.GEOFENCE_EVENT_TYPES = GEOFENCE_EVENT_TYPES;
@@ -0,0 +1,202 @@
+/**
+ * Geofence Model
+ *
+ * Mongoose schema for admin-drawn operating areas. Fences are stored as
+ * GeoJSON: polygons as a `Polygon` geometry, circles as a `Point` centre
+ * with a radius in metres (GeoJSON has no circle type). Every GPS fix is
+ * checked against the enabled fences by services/geofenceMonitor.
+ *
+ * @module model/geofenceModel
+ */
+
+const mongoose = require('mongoose');
+const { distanceMeters, polygonContains } = require('../utils/geo');
+
+/**
+ * Supported fence shapes and the GeoJSON geometry type each is stored as
+ * @constant {Object<string, string>}
+ */
+const GEOFENCE_SHAPES = {
+  polygon: 'Polygon',
+  circle: 'Point',
+};
+
+/**
+ * Checks a GeoJSON position ([longitude, latitude])
+ *
+ * @param {*} position - Candidate position
+ * @returns {boolean}
+ */
+const isPosition = (position) => Array.isArray(position)
+  && position.length >= 2
+  && Number.isFinite(position[0]) && position[0] >= -180 && position[0] <= 180
+  && Number.isFinite(position[1]) && position[1] >= -90 && position[1] <= 90;
+
+/**
+ * Checks a closed GeoJSON linear ring
+ *
+ * @param {*} ring - Candidate ring
+ * @returns {boolean}
+ */
+const isRing = (ring) => Array.isArray(ring)
+  && ring.length >= 4
+  && ring.every(isPosition)
+  && ring[0][0] === ring[ring.length - 1][0]
+  && ring[0][1] === ring[ring.length - 1][1];
+
+/**
+ * Geofence Schema Definition
+ *
+ * @typedef {Object} Geofence
+ * @property {string} name - Fence name shown on events
+ * @property {string} shape - polygon|circle
+ * @property {Object} geometry - GeoJSON Polygon, or Point centre for circles
+ * @property {number} radiusMeters - Circle radius (circles only)
+ * @property {ObjectId} device - Limit the fence to one device (all devices if empty)
+ * @property {boolean} enabled - Whether fixes are checked against the fence
+ * @property {ObjectId} createdBy - Admin who drew the fence
+ */
+const geofenceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Geofence name is required'],
+      trim: true,
+      maxlength: [100, 'Geofence name cannot exceed 100 characters'],
+    },
+
+    shape: {
+      type: String,
+      required: [true, 'Shape is required'],
+      enum: {
+        values: Object.keys(GEOFENCE_SHAPES),
+        message: 'Shape must be: polygon or circle',
+      },
+    },
+
+    geometry: {
+      type: {
+        type: String,
+        required: [true, 'Geometry type is required'],
+        enum: {
+          values: Object.values(GEOFENCE_SHAPES),
+          message: 'Geometry must be a GeoJSON Polygon or Point',
+        },
+      },
+      coordinates: {
+        type: mongoose.Schema.Types.Mixed,
+        required: [true, 'Geometry coordinates are required'],
+      },
+    },
+
+    radiusMeters: {
+      type: Number,
+      min: [1, 'Radius must be at least 1 metre'],
+      validate: {
+        validator: function (value) {
+          return this.shape !== 'circle' || Number.isFinite(value);
+        },
+        message: 'Circle geofences need a radius',
+      },
+    },
+
+    device: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+      default: null,
+    },
+
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/**
+ * Validation: geometry type matches the shape and its coordinates are
+ * well-formed GeoJSON
+ */
+geofenceSchema.path('geometry.coordinates').validate(function (coordinates) {
+  if (this.shape === 'circle') return isPosition(coordinates);
+  return Array.isArray(coordinates) && coordinates.length > 0 && coordinates.every(isRing);
+}, 'Geometry coordinates are not valid for this shape');
+
+geofenceSchema.path('geometry.type').validate(function (type) {
+  return GEOFENCE_SHAPES[this.shape] === type;
+}, 'Geometry type does not match the shape');
+
+/**
+ * Instance method: Whether a GPS fix lies inside the fence
+ *
+ * @param {{latitude: number, longitude: number}} point - GPS fix
+ * @returns {boolean}
+ */
+geofenceSchema.methods.contains = function (point) {
+  if (this.shape === 'circle') {
+    const [longitude, latitude] = this.geometry.coordinates;
+    return distanceMeters({ latitude, longitude }, point) <= this.radiusMeters;
+  }
+  return polygonContains(point, this.geometry.coordinates);
+};
+
+/**
+ * Instance method: The fence as a GeoJSON Feature
+ *
+ * Circles carry their radius in `properties.radius` (metres), the
+ * convention Leaflet and most drawing tools use.
+ *
+ * @returns {Object} GeoJSON Feature
+ */
+geofenceSchema.methods.toFeature = function () {
+  return {
+    type: 'Feature',
+    id: String(this._id),
+    geometry: { type: this.geometry.type, coordinates: this.geometry.coordinates },
+    properties: {
+      name: this.name,
+      shape: this.shape,
+      radius: this.shape === 'circle' ? this.radiusMeters : undefined,
+      device: this.device ? String(this.device._id || this.device) : null,
+      enabled: this.enabled,
+    },
+  };
+};
+
+/**
+ * Static method: Build fence fields from a GeoJSON Feature
+ *
+ * A Point geometry with `properties.radius` becomes a circle; a Polygon
+ * becomes a polygon. The result still has to pass schema validation.
+ *
+ * @param {Object} feature - GeoJSON Feature (or bare geometry)
+ * @returns {Object} Fields for `Geofence.create`
+ */
+geofenceSchema.statics.fieldsFromFeature = function (feature = {}) {
+  const geometry = feature.type === 'Feature' ? feature.geometry || {} : feature;
+  const properties = feature.properties || {};
+  const isCircle = geometry.type === 'Point';
+
+  return {
+    name: properties.name,
+    shape: isCircle ? 'circle' : 'polygon',
+    geometry: { type: geometry.type, coordinates: geometry.coordinates },
+    radiusMeters: isCircle ? Number(properties.radius) : undefined,
+    device: properties.device || null,
+  };
+};
+
+const Geofence = mongoose.model('Geofence', geofenceSchema);
+
+module.exports = Geofence;
+module.exports.GEOFENCE_SHAPES = GEOFENCE_SHAPES;
@@ -0,0 +1,111 @@
+/**
+ * Login Event Model
+ *
+ * Mongoose schema for login attempts: one entry per successful login and
+ * per refused attempt, including attempts on unknown emails and attempts
+ * refused by the lockout (services/loginThrottle). Users see the entries
+ * of their own account on the profile page; admins review all of them in
+ * the user console. Entries expire after LOGIN_HISTORY_DAYS.
+ *
+ * @module model/loginEventModel
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Days a login event is kept
+ * @constant {number}
+ */
+const LOGIN_HISTORY_DAYS = Number(process.env.LOGIN_HISTORY_DAYS) || 90;
+
+/**
+ * Why an attempt was refused
+ * @constant {Object<string, string>}
+ */
+const LOGIN_FAILURES = {
+  BAD_PASSWORD: 'bad_password',
+  UNKNOWN_EMAIL: 'unknown_email',
+  INACTIVE: 'inactive',
+  LOCKED: 'locked',
+};
+
+/**
+ * Readable outcome of each refusal reason
+ * @constant {Object<string, string>}
+ */
+const FAILURE_LABELS = {
+  [LOGIN_FAILURES.BAD_PASSWORD]: 'wrong password',
+  [LOGIN_FAILURES.UNKNOWN_EMAIL]: 'unknown email',
+  [LOGIN_FAILURES.INACTIVE]: 'account inactive',
+  [LOGIN_FAILURES.LOCKED]: 'locked out',
+};
+
+/**
+ * Login Event Schema Definition
+ *
+ * @typedef {Object} LoginEvent
+ * @property {ObjectId} user - Account logged in to (none for unknown emails)
+ * @property {string} email - Email entered on the login form
+ * @property {boolean} success - Whether the login succeeded
+ * @property {string} failure - Why it was refused (see LOGIN_FAILURES)
+ * @property {string} ip - Address the attempt came from
+ * @property {string} userAgent - Browser of the attempt
+ * @property {Date} createdAt - When it happened
+ */
+const loginEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      maxlength: 254,
+    },
+
+    success: {
+      type: Boolean,
+      required: true,
+    },
+
+    failure: {
+      type: String,
+      enum: Object.values(LOGIN_FAILURES),
+    },
+
+    ip: {
+      type: String,
+    },
+
+    userAgent: {
+      type: String,
+      maxlength: 300,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/**
+ * Virtual: readable outcome ("success", "wrong password", ...)
+ */
+loginEventSchema.virtual('outcome').get(function () {
+  return this.success ? 'success' : FAILURE_LABELS[this.failure] || 'refused';
+});
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ email: 1, createdAt: -1 });
+loginEventSchema.index({ ip: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_DAYS * 24 * 60 * 60 });
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+
+module.exports = LoginEvent;
+module.exports.LOGIN_HISTORY_DAYS = LOGIN_HISTORY_DAYS;
+module.exports.LOGIN_FAILURES = LOGIN_FAILURES;
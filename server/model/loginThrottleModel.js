@@ -0,0 +1,54 @@
+/**
+ * Login Throttle Model
+ *
+ * Mongoose schema for the failed-login counters of the MongoDB store of
+ * services/loginThrottle: one document per account (`account:<email>`) or
+ * client address (`ip:<address>`). Documents remove themselves once both
+ * the counting window and any lockout are over.
+ *
+ * @module model/loginThrottleModel
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Login Throttle Schema Definition
+ *
+ * @typedef {Object} LoginThrottle
+ * @property {string} key - `account:<email>` or `ip:<address>`
+ * @property {number} failures - Failed logins in the current window
+ * @property {Date} windowEndsAt - When the failure count starts over
+ * @property {Date} lockedUntil - Logins are refused until then
+ * @property {Date} expiresAt - When the document is removed
+ */
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    unique: true,
+  },
+
+  failures: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+
+  windowEndsAt: {
+    type: Date,
+  },
+
+  lockedUntil: {
+    type: Date,
+  },
+
+  expiresAt: {
+    type: Date,
+  },
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+module.exports = LoginThrottle;
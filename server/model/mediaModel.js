@@ -0,0 +1,168 @@
+/**
+ * Media Model
+ *
+ * Mongoose schema for snapshots and clips saved from the relayed camera
+ * stream. The image or video itself lives on disk (see
+ * services/mediaRecorder); the document holds what was captured when and
+ * where: the mission, the GPS fix at capture and the detections in view.
+ *
+ * @module model/mediaModel
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Kinds of saved media
+ * @constant {string[]}
+ */
+const MEDIA_KINDS = ['snapshot', 'clip'];
+
+/**
+ * Recording lifecycle: clips are `recording` until stopped, snapshots are
+ * `ready` right away; a clip that was cut short by a restart is `failed`
+ * @constant {string[]}
+ */
+const MEDIA_STATUSES = ['recording', 'ready', 'failed'];
+
+/**
+ * Media Schema Definition
+ *
+ * @typedef {Object} Media
+ * @property {string} kind - snapshot or clip
+ * @property {string} status - recording, ready or failed
+ * @property {ObjectId} device - Vision node that sent the frames
+ * @property {number} stream - Camera on the vision node
+ * @property {string} fileName - File name inside the media directory
+ * @property {string} mimeType - Content type of the file
+ * @property {number} size - File size in bytes
+ * @property {Date} startedAt - Capture time of the first frame
+ * @property {Date} endedAt - Capture time of the last frame
+ * @property {number} frameCount - Frames in the file
+ * @property {Object} frames - Clip frame index {offsets, times} (not selected by default)
+ * @property {ObjectId} mission - Mission at capture (from the nearest reading)
+ * @property {number} latitude - GPS latitude at capture
+ * @property {number} longitude - GPS longitude at capture
+ * @property {ObjectId[]} detections - Detections in view
+ * @property {ObjectId} createdBy - User who saved it
+ */
+const mediaSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: {
+        values: MEDIA_KINDS,
+        message: 'Kind must be one of: ' + MEDIA_KINDS.join(', '),
+      },
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: MEDIA_STATUSES,
+      default: 'ready',
+    },
+
+    device: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+      required: true,
+    },
+
+    stream: {
+      type: Number,
+      default: 0,
+    },
+
+    fileName: {
+      type: String,
+      required: true,
+    },
+
+    mimeType: {
+      type: String,
+      required: true,
+    },
+
+    size: {
+      type: Number,
+      default: 0,
+    },
+
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+
+    endedAt: {
+      type: Date,
+    },
+
+    frameCount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Byte offset of each frame in the clip file and its time (ms from
+    // startedAt); only needed for playback, so not loaded by default
+    frames: {
+      type: {
+        offsets: [Number],
+        times: [Number],
+      },
+      select: false,
+    },
+
+    mission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Mission',
+    },
+
+    latitude: {
+      type: Number,
+    },
+
+    longitude: {
+      type: Number,
+    },
+
+    detections: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Detection',
+      },
+    ],
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+mediaSchema.index({ createdAt: -1 });
+mediaSchema.index({ mission: 1, startedAt: 1 });
+
+/**
+ * Virtual: Clip length in milliseconds (0 for snapshots)
+ */
+mediaSchema.virtual('durationMs').get(function () {
+  return this.endedAt ? this.endedAt.getTime() - this.startedAt.getTime() : 0;
+});
+
+/**
+ * Virtual: URL the file is served from
+ */
+mediaSchema.virtual('url').get(function () {
+  return `/api/media/${this._id}/file`;
+});
+
+const Media = mongoose.model('Media', mediaSchema);
+
+module.exports = Media;
+module.exports.MEDIA_KINDS = MEDIA_KINDS;
+module.exports.MEDIA_STATUSES = MEDIA_STATUSES;
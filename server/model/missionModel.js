@@ -0,0 +1,114 @@
+/**
+ * Mission Model
+ *
+ * Mongoose schema for a mission (dive session). Telemetry received from a
+ * device while one of its missions is active is tagged with that mission,
+ * so each dive can be reviewed on its own.
+ *
+ * @module model/missionModel
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Mission Schema Definition
+ *
+ * @typedef {Object} Mission
+ * @property {string} name - Mission name (e.g. "Harbour survey #3")
+ * @property {Date} startedAt - Mission start time
+ * @property {Date} endedAt - Mission end time (null while active)
+ * @property {ObjectId} device - Device carrying out the mission
+ * @property {ObjectId} operator - User who started the mission
+ * @property {string} notes - Free-form operator notes
+ */
+const missionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Mission name is required'],
+      trim: true,
+      maxlength: [100, 'Mission name cannot exceed 100 characters'],
+    },
+
+    startedAt: {
+      type: Date,
+      default: Date.now,
+      required: true,
+    },
+
+    endedAt: {
+      type: Date,
+      default: null,
+      validate: {
+        validator: function (value) {
+          return !value || value >= this.startedAt;
+        },
+        message: 'Mission cannot end before it starts',
+      },
+    },
+
+    device: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+      required: [true, 'Mission device is required'],
+    },
+
+    operator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Notes cannot exceed 2000 characters'],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/**
+ * Indexes for better query performance
+ * - Active mission lookup per device (runs on every reading)
+ * - Mission list, most recent first
+ * - At most one active mission per device, even when two are started at
+ *   the same time (a second insert fails with a duplicate key error)
+ */
+missionSchema.index({ device: 1, endedAt: 1 });
+missionSchema.index({ startedAt: -1 });
+missionSchema.index({ device: 1 }, { unique: true, partialFilterExpression: { endedAt: { $type: 'null' } } });
+
+/**
+ * Virtual property: Whether the mission is still running
+ */
+missionSchema.virtual('isActive').get(function () {
+  return !this.endedAt;
+});
+
+/**
+ * Virtual property: Duration in milliseconds (up to now while active)
+ */
+missionSchema.virtual('durationMs').get(function () {
+  const end = this.endedAt || new Date();
+  return end - this.startedAt;
+});
+
+/**
+ * Static method: Get the active mission for a device
+ *
+ * @param {ObjectId} deviceId - Device ID
+ * @returns {Promise<Mission|null>}
+ */
+missionSchema.statics.findActive = function (deviceId) {
+  return this.findOne({ device: deviceId, endedAt: null })
+    .sort({ startedAt: -1 })
+    .exec();
+};
+
+const Mission = mongoose.model('Mission', missionSchema);
+
+module.exports = Mission;
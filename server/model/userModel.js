@@ -10,6 +10,22 @@
 const mongoose = require('mongoose');
 const validator = require('validator');
 
+/**
+ * User roles (what each may do is set in config/permissions)
+ * @constant {Object<string, string>}
+ */
+const USER_ROLES = {
+  USER: 'user',
+  MOD: 'mod',
+  ADMIN: 'admin',
+};
+
+/**
+ * Accepted gender values
+ * @constant {string[]}
+ */
+const GENDERS = ['male', 'female', 'other', 'prefer-not-to-say'];
+
 /**
  * User Schema Definition
  *
@@ -84,7 +100,7 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Gender is required'],
       enum: {
-        values: ['male', 'female', 'other', 'prefer-not-to-say'],
+        values: GENDERS,
         message: 'Gender must be: male, female, other, or prefer-not-to-say',
       },
     },
@@ -114,10 +130,10 @@ const userSchema = new mongoose.Schema(
     role: {
       type: String,
       enum: {
-        values: ['user', 'admin', 'mod'],
+        values: Object.values(USER_ROLES),
         message: 'Role must be: user, admin, or mod',
       },
-      default: 'user',
+      default: USER_ROLES.USER,
     },
 
     resetPasswordToken: {
@@ -161,6 +177,38 @@ userSchema.pre('save', function (next) {
   next();
 });
 
+/**
+ * Whether the password was changed after a point in time (e.g. the moment
+ * a session was created), which makes that session stale
+ *
+ * @param {number|Date} time - Timestamp to compare with
+ * @returns {boolean}
+ */
+userSchema.methods.changedPasswordAfter = function (time) {
+  return Boolean(this.passwordChangedAt) && this.passwordChangedAt.getTime() > new Date(time).getTime();
+};
+
+/**
+ * Loads the user behind a login session (see config/passport)
+ *
+ * Sessions created before the user's last password change are refused, so
+ * a password reset logs the account out everywhere, and so are sessions of
+ * deactivated accounts. Sessions stored as a bare id predate this check
+ * and are refused as well.
+ *
+ * @param {{id: string, issuedAt: number}|string} session - Serialized session user
+ * @returns {Promise<User|null>}
+ */
+userSchema.statics.findBySession = async function (session) {
+  if (!session || typeof session !== 'object' || !session.id) return null;
+
+  const user = await this.findById(session.id).select('+isActive');
+  if (!user || user.isActive === false || user.changedPasswordAfter(session.issuedAt || 0)) return null;
+  return user;
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
+module.exports.USER_ROLES = USER_ROLES;
+module.exports.GENDERS = GENDERS;
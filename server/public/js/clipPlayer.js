@@ -0,0 +1,122 @@
+/*******************************************************************************************************
+ *                                                                                                      *
+ *                                          Clip Player                                                 *
+ *                                                                                                      *
+ *******************************************************************************************************/
+/**
+ * Plays a saved camera clip onto a canvas. Clips are stored as JPEG frames
+ * back to back (services/mediaRecorder); the frame offsets and times come
+ * from /api/media/:id, so each frame can be cut out of the file and shown
+ * at its original time.
+ *
+ * Usage:
+ *   const player = new ClipPlayer({ canvas, slider, clock });
+ *   await player.load(mediaId);
+ *   player.play();
+ */
+class ClipPlayer {
+  /**
+   * @param {Object} elements
+   * @param {HTMLCanvasElement} elements.canvas - Canvas to draw on
+   * @param {HTMLInputElement} [elements.slider] - Range input to scrub with
+   * @param {HTMLElement} [elements.clock] - Element for the position readout
+   */
+  constructor({ canvas, slider, clock }) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.slider = slider;
+    this.clock = clock;
+    this.frames = [];
+    this.times = [];
+    this.index = 0;
+    this.timer = null;
+    this.loads = 0;
+
+    if (this.slider) {
+      this.slider.addEventListener('input', () => {
+        this.pause();
+        this.seek(Number(this.slider.value));
+      });
+    }
+  }
+
+  /** Whether the clip is playing */
+  get playing() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Loads a clip and shows its first frame
+   *
+   * @param {string} id - Media id
+   * @returns {Promise<Object>} Media document
+   */
+  async load(id) {
+    this.pause();
+    const load = ++this.loads;
+    const [media, file] = await Promise.all([
+      fetch('/api/media/' + id).then((res) => res.json()),
+      fetch('/api/media/' + id + '/file').then((res) => res.blob()),
+    ]);
+    // A newer load started while this one was fetching
+    if (load !== this.loads) return media;
+
+    const { offsets, times } = media.frames || { offsets: [], times: [] };
+    this.frames = offsets.map((offset, i) => file.slice(offset, offsets[i + 1] || file.size, 'image/jpeg'));
+    this.times = times;
+    if (this.slider) {
+      this.slider.max = String(Math.max(this.frames.length - 1, 0));
+    }
+    await this.seek(0);
+    return media;
+  }
+
+  /**
+   * Shows one frame
+   *
+   * @param {number} index - Frame number
+   */
+  async seek(index) {
+    if (!this.frames.length) return;
+    this.index = Math.min(Math.max(index, 0), this.frames.length - 1);
+    const bitmap = await createImageBitmap(this.frames[this.index]);
+    if (this.canvas.width !== bitmap.width || this.canvas.height !== bitmap.height) {
+      this.canvas.width = bitmap.width;
+      this.canvas.height = bitmap.height;
+    }
+    this.context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    if (this.slider) this.slider.value = String(this.index);
+    if (this.clock) {
+      const seconds = (this.times[this.index] || 0) / 1000;
+      const total = (this.times[this.times.length - 1] || 0) / 1000;
+      this.clock.textContent = seconds.toFixed(1) + ' / ' + total.toFixed(1) + ' s';
+    }
+  }
+
+  /** Plays from the current frame (from the start if at the end) */
+  play() {
+    if (this.playing || !this.frames.length) return;
+    if (this.index >= this.frames.length - 1) this.index = 0;
+
+    const step = async () => {
+      await this.seek(this.index);
+      if (this.index >= this.frames.length - 1) {
+        this.pause();
+        return;
+      }
+      // Wait as long as the camera did between this frame and the next
+      const wait = this.times[this.index + 1] - this.times[this.index];
+      this.index += 1;
+      if (this.playing) this.timer = setTimeout(step, Math.max(wait, 0));
+    };
+    this.timer = setTimeout(step, 0);
+  }
+
+  /** Stops playback at the current frame */
+  pause() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
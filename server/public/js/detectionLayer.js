@@ -0,0 +1,118 @@
+/*******************************************************************************************************
+ *                                                                                                      *
+ *                                        Detection Layer                                               *
+ *                                                                                                      *
+ *******************************************************************************************************/
+/**
+ * Leaflet layer of object detections: one marker per detection at the GPS
+ * position of its nearest telemetry reading, coloured by label. Detections
+ * without a position are kept (for timelines) but not drawn.
+ *
+ * Usage:
+ *   const detections = new DetectionLayer(map);
+ *   await detections.load({ mission: missionId });
+ *   socket.on('detection', (message) => message.detections.forEach((d) => detections.add(d)));
+ */
+class DetectionLayer {
+  /** Detections requested per load (API maximum) */
+  static LIMIT = 1000;
+
+  /**
+   * @param {L.Map} map - Map to draw on
+   * @param {Object} [options]
+   * @param {boolean} [options.show=true] - Add the layer to the map right away
+   */
+  constructor(map, { show = true } = {}) {
+    this.map = map;
+    this.layer = L.featureGroup();
+    this.markers = new Map();
+    if (show) this.layer.addTo(map);
+  }
+
+  /**
+   * Stable colour for a label
+   *
+   * @param {string} label - Detected class
+   * @returns {string} CSS colour
+   */
+  static colorFor(label) {
+    let hash = 0;
+    for (const char of label) hash = (hash * 31 + char.charCodeAt(0)) % 360;
+    return 'hsl(' + hash + ', 85%, 55%)';
+  }
+
+  /**
+   * Popup text for a detection
+   *
+   * @param {Object} detection - Detection document
+   * @returns {string} HTML
+   */
+  static describe(detection) {
+    const label = detection.label.replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    return '<strong>' + label + '</strong> ('
+      + Math.round(detection.confidence * 100) + '%)<br>'
+      + new Date(detection.capturedAt).toLocaleString() + '<br>'
+      + detection.latitude.toFixed(6) + ', ' + detection.longitude.toFixed(6);
+  }
+
+  /**
+   * Adds a detection to the map (no-op without a GPS position)
+   *
+   * @param {Object} detection - Detection document
+   */
+  add(detection) {
+    if (typeof detection.latitude !== 'number' || typeof detection.longitude !== 'number') return;
+    if (this.markers.has(detection._id)) return;
+
+    const color = DetectionLayer.colorFor(detection.label);
+    const marker = L.circleMarker([detection.latitude, detection.longitude], {
+      radius: 6, color: '#ffffff', weight: 1, fillColor: color, fillOpacity: 0.9,
+    })
+      .bindPopup(() => DetectionLayer.describe(detection))
+      .addTo(this.layer);
+    this.markers.set(detection._id, marker);
+  }
+
+  /** Removes every marker */
+  clear() {
+    this.layer.clearLayers();
+    this.markers.clear();
+  }
+
+  /**
+   * Replaces the markers with detections from /api/detections
+   *
+   * @param {Object} [query] - Filters (mission, device, label, minConfidence, from, to)
+   * @returns {Promise<Object[]>} Loaded detections, newest first
+   */
+  async load(query = {}) {
+    const params = new URLSearchParams({ ...query, limit: String(DetectionLayer.LIMIT) });
+    const res = await fetch('/api/detections?' + params);
+    if (!res.ok) return [];
+    const { data } = await res.json();
+
+    this.clear();
+    data.forEach((detection) => this.add(detection));
+    return data;
+  }
+
+  /**
+   * Pans to a detection and opens its popup
+   *
+   * @param {string} id - Detection id
+   * @returns {boolean} False if the detection is not on the map
+   */
+  focus(id) {
+    const marker = this.markers.get(id);
+    if (!marker) return false;
+    if (!this.map.hasLayer(this.layer)) this.layer.addTo(this.map);
+    this.map.setView(marker.getLatLng(), Math.max(this.map.getZoom(), 14));
+    marker.openPopup();
+    return true;
+  }
+
+  /** Zooms to fit every drawn detection */
+  fit() {
+    if (this.markers.size) this.map.fitBounds(this.layer.getBounds(), { padding: [20, 20] });
+  }
+}
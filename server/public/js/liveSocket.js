@@ -0,0 +1,374 @@
+/*******************************************************************************************************
+ *                                                                                                      *
+ *                                          Live Socket                                                 *
+ *                                                                                                      *
+ *******************************************************************************************************/
+/**
+ * Shared dashboard WebSocket client.
+ *
+ * - Connects to the page's own origin (ws:// or wss:// to match http/https)
+ * - Parses the {type, payload} envelope and calls the handler registered
+ *   for each message type; binary messages are video frames and go to the
+ *   `video_frame` handler as {stream, seq, capturedAt, jpeg}
+ * - Reconnects after a drop with exponential backoff (1s, 2s, 4s... up to 30s)
+ * - Shows the connection state in a small status badge, and marks the data
+ *   stale when no telemetry (or the page's `dataType`) has arrived for a while
+ * - After a reconnect, pages with a telemetry handler get the readings
+ *   missed while offline, fetched from the history API per device (device
+ *   clocks differ) and handed over before any live readings that arrived
+ *   meanwhile; readings are told apart by id, so none is handed over twice
+ *
+ * Usage:
+ *   const socket = new LiveSocket();
+ *   socket.on('telemetry', (reading, { backfill }) => { ... });
+ *   socket.on('alert', (payload) => { ... });
+ *   socket.connect();
+ */
+class LiveSocket {
+  /** First reconnect delay in milliseconds */
+  static MIN_DELAY = 1000;
+
+  /** Longest reconnect delay in milliseconds */
+  static MAX_DELAY = 30000;
+
+  /** Readings fetched per history page when backfilling (API maximum) */
+  static BACKFILL_PAGE = 1000;
+
+  /** Upper bound on readings replayed after one reconnect */
+  static MAX_BACKFILL = 5000;
+
+  /** Reading ids remembered for de-duplication */
+  static MAX_SEEN = 2 * LiveSocket.MAX_BACKFILL;
+
+  /** Badge text and modifier per connection state */
+  static STATES = {
+    connecting: { text: 'Connecting...', modifier: 'connecting' },
+    live: { text: 'Live', modifier: 'live' },
+    stale: { text: 'No data', modifier: 'stale' },
+    backfilling: { text: 'Catching up...', modifier: 'connecting' },
+    offline: { text: 'Offline', modifier: 'offline' },
+  };
+
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.channels] - Channels to subscribe to (server defaults if omitted)
+   * @param {number} [options.staleAfter=15000] - Ms without data before it counts as stale
+   * @param {string} [options.dataType='telemetry'] - Message type that counts as fresh data
+   * @param {HTMLElement} [options.indicator] - Status badge (one is added to the page if omitted)
+   * @param {Object} [options.query] - Extra /api/telemetry filters for backfill (e.g. device)
+   */
+  constructor({ channels, staleAfter = 15000, dataType = 'telemetry', indicator, query = {} } = {}) {
+    this.url = (location.protocol === 'https:' ? 'wss:' : 'ws:') + '//' + location.host;
+    this.channels = channels;
+    this.staleAfter = staleAfter;
+    this.dataType = dataType;
+    this.query = query;
+    this.handlers = {};
+    this.ws = null;
+    this.attempts = 0;
+    this.retryTimer = null;
+    this.retryAt = 0;
+    this.backfilling = false;
+    this.queued = [];
+    this.openedAt = 0;
+    // Newest reading time per device id ('' for readings without one)
+    this.lastReadingAt = {};
+    this.seenReadings = new Set();
+    this.lastDataAt = 0;
+
+    this.indicator = indicator || this.createIndicator();
+    this.state = 'connecting';
+    this.render();
+    // Re-evaluates staleness and the retry countdown once a second
+    this.clock = setInterval(() => this.render(), 1000);
+  }
+
+  /**
+   * Registers the handler for a message type
+   *
+   * Telemetry handlers receive (reading, {backfill}) where `backfill` is
+   * true for readings fetched from history after a reconnect.
+   *
+   * @param {string} type - Message type (telemetry, alert, geofence...)
+   * @param {Function} handler - (payload, meta)
+   * @returns {LiveSocket} this, for chaining
+   */
+  on(type, handler) {
+    this.handlers[type] = handler;
+    return this;
+  }
+
+  /** Opens the connection (and keeps it open) */
+  connect() {
+    clearTimeout(this.retryTimer);
+    this.setState('connecting');
+
+    const ws = new WebSocket(this.url);
+    ws.binaryType = 'arraybuffer';
+    this.ws = ws;
+
+    ws.onopen = () => {
+      const reconnected = Boolean(this.openedAt);
+      if (!reconnected) this.openedAt = Date.now();
+      this.attempts = 0;
+      if (this.channels) this.send('subscribe', { channels: this.channels });
+
+      if (reconnected && this.handlers.telemetry) {
+        this.backfill();
+      } else {
+        this.setState('live');
+      }
+    };
+
+    ws.onmessage = (event) => {
+      if (event.data instanceof ArrayBuffer) {
+        const frame = LiveSocket.parseFrame(event.data);
+        if (frame) this.dispatch('video_frame', frame);
+        return;
+      }
+
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (err) {
+        console.error('[LiveSocket] Unreadable message:', err);
+        return;
+      }
+
+      if (message.type === 'telemetry' && this.backfilling) {
+        this.queued.push(message.payload);
+        return;
+      }
+      this.dispatch(message.type, message.payload);
+    };
+
+    ws.onerror = (error) => {
+      console.error('[LiveSocket] WebSocket Error:', error);
+    };
+
+    ws.onclose = () => {
+      if (this.ws !== ws) return;
+      this.scheduleReconnect();
+    };
+  }
+
+  /**
+   * Parses a binary video frame (header layout in server/utils/videoFrame.js)
+   *
+   * @param {ArrayBuffer} buffer - Message bytes
+   * @returns {{stream: number, seq: number, capturedAt: number|null, jpeg: Blob}|null}
+   *   The frame, or null if the header is not recognised
+   */
+  static parseFrame(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 20 || view.getUint16(0) !== 0x4851) return null;
+    const headerLength = view.getUint8(3);
+    const capturedAt = view.getFloat64(12);
+
+    return {
+      stream: view.getUint16(4),
+      seq: view.getUint32(8),
+      capturedAt: Number.isNaN(capturedAt) ? null : capturedAt,
+      jpeg: new Blob([buffer.slice(headerLength)], { type: 'image/jpeg' }),
+    };
+  }
+
+  /**
+   * Sends an envelope if the socket is open
+   *
+   * @param {string} type - Message type
+   * @param {Object} payload - Message payload
+   * @returns {boolean} True if the message was sent
+   */
+  send(type, payload) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return false;
+    this.ws.send(JSON.stringify({ type, payload }));
+    return true;
+  }
+
+  /**
+   * Calls the handler for a message
+   *
+   * @param {string} type - Message type
+   * @param {Object} payload - Message payload
+   * @param {boolean} [backfill=false] - Whether the reading came from history
+   */
+  dispatch(type, payload, backfill = false) {
+    if (type === 'telemetry') {
+      // Skip readings already seen (backfill and live can overlap)
+      const id = payload._id || payload.id;
+      if (id !== undefined) {
+        if (this.seenReadings.has(String(id))) return;
+        this.seenReadings.add(String(id));
+        if (this.seenReadings.size > LiveSocket.MAX_SEEN) {
+          this.seenReadings.delete(this.seenReadings.values().next().value);
+        }
+      }
+
+      const device = LiveSocket.deviceOf(payload);
+      const time = new Date(payload.timestamp).getTime();
+      if (!(time <= this.lastReadingAt[device])) this.lastReadingAt[device] = time;
+    }
+    if (type === this.dataType) {
+      this.lastDataAt = Date.now();
+      if (this.state === 'stale') this.setState('live');
+    }
+
+    const handler = this.handlers[type];
+    if (handler) handler(payload, { backfill });
+  }
+
+  /** Waits 1s, 2s, 4s... (with jitter, capped at MAX_DELAY) and reconnects */
+  scheduleReconnect() {
+    const delay = Math.min(LiveSocket.MIN_DELAY * 2 ** this.attempts, LiveSocket.MAX_DELAY);
+    const jittered = delay / 2 + Math.random() * delay / 2;
+    this.attempts += 1;
+    this.retryAt = Date.now() + jittered;
+    this.retryTimer = setTimeout(() => this.connect(), jittered);
+    this.setState('offline');
+  }
+
+  /**
+   * Device id of a reading ('' if it has none)
+   *
+   * @param {Object} reading - Telemetry reading
+   * @returns {string}
+   */
+  static deviceOf(reading) {
+    const device = reading.device;
+    return device ? String(device._id || device) : '';
+  }
+
+  /**
+   * Local time the last `dataType` message arrived, or of the first
+   * connection if none has (epoch ms)
+   */
+  get lastFreshAt() {
+    return this.lastDataAt || this.openedAt;
+  }
+
+  /**
+   * Fetches the readings missed while offline, oldest first, then flushes
+   * live readings queued in the meantime
+   *
+   * Each device seen so far is fetched from its own newest reading, since
+   * device clocks differ. Devices not seen yet are fetched from the newest
+   * reading of any device (or from the first connection if none arrived).
+   *
+   * @returns {Promise<number>} Number of history readings fetched
+   */
+  async backfill() {
+    this.backfilling = true;
+    this.setState('backfilling');
+    const devices = Object.keys(this.lastReadingAt).filter(Boolean);
+    const times = Object.values(this.lastReadingAt);
+    const othersSince = this.lastReadingAt[''] !== undefined
+      ? this.lastReadingAt['']
+      : (times.length ? Math.max(...times) : this.openedAt);
+    let count = 0;
+
+    try {
+      for (const device of devices) {
+        count += await this.fetchMissed({ device }, this.lastReadingAt[device], count);
+      }
+      count += await this.fetchMissed({}, othersSince, count,
+        (reading) => !devices.includes(LiveSocket.deviceOf(reading)));
+    } catch (err) {
+      console.error('[LiveSocket] Backfill failed:', err);
+    }
+
+    this.backfilling = false;
+    this.queued.splice(0).forEach((reading) => this.dispatch('telemetry', reading));
+    this.setState('live');
+    return count;
+  }
+
+  /**
+   * Fetches history readings from a point in time and hands them over
+   *
+   * @param {Object} filters - Extra /api/telemetry filters (e.g. device)
+   * @param {number} since - Epoch ms to fetch from
+   * @param {number} count - Readings already fetched in this backfill
+   * @param {Function} [accept] - (reading) => whether to hand it over
+   * @returns {Promise<number>} Number of readings fetched
+   */
+  async fetchMissed(filters, since, count, accept = () => true) {
+    let fetched = 0;
+    let cursor = null;
+    do {
+      const params = new URLSearchParams({
+        ...this.query,
+        ...filters,
+        from: new Date(since).toISOString(),
+        order: 'asc',
+        limit: String(LiveSocket.BACKFILL_PAGE),
+      });
+      if (cursor) params.set('cursor', cursor);
+
+      const res = await fetch('/api/telemetry?' + params);
+      if (!res.ok) break;
+      const body = await res.json();
+
+      body.data.forEach((reading) => {
+        if (accept(reading)) this.dispatch('telemetry', reading, true);
+      });
+      fetched += body.data.length;
+      cursor = body.nextCursor;
+    } while (cursor && count + fetched < LiveSocket.MAX_BACKFILL);
+    return fetched;
+  }
+
+  /**
+   * Changes the connection state shown on the badge
+   *
+   * @param {string} state - One of LiveSocket.STATES
+   */
+  setState(state) {
+    this.state = state;
+    this.render();
+  }
+
+  /** Adds a status badge to the page */
+  createIndicator() {
+    const badge = document.createElement('div');
+    badge.className = 'live-status';
+    document.body.appendChild(badge);
+    return badge;
+  }
+
+  /** Updates the badge, switching between live and stale as readings age */
+  render() {
+    let state = this.state;
+    if (state === 'live' && Date.now() - this.lastFreshAt > this.staleAfter) {
+      state = 'stale';
+      this.state = state;
+    }
+
+    const { text, modifier } = LiveSocket.STATES[state];
+    let label = text;
+    if (state === 'stale') {
+      label += ' for ' + this.formatAge(Date.now() - this.lastFreshAt);
+    } else if (state === 'offline') {
+      label += ', retrying in ' + Math.max(0, Math.ceil((this.retryAt - Date.now()) / 1000)) + 's';
+    }
+
+    this.indicator.className = 'live-status live-status--' + modifier;
+    this.indicator.textContent = label;
+    this.indicator.title = this.lastDataAt
+      ? 'Last ' + this.dataType.replace('_', ' ') + ': ' + new Date(this.lastDataAt).toLocaleString()
+      : 'Nothing received yet';
+  }
+
+  /**
+   * Short human duration such as "45s" or "3m"
+   *
+   * @param {number} ms - Duration
+   * @returns {string}
+   */
+  formatAge(ms) {
+    const seconds = Math.floor(ms / 1000);
+    if (seconds < 60) return seconds + 's';
+    if (seconds < 3600) return Math.floor(seconds / 60) + 'm';
+    return Math.floor(seconds / 3600) + 'h';
+  }
+}
@@ -0,0 +1,174 @@
+/*******************************************************************************************************
+ *                                                                                                      *
+ *                                       Telemetry Replay                                               *
+ *                                                                                                      *
+ *******************************************************************************************************/
+/**
+ * Plays stored telemetry back on a virtual clock for post-dive debriefs.
+ *
+ * Readings for a mission or time range are paged in from the telemetry
+ * history API (oldest first), then the clock runs at 1x, 4x, 16x... of
+ * real time or is scrubbed by hand with seek(). Whenever the clock passes
+ * a reading, onReading(reading, index) is called with the newest reading
+ * at or before the clock, so pages can drive the same gauges and map as
+ * the live stream.
+ *
+ * Usage:
+ *   const replay = new TelemetryReplay({ onReading, onTick });
+ *   await replay.load({ mission: missionId });
+ *   replay.play(4);
+ */
+class TelemetryReplay {
+  /** Readings requested per history page (API maximum) */
+  static PAGE_SIZE = 1000;
+
+  /** Upper bound on readings loaded for one replay */
+  static MAX_READINGS = 20000;
+
+  /**
+   * @param {Object} handlers
+   * @param {Function} [handlers.onReading] - (reading, index) when the current reading changes
+   * @param {Function} [handlers.onTick] - (clockMs) on every clock update
+   * @param {Function} [handlers.onStateChange] - ({playing, speed}) when playback starts/stops
+   */
+  constructor({ onReading, onTick, onStateChange } = {}) {
+    this.onReading = onReading || (() => {});
+    this.onTick = onTick || (() => {});
+    this.onStateChange = onStateChange || (() => {});
+    this.readings = [];
+    this.times = [];
+    this.index = -1;
+    this.clock = 0;
+    this.speed = 1;
+    this.playing = false;
+    this.frame = null;
+    this.lastFrameAt = 0;
+  }
+
+  /** Time of the first loaded reading (epoch ms) */
+  get start() {
+    return this.times.length ? this.times[0] : 0;
+  }
+
+  /** Time of the last loaded reading (epoch ms) */
+  get end() {
+    return this.times.length ? this.times[this.times.length - 1] : 0;
+  }
+
+  /**
+   * Loads readings from the history API, following cursors page by page
+   *
+   * The clock is reset to the first reading; call seek(replay.start) to
+   * show it.
+   *
+   * @param {Object} query - Filters for /api/telemetry: {mission} or {from, to}, optional device
+   * @returns {Promise<{count: number, truncated: boolean}>}
+   */
+  async load(query) {
+    this.pause();
+    const readings = [];
+    let cursor = null;
+
+    do {
+      const params = new URLSearchParams({ ...query, order: 'asc', limit: TelemetryReplay.PAGE_SIZE });
+      if (cursor) params.set('cursor', cursor);
+
+      const res = await fetch('/api/telemetry?' + params);
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || 'Failed to load telemetry');
+
+      readings.push(...body.data);
+      cursor = body.nextCursor;
+    } while (cursor && readings.length < TelemetryReplay.MAX_READINGS);
+
+    this.readings = readings.slice(0, TelemetryReplay.MAX_READINGS);
+    this.times = this.readings.map((reading) => new Date(reading.timestamp).getTime());
+    this.index = -1;
+    this.clock = this.start;
+
+    return { count: this.readings.length, truncated: Boolean(cursor) };
+  }
+
+  /**
+   * Starts (or changes the speed of) playback
+   *
+   * @param {number} [speed=this.speed] - Multiple of real time
+   */
+  play(speed = this.speed) {
+    if (!this.readings.length) return;
+    this.speed = speed;
+    if (this.clock >= this.end) this.seek(this.start);
+
+    if (!this.playing) {
+      this.playing = true;
+      this.lastFrameAt = performance.now();
+      this.frame = requestAnimationFrame((now) => this.step(now));
+    }
+    this.onStateChange({ playing: true, speed: this.speed });
+  }
+
+  /** Pauses playback, keeping the clock where it is */
+  pause() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    if (this.playing) {
+      this.playing = false;
+      this.onStateChange({ playing: false, speed: this.speed });
+    }
+  }
+
+  /**
+   * Moves the clock (scrubbing) and shows the reading at that time
+   *
+   * @param {number} time - Epoch ms, clamped to the loaded range
+   */
+  seek(time) {
+    this.clock = Math.min(Math.max(time, this.start), this.end);
+    this.onTick(this.clock);
+
+    const index = this.indexAt(this.clock);
+    if (index !== this.index && index >= 0) {
+      this.index = index;
+      this.onReading(this.readings[index], index);
+    }
+  }
+
+  /**
+   * Index of the newest reading at or before a time (binary search)
+   *
+   * @param {number} time - Epoch ms
+   * @returns {number} Index, or -1 if the time is before the first reading
+   */
+  indexAt(time) {
+    let low = 0;
+    let high = this.times.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.times[mid] <= time) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Animation frame: advances the clock by elapsed time × speed
+   *
+   * @param {number} now - Frame timestamp from requestAnimationFrame
+   */
+  step(now) {
+    const elapsed = now - this.lastFrameAt;
+    this.lastFrameAt = now;
+    this.seek(this.clock + elapsed * this.speed);
+
+    if (this.clock >= this.end) {
+      this.pause();
+      return;
+    }
+    this.frame = requestAnimationFrame((next) => this.step(next));
+  }
+}
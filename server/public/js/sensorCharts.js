@@ -0,0 +1,218 @@
+/*******************************************************************************************************
+ *                                                                                                      *
+ *                                        Sensor Charts                                                 *
+ *                                                                                                      *
+ *******************************************************************************************************/
+/**
+ * Rolling line charts (Chart.js) for temperature, TDS and speed.
+ *
+ * Each window is seeded from the telemetry history API and then extended
+ * with add() as live readings arrive:
+ * - "5m": raw readings from the last five minutes
+ * - "1h": 10-second averages over the last hour
+ * - mission: averages over the whole mission, sized to ~600 points
+ *
+ * Enabled alert rules on a charted metric are drawn as dashed reference
+ * lines at their thresholds.
+ *
+ * Usage:
+ *   const charts = new SensorCharts({ canvases, rules });
+ *   await charts.setWindow({ type: '5m' });
+ *   charts.add(message.payload);   // on every telemetry message
+ */
+class SensorCharts {
+  /** Charted metrics and their line colours */
+  static METRICS = {
+    temperature: { label: 'Temperature (°C)', color: '#006fff' },
+    TDS_Value: { label: 'TDS (ppm)', color: '#0fc70f' },
+    speed: { label: 'Speed (kn)', color: '#ffa117' },
+  };
+
+  /** Rolling window lengths in milliseconds */
+  static ROLLING = {
+    '5m': 5 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+  };
+
+  /** Reference line colour per alert severity */
+  static SEVERITY_COLORS = {
+    info: '#69b4ff',
+    warning: '#ffa117',
+    critical: '#f44336',
+  };
+
+  /** Points a mission window is downsampled to */
+  static MISSION_POINTS = 600;
+
+  /**
+   * @param {Object} options
+   * @param {Object<string, HTMLCanvasElement>} options.canvases - Canvas per metric
+   * @param {Array<Object>} [options.rules] - Enabled alert rules ({name, metric, threshold, severity, condition})
+   */
+  constructor({ canvases, rules = [] }) {
+    this.window = { type: '5m' };
+    this.loads = 0;
+    this.charts = {};
+
+    Object.entries(canvases).forEach(([metric, canvas]) => {
+      const { label, color } = SensorCharts.METRICS[metric];
+      const thresholds = rules
+        .filter((rule) => rule.metric === metric)
+        .map((rule) => ({
+          label: rule.condition,
+          threshold: rule.threshold,
+          data: [],
+          borderColor: SensorCharts.SEVERITY_COLORS[rule.severity] || '#f44336',
+          borderDash: [6, 4],
+          borderWidth: 1,
+          pointRadius: 0,
+        }));
+
+      this.charts[metric] = new Chart(canvas, {
+        type: 'line',
+        data: {
+          datasets: [
+            { label, data: [], borderColor: color, borderWidth: 2, pointRadius: 0, tension: 0.2 },
+            ...thresholds,
+          ],
+        },
+        options: {
+          animation: false,
+          maintainAspectRatio: false,
+          parsing: false,
+          scales: {
+            x: {
+              type: 'linear',
+              ticks: {
+                color: '#9e9e9e',
+                maxTicksLimit: 6,
+                callback: (value) => new Date(value).toLocaleTimeString(),
+              },
+              grid: { color: '#454545' },
+            },
+            y: { ticks: { color: '#9e9e9e' }, grid: { color: '#454545' } },
+          },
+          plugins: {
+            legend: { labels: { color: '#ffffff', boxHeight: 2 } },
+            tooltip: {
+              callbacks: { title: (items) => new Date(items[0].parsed.x).toLocaleString() },
+            },
+          },
+        },
+      });
+    });
+  }
+
+  /**
+   * Bucket width giving about `points` buckets over a span
+   *
+   * @param {number} spanMs - Window length
+   * @param {number} points - Target number of points
+   * @returns {string} Bucket parameter such as "10s"
+   */
+  static bucketFor(spanMs, points) {
+    return Math.max(1, Math.ceil(spanMs / points / 1000)) + 's';
+  }
+
+  /**
+   * Time range [from, to] of the current window, in epoch ms
+   *
+   * @returns {number[]}
+   */
+  range() {
+    if (this.window.type === 'mission') {
+      return [this.window.startedAt, this.window.endedAt || Date.now()];
+    }
+    const now = Date.now();
+    return [now - SensorCharts.ROLLING[this.window.type], now];
+  }
+
+  /** Whether live readings belong in the current window */
+  isLive() {
+    return this.window.type !== 'mission' || !this.window.endedAt;
+  }
+
+  /**
+   * Switches window and reloads history
+   *
+   * @param {Object} window - {type: '5m'|'1h'} or
+   *   {type: 'mission', mission: id, startedAt: ms, endedAt: ms|null}
+   * @returns {Promise<void>}
+   */
+  async setWindow(window) {
+    this.window = window;
+    const load = ++this.loads;
+    const [from, to] = this.range();
+    const metrics = Object.keys(this.charts);
+    let points;
+
+    if (window.type === '5m') {
+      const params = new URLSearchParams({
+        from: new Date(from).toISOString(),
+        order: 'asc',
+        limit: '1000',
+        fields: metrics.join(','),
+      });
+      const res = await fetch('/api/telemetry?' + params);
+      const body = res.ok ? await res.json() : { data: [] };
+      points = (metric) => body.data
+        .filter((reading) => typeof reading[metric] === 'number')
+        .map((reading) => ({ x: new Date(reading.timestamp).getTime(), y: reading[metric] }));
+    } else {
+      const params = new URLSearchParams({
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        bucket: window.type === '1h' ? '10s' : SensorCharts.bucketFor(to - from, SensorCharts.MISSION_POINTS),
+        fields: metrics.join(','),
+      });
+      if (window.type === 'mission') params.set('mission', window.mission);
+      const res = await fetch('/api/telemetry/aggregate?' + params);
+      const body = res.ok ? await res.json() : { buckets: [] };
+      points = (metric) => body.buckets
+        .filter((bucket) => typeof bucket[metric].avg === 'number')
+        .map((bucket) => ({ x: new Date(bucket.t).getTime(), y: bucket[metric].avg }));
+    }
+
+    // A newer window was picked while this one was loading
+    if (load !== this.loads) return;
+
+    metrics.forEach((metric) => {
+      this.charts[metric].data.datasets[0].data = points(metric);
+    });
+    this.refresh();
+  }
+
+  /**
+   * Appends a live reading
+   *
+   * @param {Object} reading - Telemetry reading
+   */
+  add(reading) {
+    if (!this.isLive()) return;
+    if (this.window.type === 'mission' && String(reading.mission) !== String(this.window.mission)) return;
+
+    const x = new Date(reading.timestamp).getTime();
+    Object.entries(this.charts).forEach(([metric, chart]) => {
+      if (typeof reading[metric] === 'number') chart.data.datasets[0].data.push({ x, y: reading[metric] });
+    });
+    this.refresh();
+  }
+
+  /** Trims points outside the window, moves the axis and threshold lines */
+  refresh() {
+    const [from, to] = this.range();
+    Object.values(this.charts).forEach((chart) => {
+      const [series, ...thresholds] = chart.data.datasets;
+      if (this.window.type !== 'mission') {
+        const firstInside = series.data.findIndex((point) => point.x >= from);
+        series.data.splice(0, firstInside === -1 ? series.data.length : firstInside);
+      }
+      thresholds.forEach((line) => {
+        line.data = [{ x: from, y: line.threshold }, { x: to, y: line.threshold }];
+      });
+      chart.options.scales.x.min = from;
+      chart.options.scales.x.max = to;
+      chart.update('none');
+    });
+  }
+}
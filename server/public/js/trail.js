@@ -0,0 +1,209 @@
+/*******************************************************************************************************
+ *                                                                                                      *
+ *                                        Telemetry Trail                                               *
+ *                                                                                                      *
+ *******************************************************************************************************/
+/**
+ * Draws the path the submarine took on a Leaflet map: a polyline whose
+ * segments are coloured by a chosen metric, with a clickable breadcrumb at
+ * every reading that shows its values.
+ *
+ * The trail is seeded from recent history and extended with add() as live
+ * (or replayed) readings arrive. A control on the map picks the metric and
+ * shows its colour scale.
+ *
+ * Usage:
+ *   const trail = new TelemetryTrail(map);
+ *   trail.seed();                 // last hour from /api/telemetry
+ *   trail.add(message.payload);   // on every telemetry message
+ */
+class TelemetryTrail {
+  /**
+   * Metrics the trail can be coloured by, with the value range mapped onto
+   * the colour scale (values outside are clamped)
+   */
+  static METRICS = {
+    temperature: { label: 'Temperature', unit: '°C', min: 0, max: 40 },
+    TDS_Value: { label: 'TDS', unit: 'ppm', min: 0, max: 1200 },
+    speed: { label: 'Speed', unit: 'kn', min: 0, max: 10 },
+  };
+
+  /**
+   * Whether a reading carries a GPS fix (same rule as utils/geo hasFix:
+   * (0, 0) is what an uninitialised module reports)
+   *
+   * @param {Object} reading - Telemetry reading
+   * @returns {boolean}
+   */
+  static hasFix(reading) {
+    return Number.isFinite(reading.latitude)
+      && Number.isFinite(reading.longitude)
+      && !(reading.latitude === 0 && reading.longitude === 0);
+  }
+
+  /**
+   * @param {L.Map} map - Map to draw on
+   * @param {Object} [options]
+   * @param {string} [options.metric='temperature'] - Initial colouring metric
+   * @param {number} [options.maxPoints=2000] - Oldest points are dropped beyond this
+   */
+  constructor(map, { metric = 'temperature', maxPoints = 2000 } = {}) {
+    this.map = map;
+    this.metric = metric;
+    this.maxPoints = maxPoints;
+    this.points = [];
+    // One canvas for every segment and breadcrumb keeps long trails fast
+    this.renderer = L.canvas({ padding: 0.5 });
+    this.layer = L.layerGroup().addTo(map);
+    this.addControl();
+  }
+
+  /**
+   * Colour for a metric value: blue (low) through green and yellow to red (high)
+   *
+   * @param {number} value - Metric value
+   * @returns {string} CSS colour (grey when the reading has no value)
+   */
+  colorFor(value) {
+    if (typeof value !== 'number') return '#9e9e9e';
+    const { min, max } = TelemetryTrail.METRICS[this.metric];
+    const t = Math.min(Math.max((value - min) / (max - min), 0), 1);
+    return 'hsl(' + Math.round(240 * (1 - t)) + ', 90%, 50%)';
+  }
+
+  /**
+   * Popup text for a breadcrumb
+   *
+   * @param {Object} reading - Telemetry reading
+   * @returns {string} HTML
+   */
+  describe(reading) {
+    const rows = [new Date(reading.timestamp).toLocaleString()];
+    Object.entries(TelemetryTrail.METRICS).forEach(([field, { label, unit }]) => {
+      if (typeof reading[field] === 'number') {
+        rows.push(label + ': ' + reading[field].toFixed(2) + ' ' + unit);
+      }
+    });
+    rows.push(reading.latitude.toFixed(6) + ', ' + reading.longitude.toFixed(6));
+    return rows.join('<br>');
+  }
+
+  /**
+   * Appends a reading to the trail (readings without a GPS fix are skipped)
+   *
+   * @param {Object} reading - Telemetry reading
+   */
+  add(reading) {
+    if (!TelemetryTrail.hasFix(reading)) return;
+
+    const latlng = [reading.latitude, reading.longitude];
+    const color = this.colorFor(reading[this.metric]);
+    const previous = this.points[this.points.length - 1];
+
+    const point = { reading, latlng, segment: null };
+    if (previous) {
+      point.segment = L.polyline([previous.latlng, latlng], {
+        renderer: this.renderer, color, weight: 4, interactive: false,
+      }).addTo(this.layer);
+    }
+    point.crumb = L.circleMarker(latlng, {
+      renderer: this.renderer, radius: 3, color, weight: 1, fillOpacity: 0.9,
+    })
+      .bindPopup(() => this.describe(reading))
+      .addTo(this.layer);
+    this.points.push(point);
+
+    // Drop the oldest point (and the segment leading to the new first point)
+    if (this.points.length > this.maxPoints) {
+      const dropped = this.points.shift();
+      this.layer.removeLayer(dropped.crumb);
+      if (dropped.segment) this.layer.removeLayer(dropped.segment);
+      if (this.points[0].segment) {
+        this.layer.removeLayer(this.points[0].segment);
+        this.points[0].segment = null;
+      }
+    }
+  }
+
+  /** Removes every point */
+  clear() {
+    this.layer.clearLayers();
+    this.points = [];
+  }
+
+  /**
+   * Recolours the trail by another metric
+   *
+   * @param {string} metric - One of TelemetryTrail.METRICS
+   */
+  setMetric(metric) {
+    this.metric = metric;
+    this.points.forEach(({ reading, segment, crumb }) => {
+      const color = this.colorFor(reading[metric]);
+      crumb.setStyle({ color });
+      if (segment) segment.setStyle({ color });
+    });
+    this.updateLegend();
+  }
+
+  /**
+   * Loads recent history and puts it in front of any live points already drawn
+   *
+   * @param {Object} [options]
+   * @param {number} [options.minutes=60] - How far back to go
+   * @param {Object} [options.query] - Extra /api/telemetry filters (e.g. device)
+   * @returns {Promise<number>} Number of history readings loaded
+   */
+  async seed({ minutes = 60, query = {} } = {}) {
+    const params = new URLSearchParams({
+      ...query,
+      from: new Date(Date.now() - minutes * 60 * 1000).toISOString(),
+      order: 'desc',
+      limit: String(Math.min(this.maxPoints, 1000)),
+      fields: 'latitude,longitude,' + Object.keys(TelemetryTrail.METRICS).join(','),
+    });
+    const res = await fetch('/api/telemetry?' + params);
+    if (!res.ok) return 0;
+    const { data } = await res.json();
+
+    // History arrives newest first; live points may already be on the map
+    const live = this.points.map((point) => point.reading);
+    const firstLive = live.length ? new Date(live[0].timestamp).getTime() : Infinity;
+    const history = data.reverse().filter((reading) => new Date(reading.timestamp).getTime() < firstLive);
+
+    this.clear();
+    history.concat(live).forEach((reading) => this.add(reading));
+    return history.length;
+  }
+
+  /** Adds the metric picker and colour scale to the map */
+  addControl() {
+    const control = L.control({ position: 'bottomleft' });
+    control.onAdd = () => {
+      const div = L.DomUtil.create('div', 'trail-legend');
+      const select = L.DomUtil.create('select', '', div);
+      Object.entries(TelemetryTrail.METRICS).forEach(([field, { label }]) => {
+        const option = L.DomUtil.create('option', '', select);
+        option.value = field;
+        option.textContent = 'Trail: ' + label;
+        option.selected = field === this.metric;
+      });
+      select.addEventListener('change', () => this.setMetric(select.value));
+
+      this.legend = L.DomUtil.create('div', 'trail-legend__scale', div);
+      L.DomEvent.disableClickPropagation(div);
+      return div;
+    };
+    control.addTo(this.map);
+    this.updateLegend();
+  }
+
+  /** Shows the current metric's range under the picker */
+  updateLegend() {
+    if (!this.legend) return;
+    const { min, max, unit } = TelemetryTrail.METRICS[this.metric];
+    this.legend.innerHTML = '<span>' + min + '</span>'
+      + '<span class="trail-legend__bar"></span>'
+      + '<span>' + max + ' ' + unit + '</span>';
+  }
+}
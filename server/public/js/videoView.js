@@ -0,0 +1,132 @@
+/*******************************************************************************************************
+ *                                                                                                      *
+ *                                          Video View                                                  *
+ *                                                                                                      *
+ *******************************************************************************************************/
+/**
+ * Draws relayed vision-node frames onto a canvas and keeps FPS and latency
+ * readouts up to date. Frames come either as JSON (base64 `image`) or as
+ * binary frames parsed by LiveSocket (`jpeg` Blob).
+ *
+ * Frames are decoded one at a time. One that arrives while the previous is
+ * still decoding waits as "next"; if yet another arrives first, the waiting
+ * one is dropped, so a slow browser shows the newest frame instead of
+ * falling further behind. Gaps in the server's frame `seq` (frames the
+ * server skipped because this viewer's socket was backed up) count as
+ * dropped too.
+ *
+ * Latency is measured from `capturedAt` (the vision node's clock, so both
+ * machines should be NTP-synced) or, without it, from the server's
+ * `receivedAt`.
+ *
+ * Usage:
+ *   const view = new VideoView({ canvas, stats });
+ *   socket.on('video_frame', (frame) => view.show(frame));
+ */
+class VideoView {
+  /**
+   * @param {Object} elements
+   * @param {HTMLCanvasElement} elements.canvas - Canvas to draw on
+   * @param {HTMLElement} [elements.stats] - Element for the FPS/latency readout
+   */
+  constructor({ canvas, stats }) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.stats = stats;
+    this.decoding = false;
+    this.next = null;
+    this.lastSeq = {};
+    this.dropped = 0;
+    this.drawnAt = [];
+    this.latency = null;
+    this.device = null;
+    // Refresh the readout even when frames stop (FPS falls to 0)
+    this.clock = setInterval(() => this.renderStats(), 500);
+  }
+
+  /**
+   * Accepts a frame from the socket
+   *
+   * @param {Object} frame - {image|jpeg, stream, device, seq, capturedAt, receivedAt}
+   */
+  show(frame) {
+    // Sequence numbers are per camera stream
+    const stream = frame.stream || 0;
+    const lastSeq = this.lastSeq[stream];
+    if (lastSeq && frame.seq > lastSeq + 1) this.dropped += frame.seq - lastSeq - 1;
+    if (frame.seq) this.lastSeq[stream] = frame.seq;
+
+    if (this.decoding) {
+      if (this.next) this.dropped += 1;
+      this.next = frame;
+      return;
+    }
+    this.decode(frame);
+  }
+
+  /**
+   * Decodes a frame and draws it, then moves on to the waiting frame
+   *
+   * @param {Object} frame - Frame to draw
+   */
+  decode(frame) {
+    this.decoding = true;
+    const url = frame.jpeg ? URL.createObjectURL(frame.jpeg) : 'data:image/jpeg;base64,' + frame.image;
+    const image = new Image();
+    image.onload = () => {
+      this.draw(image, frame);
+      this.done(url);
+    };
+    image.onerror = () => {
+      this.dropped += 1;
+      this.done(url);
+    };
+    image.src = url;
+  }
+
+  /**
+   * Finishes a decode and starts the waiting frame, if any
+   *
+   * @param {string} url - Image URL to release (object URLs only)
+   */
+  done(url) {
+    if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+    this.decoding = false;
+    const next = this.next;
+    this.next = null;
+    if (next) this.decode(next);
+  }
+
+  /**
+   * Draws a decoded frame and records its timing
+   *
+   * @param {HTMLImageElement} image - Decoded frame
+   * @param {Object} frame - Frame metadata
+   */
+  draw(image, frame) {
+    if (this.canvas.width !== image.naturalWidth || this.canvas.height !== image.naturalHeight) {
+      this.canvas.width = image.naturalWidth;
+      this.canvas.height = image.naturalHeight;
+    }
+    this.context.drawImage(image, 0, 0);
+
+    const now = Date.now();
+    const sentAt = frame.capturedAt || frame.receivedAt;
+    this.latency = sentAt ? now - new Date(sentAt).getTime() : null;
+    this.device = frame.device || this.device;
+    this.drawnAt.push(now);
+  }
+
+  /** Updates the readout: frames drawn in the last second, latency and drops */
+  renderStats() {
+    const now = Date.now();
+    while (this.drawnAt.length && this.drawnAt[0] <= now - 1000) this.drawnAt.shift();
+    if (!this.stats) return;
+
+    const parts = [this.drawnAt.length + ' fps'];
+    if (this.latency !== null) parts.push(this.latency + ' ms latency');
+    parts.push(this.dropped + ' dropped');
+    if (this.device) parts.unshift(this.device);
+    this.stats.textContent = parts.join(' · ');
+  }
+}
@@ -1,28 +1,54 @@
 const {Router} = require('express')
+const Mission = require('../model/missionModel')
+const AlertRule = require('../model/alertRuleModel')
+const detectionController = require('../controller/detectionController')
+const mediaController = require('../controller/mediaController')
+const commandController = require('../controller/commandController')
+const { requirePermission } = require('../middleware/authenticate')
+const { PERMISSIONS } = require('../config/permissions')
 const router = Router()
 
 // Define routes for the dashboard and components
+// (server.js keeps /dashboard behind the login; pages below also need a permission)
 
 
 router.get("/" , (req , res) => {
   res.render("index")
 })
-router.get('/dashboard', (req, res) => {
+router.get('/dashboard', async (req, res) => {
   const user = req.user
-  res.render('dashboard' , {user});
+  // Recent missions for the replay picker (the page still works without them)
+  const missions = await Mission.find()
+    .sort({ startedAt: -1 })
+    .limit(50)
+    .populate('device', 'name')
+    .catch(() => []);
+  res.render('dashboard' , {user, missions});
 });
 
-router.get('/dashboard/video', (req, res) => {
+router.get('/dashboard/video', requirePermission(PERMISSIONS.VIEW_VIDEO), (req, res) => {
   res.render('./components/camera');
 });
 
-router.get('/dashboard/location', (req, res) => {
-  res.render('./components/location');
+router.get('/dashboard/location', requirePermission(PERMISSIONS.VIEW_TELEMETRY), (req, res) => {
+  res.render('./components/location', { user: req.user });
 });
 
-router.get('/dashboard/sensors', (req, res) => {
-  res.render('./components/sensors');
+router.get('/dashboard/sensors', requirePermission(PERMISSIONS.VIEW_TELEMETRY), async (req, res) => {
+  // Missions for the chart window picker, and enabled alert rules drawn as
+  // threshold lines (the page still works without them)
+  const [missions, rules] = await Promise.all([
+    Mission.find().sort({ startedAt: -1 }).limit(50).populate('device', 'name').catch(() => []),
+    AlertRule.find({ enabled: true }).catch(() => []),
+  ]);
+  res.render('./components/sensors', { missions, rules });
 });
 
+router.get('/dashboard/detections', requirePermission(PERMISSIONS.VIEW_TELEMETRY), detectionController.index);
+
+router.get('/dashboard/media', requirePermission(PERMISSIONS.VIEW_VIDEO), mediaController.index);
+
+router.get('/dashboard/commands', requirePermission(PERMISSIONS.VIEW_COMMANDS), commandController.index);
+
 
 module.exports = router;
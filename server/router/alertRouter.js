@@ -0,0 +1,17 @@
+const { Router } = require("express");
+const alertController = require("../controller/alertController");
+const { requirePermission } = require("../middleware/authenticate");
+const { PERMISSIONS } = require("../config/permissions");
+const router = Router();
+
+// Alert list and operator actions
+router.get("/", requirePermission(PERMISSIONS.VIEW_TELEMETRY), alertController.index);
+router.post("/:id/acknowledge", requirePermission(PERMISSIONS.HANDLE_ALERTS), alertController.acknowledge);
+router.post("/:id/resolve", requirePermission(PERMISSIONS.HANDLE_ALERTS), alertController.resolve);
+
+// Threshold rule management (admins only)
+router.post("/rules", requirePermission(PERMISSIONS.MANAGE_ALERT_RULES), alertController.createRule);
+router.post("/rules/:id/toggle", requirePermission(PERMISSIONS.MANAGE_ALERT_RULES), alertController.toggleRule);
+router.post("/rules/:id/delete", requirePermission(PERMISSIONS.MANAGE_ALERT_RULES), alertController.deleteRule);
+
+module.exports = router;
@@ -17,4 +17,10 @@ router.post(
   })
 );
 router.get("/logout", authController.logout);
+
+// Password reset by emailed one-time link
+router.get("/forgot", authMiddleware.loggedIn, authController.forgotPage);
+router.post("/forgot", authController.forgot);
+router.get("/reset/:token", authController.resetPage);
+router.post("/reset/:token", authController.reset);
 module.exports = router;
@@ -0,0 +1,13 @@
+const { Router } = require("express");
+const commandController = require("../controller/commandController");
+const { requirePermission } = require("../middleware/authenticate");
+const { PERMISSIONS } = require("../config/permissions");
+const router = Router();
+
+// Command history is visible to every signed-in user; admins and mods send commands
+router.use(requirePermission(PERMISSIONS.VIEW_COMMANDS));
+
+router.get("/", commandController.list);
+router.post("/", requirePermission(PERMISSIONS.ISSUE_COMMANDS), commandController.create);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const { Router } = require("express");
+const detectionController = require("../controller/detectionController");
+const { requirePermission } = require("../middleware/authenticate");
+const { PERMISSIONS } = require("../config/permissions");
+const router = Router();
+
+// Stored object detections (timeline and map layers)
+router.use(requirePermission(PERMISSIONS.VIEW_TELEMETRY));
+
+router.get("/", detectionController.list);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const { Router } = require("express");
+const deviceController = require("../controller/deviceController");
+const { requirePermission } = require("../middleware/authenticate");
+const { PERMISSIONS } = require("../config/permissions");
+const router = Router();
+
+// Device registry administration (admins only)
+router.use(requirePermission(PERMISSIONS.MANAGE_DEVICES));
+
+router.get("/", deviceController.list);
+router.post("/", deviceController.create);
+router.post("/:id/revoke", deviceController.revoke);
+router.post("/:id/rotate", deviceController.rotate);
+router.post("/:id/pair", deviceController.pair);
+
+module.exports = router;
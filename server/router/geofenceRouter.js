@@ -0,0 +1,15 @@
+const { Router } = require("express");
+const geofenceController = require("../controller/geofenceController");
+const { requirePermission } = require("../middleware/authenticate");
+const { PERMISSIONS } = require("../config/permissions");
+const router = Router();
+
+// Geofences are visible to every signed-in user; only admins draw them
+router.use(requirePermission(PERMISSIONS.VIEW_TELEMETRY));
+
+router.get("/", geofenceController.list);
+router.get("/events", geofenceController.events);
+router.post("/", requirePermission(PERMISSIONS.MANAGE_GEOFENCES), geofenceController.create);
+router.delete("/:id", requirePermission(PERMISSIONS.MANAGE_GEOFENCES), geofenceController.remove);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const { Router } = require("express");
+const mediaController = require("../controller/mediaController");
+const { requirePermission } = require("../middleware/authenticate");
+const { PERMISSIONS } = require("../config/permissions");
+const router = Router();
+
+// Any signed-in user can capture and browse media; only admins delete it
+router.use(requirePermission(PERMISSIONS.VIEW_VIDEO));
+
+router.get("/", mediaController.list);
+router.post("/snapshots", requirePermission(PERMISSIONS.CAPTURE_MEDIA), mediaController.snapshot);
+router.get("/recordings", mediaController.recordings);
+router.post("/recordings", requirePermission(PERMISSIONS.CAPTURE_MEDIA), mediaController.startRecording);
+router.post("/recordings/:id/stop", requirePermission(PERMISSIONS.CAPTURE_MEDIA), mediaController.stopRecording);
+router.get("/:id", mediaController.show);
+router.get("/:id/file", mediaController.file);
+router.delete("/:id", requirePermission(PERMISSIONS.DELETE_MEDIA), mediaController.remove);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const { Router } = require("express");
+const missionController = require("../controller/missionController");
+const { requirePermission } = require("../middleware/authenticate");
+const { PERMISSIONS } = require("../config/permissions");
+const router = Router();
+
+// Mission (dive session) pages and controls
+router.get("/", requirePermission(PERMISSIONS.VIEW_TELEMETRY), missionController.index);
+router.get("/:id", requirePermission(PERMISSIONS.VIEW_TELEMETRY), missionController.show);
+router.post("/start", requirePermission(PERMISSIONS.RUN_MISSIONS), missionController.start);
+router.post("/:id/stop", requirePermission(PERMISSIONS.RUN_MISSIONS), missionController.stop);
+
+module.exports = router;
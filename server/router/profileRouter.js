@@ -0,0 +1,16 @@
+const express = require("express");
+const profileController = require("../controller/profileController");
+const { AVATAR_FORMATS, AVATAR_MAX_BYTES } = require("../services/accountProfile");
+const router = express.Router();
+
+// The signed-in user's own account (login is enforced on /dashboard)
+router.get("/", profileController.index);
+router.post("/", profileController.update);
+router.post(
+  "/picture",
+  express.raw({ type: AVATAR_FORMATS.map((format) => format.mimeType), limit: AVATAR_MAX_BYTES }),
+  profileController.picture
+);
+router.post("/password", profileController.password);
+
+module.exports = router;
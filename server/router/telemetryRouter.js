@@ -0,0 +1,25 @@
+const express = require("express");
+const { Router } = express;
+const telemetryController = require("../controller/telemetryController");
+const { requirePermission } = require("../middleware/authenticate");
+const { PERMISSIONS } = require("../config/permissions");
+const router = Router();
+
+// Historical telemetry API (any logged-in user)
+router.use(requirePermission(PERMISSIONS.VIEW_TELEMETRY));
+
+router.get("/", telemetryController.list);
+router.get("/latest", telemetryController.latest);
+router.get("/near", telemetryController.near);
+router.get("/within", telemetryController.within);
+router.get("/bbox", telemetryController.bbox);
+router.get("/aggregate", telemetryController.aggregate);
+router.get("/export/:format", telemetryController.export);
+router.post(
+  "/import",
+  requirePermission(PERMISSIONS.IMPORT_TELEMETRY),
+  express.text({ type: ["text/csv", "text/plain", "application/x-ndjson", "application/ndjson"], limit: "25mb" }),
+  telemetryController.import
+);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const { Router } = require("express");
+const userController = require("../controller/userController");
+const { requirePermission } = require("../middleware/authenticate");
+const { PERMISSIONS } = require("../config/permissions");
+const router = Router();
+
+// User administration console (admins only)
+router.use(requirePermission(PERMISSIONS.MANAGE_USERS));
+
+router.get("/", userController.index);
+router.get("/audit", userController.audit);
+router.get("/logins", userController.logins);
+router.post("/:id/role", userController.updateRole);
+router.post("/:id/deactivate", userController.deactivate);
+router.post("/:id/reactivate", userController.reactivate);
+router.post("/:id/reset-password", userController.forceReset);
+router.post("/:id/delete", userController.remove);
+
+module.exports = router;
@@ -0,0 +1,104 @@
+/**
+ * Migration: Sensor GeoJSON positions
+ *
+ * Backfills the GeoJSON `position` on readings stored before it existed,
+ * builds the 2dsphere index and drops the old latitude/longitude compound
+ * index it replaces. Safe to run more than once; readings that already
+ * have a position, or have no usable GPS fix, are left alone.
+ *
+ * Usage (from server/):
+ *   npm run migrate:positions
+ *
+ * @module scripts/migrateSensorPositions
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Sensor = require('../model/dataModel');
+const { hasFix } = require('../utils/geo');
+
+/**
+ * Updates sent to MongoDB per bulk write
+ * @constant {number}
+ */
+const BATCH_SIZE = 1000;
+
+/** Name of the index replaced by the 2dsphere index */
+const LEGACY_INDEX = 'latitude_1_longitude_1';
+
+/**
+ * Sets `position` on every reading with coordinates but no position
+ *
+ * @async
+ * @returns {Promise<{scanned: number, updated: number}>}
+ */
+const backfillPositions = async () => {
+  const cursor = Sensor.find({
+    position: { $exists: false },
+    latitude: { $type: 'number' },
+    longitude: { $type: 'number' },
+  })
+    .select('latitude longitude')
+    .lean()
+    .cursor();
+
+  let scanned = 0;
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await Sensor.bulkWrite(batch, { ordered: false });
+    updated += result.modifiedCount;
+    batch = [];
+    console.log(`[Migration] ${scanned} readings scanned, ${updated} updated`);
+  };
+
+  for await (const doc of cursor) {
+    scanned++;
+    if (!hasFix(doc)) continue;
+    batch.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { position: { type: 'Point', coordinates: [doc.longitude, doc.latitude] } } },
+      },
+    });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return { scanned, updated };
+};
+
+/**
+ * Runs the migration
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+const migrate = async () => {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/submarineDB';
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 5000 });
+  console.log(`[Migration] Connected to: ${mongoose.connection.name}`);
+
+  const { scanned, updated } = await backfillPositions();
+  console.log(`[Migration] Backfill complete: ${updated} of ${scanned} readings given a position`);
+
+  await Sensor.createIndexes();
+  console.log('[Migration] 2dsphere index on position is in place');
+
+  const indexes = await Sensor.collection.indexes();
+  if (indexes.some((index) => index.name === LEGACY_INDEX)) {
+    await Sensor.collection.dropIndex(LEGACY_INDEX);
+    console.log(`[Migration] Dropped legacy index ${LEGACY_INDEX}`);
+  }
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('[Migration] Failed:', error.message);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
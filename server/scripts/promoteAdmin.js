@@ -0,0 +1,53 @@
+/**
+ * Promote an account to admin
+ *
+ * Gives an existing account the admin role (and reactivates it), so the
+ * first admin of a new installation can reach the user console without
+ * editing MongoDB by hand. Later role changes belong in the console, where
+ * they are audited.
+ *
+ * Usage (from server/):
+ *   npm run promote:admin -- someone@example.com
+ *
+ * @module scripts/promoteAdmin
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const User = require('../model/userModel');
+
+const { USER_ROLES } = User;
+
+/**
+ * Promotes the account with the given email
+ *
+ * @async
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ * @throws {Error} If no email is given or no account has it
+ */
+const promote = async (email) => {
+  if (!email) throw new Error('Usage: npm run promote:admin -- <email>');
+
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/submarineDB';
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 5000 });
+  console.log(`[PromoteAdmin] Connected to: ${mongoose.connection.name}`);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.trim().toLowerCase() },
+    { $set: { role: USER_ROLES.ADMIN, isActive: true } },
+    { new: true }
+  );
+  if (!user) throw new Error(`No account with email ${email}`);
+
+  console.log(`[PromoteAdmin] ${user.email} is now an admin`);
+};
+
+promote(process.argv[2])
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('[PromoteAdmin] Failed:', error.message);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
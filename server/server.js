@@ -22,16 +22,39 @@ const flash = require('express-flash');
 // Import routes and controllers
 const dashboardRoutes = require('./router/DataRouter');
 const { handleSensorData } = require('./controller/DataController');
+const StreamController = require('./controller/StreamController');
+const { MESSAGE_TYPES, createDispatcher } = require('./services/messageHub');
+const { restoreQueues, deviceConnected, deviceDisconnected } = require('./services/commandQueue');
+const { createUpgradeAuthenticator, remoteAddress } = require('./middleware/wsAuthenticate');
+const { protect } = require('./middleware/authenticate');
+const { PERMISSIONS, can } = require('./config/permissions');
 const ConnectionDb = require('./config/db');
 const passportInit = require('./config/passport');
 const authRouter = require('./router/authRouter');
+const deviceRouter = require('./router/deviceRouter');
+const missionRouter = require('./router/missionRouter');
+const telemetryRouter = require('./router/telemetryRouter');
+const alertRouter = require('./router/alertRouter');
+const geofenceRouter = require('./router/geofenceRouter');
+const detectionRouter = require('./router/detectionRouter');
+const mediaRouter = require('./router/mediaRouter');
+const commandRouter = require('./router/commandRouter');
+const userRouter = require('./router/userRouter');
+const profileRouter = require('./router/profileRouter');
+const { AVATAR_DIR, AVATAR_URL } = require('./services/accountProfile');
+const { APP_URL } = require('./services/passwordReset');
+const { getTransport } = require('./services/mailer');
 
 // Initialize Express app and HTTP server
 const app = express();
 const server = http.createServer(app);
 
-// Set up WebSocket server for real-time sensor data streaming
-const wss = new WebSocket.Server({ server });
+// Set up WebSocket server for real-time sensor data streaming.
+// Upgrades are handled manually so each connection can be authenticated.
+const wss = new WebSocket.Server({ noServer: true });
+
+// Expose the WebSocket server to controllers (e.g. to drop revoked devices)
+app.set('wss', wss);
 
 /**
  * Configuration & Middleware Setup
@@ -45,35 +68,100 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Session configuration with secure settings
-app.use(
-  session({
-    secret: process.env.SESSION_SECRET || 'fallback-secret-change-in-production',
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-      maxAge: 1000 * 60 * 60 * 24 * 7, // 1 week
-      httpOnly: true, // Prevent XSS attacks
-      secure: process.env.NODE_ENV === 'production', // HTTPS only in production
-    },
-  })
-);
+// (kept in a variable so WebSocket upgrades can read the same session)
+const sessionMiddleware = session({
+  secret: process.env.SESSION_SECRET || 'fallback-secret-change-in-production',
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    maxAge: 1000 * 60 * 60 * 24 * 7, // 1 week
+    httpOnly: true, // Prevent XSS attacks
+    secure: process.env.NODE_ENV === 'production', // HTTPS only in production
+  },
+});
+app.use(sessionMiddleware);
 
 // Initialize Passport and session support
 app.use(passport.initialize());
 app.use(passport.session());
 app.use(flash());
 
+// Let views ask what the current user may do: <% if (can(PERMISSIONS.X)) { %>
+app.use((req, res, next) => {
+  res.locals.PERMISSIONS = PERMISSIONS;
+  res.locals.can = (permission) => can(req.user, permission);
+  next();
+});
+
 // Serve static files from the "public" directory
 app.use(express.static('public'));
 
+// Uploaded profile pictures (services/accountProfile), for signed-in users
+app.use(AVATAR_URL, protect, express.static(AVATAR_DIR));
+
 // Set EJS as the templating engine
 app.set('view engine', 'ejs');
 
 /**
  * Routes Configuration
  */
+// Every dashboard page needs a logged-in user; API routers check
+// permissions themselves (see config/permissions)
+app.use('/dashboard', protect);
 app.use('/', dashboardRoutes);
 app.use('/auth', authRouter);
+app.use('/api/devices', deviceRouter);
+app.use('/dashboard/missions', missionRouter);
+app.use('/api/telemetry', telemetryRouter);
+app.use('/dashboard/alerts', alertRouter);
+app.use('/api/geofences', geofenceRouter);
+app.use('/api/detections', detectionRouter);
+app.use('/api/media', mediaRouter);
+app.use('/api/commands', commandRouter);
+app.use('/dashboard/users', userRouter);
+app.use('/dashboard/profile', profileRouter);
+
+/**
+ * WebSocket Message Routing
+ *
+ * Each envelope type goes to its own handler; see services/messageHub
+ * for the envelope format and channel subscriptions.
+ */
+const dispatch = createDispatcher(wss, {
+  [MESSAGE_TYPES.TELEMETRY]: handleSensorData,
+  [MESSAGE_TYPES.VIDEO_FRAME]: StreamController.handleVideoFrame,
+  [MESSAGE_TYPES.DETECTION]: StreamController.handleDetection,
+  [MESSAGE_TYPES.COMMAND]: StreamController.handleCommand,
+  [MESSAGE_TYPES.ACK]: StreamController.handleAck,
+});
+
+/**
+ * WebSocket Handshake
+ *
+ * Identifies each socket as a device, vision node or dashboard before the
+ * upgrade completes; unauthenticated connections are refused with 401.
+ */
+const authenticateUpgrade = createUpgradeAuthenticator(sessionMiddleware);
+
+server.on('upgrade', async (req, socket, head) => {
+  let identity;
+  try {
+    identity = await authenticateUpgrade(req);
+  } catch (error) {
+    console.error('[WebSocket] Handshake error:', error.message);
+  }
+
+  if (!identity) {
+    socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+    socket.destroy();
+    return;
+  }
+
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    Object.assign(ws, identity);
+    wss.emit('connection', ws, req);
+  });
+});
 
 /**
  * WebSocket Connection Handler
@@ -83,21 +171,36 @@ app.use('/auth', authRouter);
  * - Python computer vision module (video stream)
  * - Client browsers (dashboard updates)
  */
-wss.on('connection', (ws) => {
-  console.log('[WebSocket] New connection established');
-
-  // Handle incoming messages from sensors or clients
-  ws.on('message', (message) => {
-    try {
-      handleSensorData(ws, message, wss);
-    } catch (error) {
-      console.error('[WebSocket] Error handling message:', error.message);
+wss.on('connection', (ws, req) => {
+  const name = ws.device ? ws.device.name : ws.user.email;
+  const ip = remoteAddress(req);
+  console.log(`[WebSocket] New ${ws.role} connection established (${name})`);
+
+  // Deliver commands that were queued while the device was offline
+  if (ws.device) {
+    deviceConnected(ws, wss).catch((error) => {
+      console.error('[WebSocket] Failed to deliver queued commands:', error.message);
+    });
+  }
+
+  // Route incoming messages from sensors or clients by envelope type
+  ws.on('message', (message, isBinary) => {
+    if (ws.device) {
+      ws.device.markSeen({ ip }).catch((error) => {
+        console.error('[WebSocket] Failed to update device last-seen:', error.message);
+      });
     }
+    dispatch(ws, message, isBinary);
   });
 
   // Handle connection close
   ws.on('close', () => {
     console.log('[WebSocket] Connection closed');
+    if (ws.device) {
+      deviceDisconnected(ws, wss).catch((error) => {
+        console.error('[WebSocket] Failed to update command state:', error.message);
+      });
+    }
   });
 
   // Handle WebSocket errors
@@ -140,6 +243,9 @@ app.use((err, req, res, next) => {
 // Connect to MongoDB
 ConnectionDb();
 
+// Put commands queued before a restart back in their device queues
+restoreQueues(wss);
+
 // Start the HTTP server
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
@@ -152,6 +258,14 @@ server.listen(PORT, () => {
   ║   Environment: ${process.env.NODE_ENV || 'development'}              ║
   ╚════════════════════════════════════════════╝
   `);
+  if (!APP_URL) {
+    console.warn('[Server] APP_URL is not set: password reset links are disabled');
+  }
+  try {
+    getTransport();
+  } catch (error) {
+    console.warn(`[Server] ${error.message}: password reset links are disabled`);
+  }
 });
 
 // Graceful shutdown handler
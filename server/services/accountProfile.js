@@ -0,0 +1,200 @@
+/**
+ * Account Profile
+ *
+ * Self-service changes a user makes to their own account from the profile
+ * page: name, date of birth and gender, the profile picture and the
+ * password.
+ *
+ * Profile pictures are stored in AVATAR_DIR (default `server/uploads/avatars`)
+ * as `<userId>-<time>.<ext>` and served from `/avatars/`; the previous
+ * picture is deleted when a new one is uploaded. Only JPEG, PNG and WebP
+ * images are accepted, recognised by their first bytes.
+ *
+ * Errors carry an HTTP `status` for the controller.
+ *
+ * @module services/accountProfile
+ */
+
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const User = require('../model/userModel');
+const { validateNewPassword } = require('./passwordReset');
+
+/**
+ * Directory profile pictures are written to
+ * @constant {string}
+ */
+const AVATAR_DIR = path.resolve(process.env.AVATAR_DIR || path.join(__dirname, '..', 'uploads', 'avatars'));
+
+/**
+ * URL path AVATAR_DIR is served under
+ * @constant {string}
+ */
+const AVATAR_URL = '/avatars';
+
+/**
+ * Largest accepted profile picture, in bytes
+ * @constant {number}
+ */
+const AVATAR_MAX_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Accepted picture formats, recognised by their leading bytes
+ * @constant {Array<{ext: string, mimeType: string, matches: function(Buffer): boolean}>}
+ */
+const AVATAR_FORMATS = [
+  { ext: 'jpg', mimeType: 'image/jpeg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { ext: 'png', mimeType: 'image/png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { ext: 'webp', mimeType: 'image/webp', matches: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+];
+
+/**
+ * Profile fields users may change themselves
+ * @constant {string[]}
+ */
+const PROFILE_FIELDS = ['firstName', 'lastName', 'DOB', 'gender'];
+
+/**
+ * Builds an error carrying an HTTP status for the controller
+ *
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const profileError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Updates the user's name, date of birth and gender
+ *
+ * An empty date of birth removes it.
+ *
+ * @async
+ * @param {ObjectId|string} userId - Account id
+ * @param {Object} body - Submitted form fields
+ * @returns {Promise<User>} The updated user
+ * @throws {Error} 400 with the validation messages
+ */
+const updateProfile = async (userId, body) => {
+  const $set = {};
+  const $unset = {};
+  PROFILE_FIELDS.forEach((field) => {
+    if (body[field] === undefined) return;
+    const value = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    if (field === 'DOB' && value === '') {
+      $unset.DOB = 1;
+    } else {
+      $set[field] = value;
+    }
+  });
+
+  try {
+    const user = await User.findByIdAndUpdate(userId, { $set, $unset }, { new: true, runValidators: true });
+    if (!user) throw profileError(404, 'User not found');
+    return user;
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw profileError(400, Object.values(error.errors).map((err) => err.message).join(', '));
+    }
+    if (error.name === 'CastError') {
+      throw profileError(400, `Invalid value for ${error.path}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Deletes a user's uploaded picture file, if they have one
+ *
+ * @async
+ * @param {User} user - Account (its current `profilePic`)
+ * @returns {Promise<void>}
+ */
+const removePicture = async (user) => {
+  if (!user.profilePic || !user.profilePic.startsWith(`${AVATAR_URL}/`)) return;
+  const file = path.join(AVATAR_DIR, path.basename(user.profilePic));
+  await fs.promises.unlink(file).catch((error) => {
+    if (error.code !== 'ENOENT') console.error('[AccountProfile] Failed to delete picture:', error.message);
+  });
+};
+
+/**
+ * Stores a new profile picture and points the account at it
+ *
+ * @async
+ * @param {User} user - Account
+ * @param {Buffer} image - Uploaded image bytes
+ * @returns {Promise<User>} The updated user
+ * @throws {Error} 400 if the upload is empty or not a JPEG/PNG/WebP image,
+ *   413 if it is too large
+ */
+const savePicture = async (user, image) => {
+  if (!Buffer.isBuffer(image) || image.length === 0) {
+    throw profileError(400, 'No image uploaded');
+  }
+  if (image.length > AVATAR_MAX_BYTES) {
+    throw profileError(413, `Pictures can be at most ${AVATAR_MAX_BYTES / (1024 * 1024)} MB`);
+  }
+  const format = AVATAR_FORMATS.find((f) => f.matches(image));
+  if (!format) {
+    throw profileError(400, 'Pictures must be JPEG, PNG or WebP images');
+  }
+
+  const fileName = `${user._id}-${Date.now()}.${format.ext}`;
+  await fs.promises.mkdir(AVATAR_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(AVATAR_DIR, fileName), image);
+
+  const previous = { profilePic: user.profilePic };
+  const updated = await User.findByIdAndUpdate(user._id, {
+    $set: { profilePic: `${AVATAR_URL}/${fileName}` },
+  }, { new: true });
+  await removePicture(previous);
+
+  console.log('[AccountProfile] New profile picture for', updated.email);
+  return updated;
+};
+
+/**
+ * Changes the password after checking the current one
+ *
+ * Moves passwordChangedAt, which ends the account's other sessions, and
+ * voids any pending reset link.
+ *
+ * @async
+ * @param {ObjectId|string} userId - Account id
+ * @param {Object} body - `currentPassword`, `password` and `confirmPassword`
+ * @returns {Promise<User>} The updated user
+ * @throws {Error} 400 if the current password is wrong or the new one is invalid
+ */
+const changePassword = async (userId, { currentPassword, password, confirmPassword }) => {
+  const user = await User.findById(userId).select('+password');
+  if (!user) throw profileError(404, 'User not found');
+
+  const matches = typeof currentPassword === 'string' && await bcrypt.compare(currentPassword, user.password);
+  if (!matches) {
+    throw profileError(400, 'Current password is incorrect');
+  }
+  validateNewPassword(password, confirmPassword);
+  if (password === currentPassword) {
+    throw profileError(400, 'The new password must differ from the current one');
+  }
+
+  const updated = await User.findByIdAndUpdate(user._id, {
+    $set: { password: await bcrypt.hash(password, 12), passwordChangedAt: new Date() },
+    $unset: { resetPasswordToken: 1, passwordTokenExpiredAt: 1 },
+  }, { new: true });
+
+  console.log('[AccountProfile] Password changed for', updated.email);
+  return updated;
+};
+
+module.exports = {
+  AVATAR_DIR,
+  AVATAR_URL,
+  AVATAR_MAX_BYTES,
+  AVATAR_FORMATS,
+  updateProfile,
+  savePicture,
+  removePicture,
+  changePassword,
+};
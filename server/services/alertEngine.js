@@ -0,0 +1,206 @@
+/**
+ * Alert Engine
+ *
+ * Evaluates every ingested reading against the enabled alert rules and
+ * opens/resolves alerts accordingly. Per rule and device it tracks how long
+ * the condition has held (for the minimum duration) and the alert that is
+ * currently unresolved (for hysteresis). Alert changes are stored and
+ * pushed live to dashboards on the alerts channel.
+ *
+ * Readings are evaluated one at a time, in arrival order, so two readings
+ * arriving together can never open the same alert twice.
+ *
+ * @module services/alertEngine
+ */
+
+const AlertRule = require('../model/alertRuleModel');
+const Alert = require('../model/alertModel');
+const { MESSAGE_TYPES, CHANNELS, broadcast } = require('./messageHub');
+
+const { ALERT_STATES } = Alert;
+
+/**
+ * How long the enabled rule set is cached before being reloaded
+ * @constant {number}
+ */
+const RULE_CACHE_MS = 30 * 1000;
+
+/** Cached enabled rules */
+let rules = null;
+let rulesLoadedAt = 0;
+
+/**
+ * Evaluation state per `${ruleId}:${deviceId}`
+ * @type {Map<string, {pendingSince: Date|null, alert: Alert|null, loaded: boolean}>}
+ */
+const tracks = new Map();
+
+/** Serializes evaluations */
+let queue = Promise.resolve();
+
+/**
+ * Loads the enabled rules, using the cache while it is fresh
+ *
+ * @returns {Promise<AlertRule[]>}
+ */
+const loadRules = async () => {
+  if (!rules || Date.now() - rulesLoadedAt > RULE_CACHE_MS) {
+    rules = await AlertRule.find({ enabled: true });
+    rulesLoadedAt = Date.now();
+  }
+  return rules;
+};
+
+/**
+ * Drops cached rules and evaluation state
+ *
+ * Call after rules are created, changed or deleted. Unresolved alerts are
+ * reloaded from the database on the next reading.
+ */
+const invalidateRules = () => {
+  rules = null;
+  tracks.clear();
+};
+
+/**
+ * Forgets the evaluation state behind an alert
+ *
+ * Call after an operator resolves an alert by hand, so the engine does not
+ * keep updating it.
+ *
+ * @param {Alert} alert - Alert that changed outside the engine
+ */
+const forgetAlert = (alert) => {
+  tracks.delete(`${alert.rule}:${alert.device}`);
+};
+
+/**
+ * Pushes an alert change to dashboards
+ *
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @param {string} event - opened|acknowledged|resolved
+ * @param {Alert} alert - Alert document
+ * @returns {number} Number of dashboards notified
+ */
+const publishAlert = (wss, event, alert) => broadcast(wss, CHANNELS.ALERTS, MESSAGE_TYPES.ALERT, {
+  event,
+  alert: alert.toJSON(),
+});
+
+/**
+ * Whether `value` is more extreme than `current` in the rule's direction
+ *
+ * @param {AlertRule} rule - Rule
+ * @param {number} value - Candidate value
+ * @param {number} current - Current peak
+ * @returns {boolean}
+ */
+const isNewPeak = (rule, value, current) => (
+  rule.comparison === 'gt' || rule.comparison === 'gte' ? value > current : value < current
+);
+
+/**
+ * Evaluates one rule against one reading
+ *
+ * @param {AlertRule} rule - Rule
+ * @param {Sensor} reading - Saved Sensor document
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @returns {Promise<void>}
+ */
+const evaluateRule = async (rule, reading, wss) => {
+  const value = reading[rule.metric];
+  if (typeof value !== 'number' || !Number.isFinite(value)) return;
+
+  const key = `${rule._id}:${reading.device}`;
+  let track = tracks.get(key);
+  if (!track) {
+    track = { pendingSince: null, alert: null, loaded: false };
+    tracks.set(key, track);
+  }
+  if (!track.loaded) {
+    track.alert = await Alert.findOne({
+      rule: rule._id,
+      device: reading.device,
+      state: { $ne: ALERT_STATES.RESOLVED },
+    });
+    track.loaded = true;
+  }
+
+  // An alert is unresolved: resolve once the value clears the hysteresis band
+  if (track.alert) {
+    const { alert } = track;
+    if (rule.isCleared(value)) {
+      alert.state = ALERT_STATES.RESOLVED;
+      alert.resolvedAt = reading.timestamp;
+      alert.lastValue = value;
+      await alert.save();
+      track.alert = null;
+      track.pendingSince = null;
+      console.log('[AlertEngine] Alert resolved:', alert.message);
+      publishAlert(wss, 'resolved', alert);
+      return;
+    }
+
+    alert.lastValue = value;
+    if (isNewPeak(rule, value, alert.peakValue)) {
+      alert.peakValue = value;
+      await alert.save();
+    }
+    return;
+  }
+
+  if (!rule.isBreached(value)) {
+    track.pendingSince = null;
+    return;
+  }
+
+  // Breached: open the alert once the condition has held long enough
+  if (!track.pendingSince) track.pendingSince = reading.timestamp;
+  const heldSec = (reading.timestamp - track.pendingSince) / 1000;
+  if (heldSec < rule.minDurationSec) return;
+
+  track.alert = await Alert.create({
+    rule: rule._id,
+    device: reading.device,
+    mission: reading.mission,
+    severity: rule.severity,
+    message: `${rule.name}: ${rule.metric} is ${value} (${rule.condition})`,
+    triggerValue: value,
+    peakValue: value,
+    lastValue: value,
+    openedAt: reading.timestamp,
+  });
+  console.log('[AlertEngine] Alert opened:', track.alert.message);
+  publishAlert(wss, 'opened', track.alert);
+};
+
+/**
+ * Evaluates a saved reading against all applicable rules
+ *
+ * Never rejects; errors are logged so ingestion is not affected.
+ *
+ * @param {Sensor} reading - Saved Sensor document
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @returns {Promise<void>}
+ */
+const evaluateReading = (reading, wss) => {
+  queue = queue
+    .then(async () => {
+      const applicable = (await loadRules())
+        .filter((rule) => !rule.device || rule.device.equals(reading.device));
+      for (const rule of applicable) {
+        await evaluateRule(rule, reading, wss);
+      }
+    })
+    .catch((error) => {
+      console.error('[AlertEngine] Evaluation error:', error.message);
+    });
+  return queue;
+};
+
+module.exports = {
+  evaluateReading,
+  invalidateRules,
+  forgetAlert,
+  publishAlert,
+};
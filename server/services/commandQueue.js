@@ -0,0 +1,494 @@
+/**
+ * Command Queue
+ *
+ * Delivers dashboard commands to devices over their WebSocket and tracks
+ * each one to the end:
+ *
+ *   queued -> sent -> acked | failed | timed_out
+ *
+ * Every device has its own queue and at most one command in flight:
+ * the next command goes out only when the device has acknowledged the
+ * previous one, or it timed out. Commands issued while a device is offline
+ * wait in the queue until it connects, for at most COMMAND_QUEUE_TTL_MS:
+ * each queued command has a timer that times it out when that runs out,
+ * whether or not the device ever comes back.
+ *
+ * On the wire a command is
+ *   { "type": "command", "id": "<commandId>", "payload": { "name": "set_interval", "args": { "intervalMs": 2000 } } }
+ * and the device answers
+ *   { "type": "ack", "id": "<commandId>", "payload": { "status": "ok" } }
+ * or `{ "status": "error", "message": "..." }`. Any other payload fields are
+ * kept as the command's `result`. Every state change is pushed to
+ * dashboards on the `commands` channel as a `command_status` message.
+ *
+ * Queued commands are stored, so they survive a server restart:
+ * restoreQueues() puts them back in their queues when the server starts
+ * (before any command is delivered) and times out commands that were in
+ * flight.
+ *
+ * @module services/commandQueue
+ */
+
+const mongoose = require('mongoose');
+const WebSocket = require('ws');
+const Command = require('../model/commandModel');
+const Device = require('../model/deviceModel');
+const Mission = require('../model/missionModel');
+const { MESSAGE_TYPES, CHANNELS, send, broadcast } = require('./messageHub');
+
+const { COMMAND_NAMES, COMMAND_STATES } = Command;
+const { DEVICE_KINDS } = Device;
+
+/**
+ * Time a device has to acknowledge a command
+ * @constant {number}
+ */
+const ACK_TIMEOUT_MS = Number(process.env.COMMAND_ACK_TIMEOUT_MS) || 10 * 1000;
+
+/**
+ * Time a command may wait for an offline device before it times out
+ * @constant {number}
+ */
+const QUEUE_TTL_MS = Number(process.env.COMMAND_QUEUE_TTL_MS) || 5 * 60 * 1000;
+
+/**
+ * Arguments each command takes
+ * @constant {Object<string, {label: string, args: Object<string, Object>}>}
+ */
+const COMMAND_DEFINITIONS = {
+  [COMMAND_NAMES.SET_INTERVAL]: {
+    label: 'Set telemetry interval',
+    args: { intervalMs: { type: 'number', required: true, min: 200, max: 60 * 60 * 1000 } },
+  },
+  [COMMAND_NAMES.PING]: {
+    label: 'Ping',
+    args: {},
+  },
+  [COMMAND_NAMES.REBOOT]: {
+    label: 'Reboot',
+    args: {},
+  },
+  [COMMAND_NAMES.START_MISSION]: {
+    label: 'Start mission',
+    args: { name: { type: 'string', required: false, maxLength: 100 } },
+  },
+};
+
+/**
+ * Queue per device id, with the expiry timer of each pending command
+ * @type {Map<string, {pending: Document[], inFlight: ({command: Document, ws: WebSocket, timer: Timeout}|null), expiries: Map<string, Timeout>}>}
+ */
+const queues = new Map();
+
+/**
+ * Settles once restoreQueues() has put the stored commands back
+ * @type {Promise<void>}
+ */
+let restored = Promise.resolve();
+
+/**
+ * Pending save per command, so state changes are written in order
+ * @type {WeakMap<Document, Promise>}
+ */
+const saves = new WeakMap();
+
+/**
+ * Builds an error carrying an HTTP status for the controller
+ *
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const commandError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Returns the queue of a device, creating it on first use
+ *
+ * @param {ObjectId|string} deviceId - Device id
+ * @returns {Object}
+ */
+const queueOf = (deviceId) => {
+  const key = String(deviceId);
+  let queue = queues.get(key);
+  if (!queue) {
+    queue = { pending: [], inFlight: null, expiries: new Map() };
+    queues.set(key, queue);
+  }
+  return queue;
+};
+
+/**
+ * Open socket of a device, if it is connected
+ *
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @param {ObjectId|string} deviceId - Device id
+ * @returns {WebSocket|undefined}
+ */
+const socketOf = (wss, deviceId) => {
+  for (const client of wss.clients) {
+    if (client.device && String(client.device._id) === String(deviceId)
+      && client.readyState === WebSocket.OPEN) {
+      return client;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Checks a command name and its arguments
+ *
+ * @param {string} name - Command name
+ * @param {Object} [args] - Raw arguments
+ * @returns {{ok: true, value: Object} | {ok: false, reasons: string[]}} Cleaned arguments
+ */
+const validateCommand = (name, args = {}) => {
+  const definition = COMMAND_DEFINITIONS[name];
+  if (!definition) return { ok: false, reasons: [`Unknown command: ${name}`] };
+
+  const reasons = [];
+  const value = {};
+  Object.entries(definition.args).forEach(([field, rule]) => {
+    const raw = args[field];
+    if (raw === undefined || raw === '') {
+      if (rule.required) reasons.push(`${field} is required`);
+      return;
+    }
+
+    if (rule.type === 'number') {
+      const n = Number(raw);
+      if (!Number.isFinite(n) || n < rule.min || n > rule.max) {
+        reasons.push(`${field} must be a number from ${rule.min} to ${rule.max}`);
+        return;
+      }
+      value[field] = n;
+    } else {
+      const text = String(raw).trim();
+      if (text.length > rule.maxLength) {
+        reasons.push(`${field} cannot exceed ${rule.maxLength} characters`);
+        return;
+      }
+      value[field] = text;
+    }
+  });
+
+  return reasons.length > 0 ? { ok: false, reasons } : { ok: true, value };
+};
+
+/**
+ * Saves a command after any save already under way, then pushes its new
+ * state to dashboards
+ *
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @param {Document} command - Command document
+ * @returns {Promise<Document>}
+ */
+const persist = (wss, command) => {
+  const previous = saves.get(command) || Promise.resolve();
+  const saved = previous
+    .catch(() => {})
+    .then(() => command.save())
+    .then(() => {
+      broadcast(wss, CHANNELS.COMMANDS, MESSAGE_TYPES.COMMAND_STATUS, command.toJSON());
+      return command;
+    });
+  saves.set(command, saved);
+  return saved;
+};
+
+/**
+ * Moves a command to a final state
+ *
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @param {Document} command - Command document
+ * @param {string} state - acked, failed or timed_out
+ * @param {Object} [fields] - `result` and/or `error`
+ * @returns {Promise<Document>}
+ */
+const complete = (wss, command, state, fields = {}) => {
+  Object.assign(command, fields, { state, completedAt: new Date() });
+  console.log(`[CommandQueue] ${command.name} ${state}${fields.error ? ` (${fields.error})` : ''}`);
+  return persist(wss, command);
+};
+
+/**
+ * Takes a command off its device's queue and stops its expiry timer
+ *
+ * @param {Document} command - Queued command
+ * @returns {boolean} False if the command was no longer queued
+ */
+const dequeue = (command) => {
+  const queue = queueOf(command.device);
+  const key = String(command._id);
+  clearTimeout(queue.expiries.get(key));
+  queue.expiries.delete(key);
+
+  const index = queue.pending.indexOf(command);
+  if (index === -1) return false;
+  queue.pending.splice(index, 1);
+  return true;
+};
+
+/**
+ * Appends a command to its device's queue and times it out once it has
+ * waited QUEUE_TTL_MS, counted from when it was issued
+ *
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @param {Document} command - Saved command in the `queued` state
+ */
+const enqueue = (wss, command) => {
+  const queue = queueOf(command.device);
+  queue.pending.push(command);
+
+  const waitMs = Math.max(command.createdAt.getTime() + QUEUE_TTL_MS - Date.now(), 0);
+  queue.expiries.set(String(command._id), setTimeout(() => {
+    if (!dequeue(command)) return;
+    complete(wss, command, COMMAND_STATES.TIMED_OUT, { error: 'Device stayed offline' })
+      .catch((error) => console.error('[CommandQueue] Save error:', error.message));
+  }, waitMs));
+};
+
+/**
+ * Sends the device's next command if nothing is in flight and the device
+ * is connected; drops commands that waited longer than QUEUE_TTL_MS
+ *
+ * Waits for restoreQueues(), so stored commands go out before newer ones.
+ *
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @param {ObjectId|string} deviceId - Device id
+ * @returns {Promise<void>}
+ */
+const pump = async (wss, deviceId) => {
+  await restored;
+  const queue = queueOf(deviceId);
+
+  while (!queue.inFlight && queue.pending.length > 0) {
+    const command = queue.pending[0];
+
+    // Its expiry timer may not have run yet
+    if (Date.now() - command.createdAt.getTime() > QUEUE_TTL_MS) {
+      dequeue(command);
+      await complete(wss, command, COMMAND_STATES.TIMED_OUT, { error: 'Device stayed offline' });
+      continue;
+    }
+
+    const ws = socketOf(wss, deviceId);
+    if (!ws) return;
+
+    dequeue(command);
+    queue.inFlight = {
+      command,
+      ws,
+      timer: setTimeout(() => {
+        queue.inFlight = null;
+        complete(wss, command, COMMAND_STATES.TIMED_OUT, { error: 'No acknowledgement from the device' })
+          .catch((error) => console.error('[CommandQueue] Save error:', error.message))
+          .then(() => pump(wss, deviceId));
+      }, ACK_TIMEOUT_MS),
+    };
+
+    send(ws, MESSAGE_TYPES.COMMAND, { name: command.name, args: command.args }, { id: String(command._id) });
+    command.state = COMMAND_STATES.SENT;
+    command.sentAt = new Date();
+    await persist(wss, command);
+  }
+};
+
+/**
+ * Runs pump() and logs failures (for callers that do not wait)
+ *
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @param {ObjectId|string} deviceId - Device id
+ */
+const pumpInBackground = (wss, deviceId) => {
+  pump(wss, deviceId).catch((error) => console.error('[CommandQueue] Delivery error:', error.message));
+};
+
+/**
+ * Finds a device by id or name
+ *
+ * @param {string} ref - Device id or name
+ * @returns {Promise<Document|null>}
+ */
+const findDevice = (ref) => {
+  if (!ref) return Promise.resolve(null);
+  return Device.findOne(mongoose.isValidObjectId(ref) ? { _id: ref } : { name: String(ref) });
+};
+
+/**
+ * Queues a command for a device and sends it right away if possible
+ *
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @param {Object} request
+ * @param {string} request.device - Target device id or name
+ * @param {string} request.name - Command name
+ * @param {Object} [request.args] - Command arguments
+ * @param {Document} [user] - User issuing the command
+ * @returns {Promise<Document>} Saved command
+ * @throws {Error} 400 for an invalid command or a device that takes no
+ *   commands, 404 for an unknown or revoked device
+ */
+const issueCommand = async (wss, { device: ref, name, args }, user) => {
+  const checked = validateCommand(name, args || {});
+  if (!checked.ok) throw commandError(400, checked.reasons.join(', '));
+
+  const device = await findDevice(ref);
+  if (!device || device.revokedAt) throw commandError(404, 'Device not found');
+  if (device.kind !== DEVICE_KINDS.SENSOR_BOARD) {
+    throw commandError(400, 'Commands can only be sent to sensor boards');
+  }
+
+  // Stored commands are restored first, so this one is queued after them
+  await restored;
+
+  const command = new Command({
+    device: device._id,
+    name,
+    args: checked.value,
+    issuedBy: user && user._id,
+  });
+  await persist(wss, command);
+  console.log(`[CommandQueue] ${name} queued for ${device.name}`);
+
+  enqueue(wss, command);
+  pumpInBackground(wss, device._id);
+  return command;
+};
+
+/**
+ * Applies side effects of an acknowledged command on the server
+ *
+ * `start_mission` opens a mission for the device (unless one is running)
+ * once the device has confirmed it.
+ *
+ * @param {Document} command - Acknowledged command
+ * @returns {Promise<Object>} Fields to add to the command's result
+ */
+const applyAcknowledged = async (command) => {
+  if (command.name !== COMMAND_NAMES.START_MISSION) return {};
+
+  const active = await Mission.findActive(command.device);
+  if (active) return { mission: active._id };
+
+  try {
+    const mission = await Mission.create({
+      name: command.args.name || `Mission ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`,
+      device: command.device,
+      operator: command.issuedBy,
+    });
+    console.log('[CommandQueue] Mission started:', mission.name);
+    return { mission: mission._id };
+  } catch (error) {
+    // A mission was started for the device in the meantime
+    if (error.code !== 11000) throw error;
+    const started = await Mission.findActive(command.device);
+    return started ? { mission: started._id } : {};
+  }
+};
+
+/**
+ * Matches a device's ack to its command in flight
+ *
+ * @param {WebSocket} ws - Device connection
+ * @param {Object} envelope - Ack envelope
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @returns {Promise<boolean>} False if the ack is not for the command in flight
+ */
+const handleCommandAck = async (ws, envelope, wss) => {
+  const queue = queueOf(ws.device._id);
+  const inFlight = queue.inFlight;
+  if (!inFlight || envelope.id === undefined || String(inFlight.command._id) !== String(envelope.id)) {
+    return false;
+  }
+
+  clearTimeout(inFlight.timer);
+  queue.inFlight = null;
+
+  const { status, message, ...result } = envelope.payload || {};
+  const { command } = inFlight;
+  if (status === 'ok') {
+    Object.assign(result, await applyAcknowledged(command).catch((error) => {
+      console.error('[CommandQueue] Follow-up error:', error.message);
+      return {};
+    }));
+    await complete(wss, command, COMMAND_STATES.ACKED, { result });
+  } else {
+    await complete(wss, command, COMMAND_STATES.FAILED, {
+      result,
+      error: message || `Device answered "${status}"`,
+    });
+  }
+
+  pumpInBackground(wss, ws.device._id);
+  return true;
+};
+
+/**
+ * Puts the stored queued commands back in their queues and times out the
+ * commands that were in flight when the server stopped
+ *
+ * Call once when the server starts. Commands are neither issued nor
+ * delivered until it has finished; a failure is logged and leaves the
+ * stored commands as they are.
+ *
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @returns {Promise<void>}
+ */
+const restoreQueues = (wss) => {
+  restored = (async () => {
+    const [stored, stale] = await Promise.all([
+      Command.find({ state: COMMAND_STATES.QUEUED }).sort({ createdAt: 1 }),
+      Command.find({ state: COMMAND_STATES.SENT }),
+    ]);
+    stored.forEach((command) => enqueue(wss, command));
+
+    await Promise.all(stale.map((command) => complete(wss, command, COMMAND_STATES.TIMED_OUT, {
+      error: 'Server restarted before an acknowledgement',
+    })));
+    if (stored.length > 0) console.log(`[CommandQueue] Restored ${stored.length} queued command(s)`);
+  })().catch((error) => console.error('[CommandQueue] Restore error:', error.message));
+  return restored;
+};
+
+/**
+ * Starts delivering a device's queue when it connects
+ *
+ * @param {WebSocket} ws - Device connection
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @returns {Promise<void>}
+ */
+const deviceConnected = (ws, wss) => pump(wss, ws.device._id);
+
+/**
+ * Fails the command in flight on a connection that closed
+ *
+ * @param {WebSocket} ws - Device connection
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @returns {Promise<void>}
+ */
+const deviceDisconnected = async (ws, wss) => {
+  const queue = queueOf(ws.device._id);
+  const inFlight = queue.inFlight;
+  if (!inFlight || inFlight.ws !== ws) return;
+
+  clearTimeout(inFlight.timer);
+  queue.inFlight = null;
+  await complete(wss, inFlight.command, COMMAND_STATES.FAILED, {
+    error: 'Connection closed before an acknowledgement',
+  });
+};
+
+module.exports = {
+  ACK_TIMEOUT_MS,
+  QUEUE_TTL_MS,
+  COMMAND_DEFINITIONS,
+  validateCommand,
+  restoreQueues,
+  issueCommand,
+  handleCommandAck,
+  deviceConnected,
+  deviceDisconnected,
+};
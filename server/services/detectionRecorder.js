@@ -0,0 +1,191 @@
+/**
+ * Detection Recorder
+ *
+ * Validates `detection` messages from the vision node and stores one
+ * Detection per detected object. Each detection is linked to the
+ * telemetry reading with a GPS fix closest in time to its frame, so it can
+ * be placed on the map and in its mission. The vision node and the sensor
+ * board are separate devices on the same vehicle, paired through the
+ * vision node's `pairedDevice`: only the paired board's readings are
+ * considered (any device's while the vision node is unpaired).
+ *
+ * Payload format:
+ * {
+ *   "capturedAt": "2024-05-01T10:00:00.120Z",   // frame time (ISO or epoch), defaults to now
+ *   "stream": 0,                                 // optional camera id
+ *   "frameWidth": 640, "frameHeight": 480,       // optional
+ *   "detections": [
+ *     { "label": "person", "classId": 1, "confidence": 0.87, "box": [x, y, width, height] }
+ *   ]
+ * }
+ *
+ * @module services/detectionRecorder
+ */
+
+const Detection = require('../model/detectionModel');
+const Sensor = require('../model/dataModel');
+const { parseTimestamp } = require('./telemetryIngest');
+
+/**
+ * Detections are only linked to readings at most this far from the frame
+ * @constant {number}
+ */
+const MATCH_WINDOW_MS = 30 * 1000;
+
+/**
+ * Most detections accepted for one frame
+ * @constant {number}
+ */
+const MAX_PER_FRAME = 100;
+
+/**
+ * Builds a rejection reason
+ *
+ * @param {string} field - Offending field
+ * @param {string} code - Machine-readable code
+ * @param {string} message - Human-readable message
+ * @returns {{field: string, code: string, message: string}}
+ */
+const reason = (field, code, message) => ({ field, code, message });
+
+/**
+ * Reads a bounding box given as [x, y, width, height] or {x, y, width, height}
+ *
+ * @param {*} box - Raw box
+ * @returns {Object|undefined} Box, or undefined if malformed
+ */
+const parseBox = (box) => {
+  const [x, y, width, height] = Array.isArray(box)
+    ? box
+    : [box && box.x, box && box.y, box && box.width, box && box.height];
+  const values = [x, y, width, height].map(Number);
+  if (!values.every((n) => Number.isFinite(n) && n >= 0)) return undefined;
+  return { x: values[0], y: values[1], width: values[2], height: values[3] };
+};
+
+/**
+ * Validates a detection payload
+ *
+ * @param {Object} payload - Parsed JSON payload
+ * @param {Date} [receivedAt=new Date()] - Used when the frame has no timestamp
+ * @returns {{ok: true, value: Object} | {ok: false, reasons: Array<Object>}}
+ */
+const normalizeDetections = (payload, receivedAt = new Date()) => {
+  if (!payload || typeof payload !== 'object' || !Array.isArray(payload.detections)) {
+    return { ok: false, reasons: [reason('detections', 'invalid_payload', 'detections must be an array')] };
+  }
+  if (payload.detections.length > MAX_PER_FRAME) {
+    return {
+      ok: false,
+      reasons: [reason('detections', 'too_many', `At most ${MAX_PER_FRAME} detections per frame`)],
+    };
+  }
+
+  const reasons = [];
+  const capturedAt = payload.capturedAt === undefined ? receivedAt : parseTimestamp(payload.capturedAt);
+  if (!capturedAt) reasons.push(reason('capturedAt', 'invalid_timestamp', 'capturedAt is not a valid date'));
+
+  const detections = payload.detections.map((item, i) => {
+    const field = `detections.${i}`;
+    const label = item && typeof item.label === 'string' ? item.label.trim() : '';
+    const confidence = Number(item && item.confidence);
+    const box = parseBox(item && item.box);
+
+    if (!label) reasons.push(reason(`${field}.label`, 'missing', 'label is required'));
+    if (!(confidence >= 0 && confidence <= 1)) {
+      reasons.push(reason(`${field}.confidence`, 'out_of_range', 'confidence must be between 0 and 1'));
+    }
+    if (!box) reasons.push(reason(`${field}.box`, 'invalid_box', 'box must be [x, y, width, height]'));
+
+    return {
+      label,
+      classId: Number.isInteger(item && item.classId) ? item.classId : undefined,
+      confidence,
+      box,
+    };
+  });
+
+  if (reasons.length > 0) return { ok: false, reasons };
+
+  return {
+    ok: true,
+    value: {
+      capturedAt,
+      stream: Number.isInteger(payload.stream) ? payload.stream : 0,
+      frameWidth: Number.isFinite(payload.frameWidth) ? payload.frameWidth : undefined,
+      frameHeight: Number.isFinite(payload.frameHeight) ? payload.frameHeight : undefined,
+      detections,
+    },
+  };
+};
+
+/**
+ * Finds the reading with a GPS fix closest in time to a frame
+ *
+ * Compares the newest reading at or before the frame with the oldest one
+ * after it, both within MATCH_WINDOW_MS. With several vehicles only the
+ * readings of the camera's own vehicle fit, so callers pass the sensor
+ * board the camera node is paired with; readings of any device are used
+ * only for unpaired cameras.
+ *
+ * @param {Date} capturedAt - Frame time
+ * @param {Object} [scope]
+ * @param {ObjectId|string} [scope.device] - Sensor board whose readings fit (default: any)
+ * @returns {Promise<Document|null>} Sensor reading
+ */
+const findNearestReading = async (capturedAt, { device } = {}) => {
+  const time = capturedAt.getTime();
+  const located = { position: { $exists: true } };
+  if (device) located.device = device;
+
+  const [before, after] = await Promise.all([
+    Sensor.findOne({ ...located, timestamp: { $lte: capturedAt, $gte: new Date(time - MATCH_WINDOW_MS) } })
+      .sort({ timestamp: -1 }),
+    Sensor.findOne({ ...located, timestamp: { $gt: capturedAt, $lte: new Date(time + MATCH_WINDOW_MS) } })
+      .sort({ timestamp: 1 }),
+  ]);
+
+  if (!before || !after) return before || after;
+  return time - before.timestamp.getTime() <= after.timestamp.getTime() - time ? before : after;
+};
+
+/**
+ * Stores the detections of one frame
+ *
+ * @param {Document} device - Vision node that sent them (its `pairedDevice`
+ *   picks the readings they are linked to)
+ * @param {Object} frame - Normalized payload from normalizeDetections()
+ * @returns {Promise<Detection[]>} Saved detections (empty if the frame had none)
+ */
+const recordDetections = async (device, frame) => {
+  if (frame.detections.length === 0) return [];
+
+  const reading = await findNearestReading(frame.capturedAt, { device: device.pairedDevice });
+  const link = reading
+    ? {
+      reading: reading._id,
+      mission: reading.mission,
+      latitude: reading.latitude,
+      longitude: reading.longitude,
+      readingOffsetMs: reading.timestamp.getTime() - frame.capturedAt.getTime(),
+    }
+    : {};
+
+  return Detection.insertMany(frame.detections.map((detection) => ({
+    ...detection,
+    ...link,
+    device: device._id,
+    stream: frame.stream,
+    frameWidth: frame.frameWidth,
+    frameHeight: frame.frameHeight,
+    capturedAt: frame.capturedAt,
+  })));
+};
+
+module.exports = {
+  MATCH_WINDOW_MS,
+  MAX_PER_FRAME,
+  normalizeDetections,
+  findNearestReading,
+  recordDetections,
+};
@@ -0,0 +1,130 @@
+/**
+ * Geofence Monitor
+ *
+ * Checks every GPS fix against the enabled geofences and fires an `enter`
+ * or `exit` event when a device crosses a fence boundary. Events are stored
+ * and pushed live to dashboards on the geofences channel.
+ *
+ * Which side of each fence a device is on is remembered per fence and
+ * device; after a restart it is recovered from the last stored event. A
+ * device with no history counts as outside, so its first fix inside a
+ * fence fires `enter`.
+ *
+ * @module services/geofenceMonitor
+ */
+
+const Geofence = require('../model/geofenceModel');
+const GeofenceEvent = require('../model/geofenceEventModel');
+const { MESSAGE_TYPES, CHANNELS, broadcast } = require('./messageHub');
+const { hasFix } = require('../utils/geo');
+
+/**
+ * How long the enabled fence set is cached before being reloaded
+ * @constant {number}
+ */
+const FENCE_CACHE_MS = 30 * 1000;
+
+/** Cached enabled fences */
+let fences = null;
+let fencesLoadedAt = 0;
+
+/**
+ * Whether each device is inside each fence, per `${fenceId}:${deviceId}`
+ * @type {Map<string, boolean>}
+ */
+const positions = new Map();
+
+/** Serializes checks */
+let queue = Promise.resolve();
+
+/**
+ * Loads the enabled fences, using the cache while it is fresh
+ *
+ * @returns {Promise<Geofence[]>}
+ */
+const loadFences = async () => {
+  if (!fences || Date.now() - fencesLoadedAt > FENCE_CACHE_MS) {
+    fences = await Geofence.find({ enabled: true });
+    fencesLoadedAt = Date.now();
+  }
+  return fences;
+};
+
+/**
+ * Drops cached fences and remembered positions
+ *
+ * Call after fences are created, changed or deleted.
+ */
+const invalidateFences = () => {
+  fences = null;
+  positions.clear();
+};
+
+/**
+ * Whether the device was inside the fence at its last stored event
+ *
+ * @param {Geofence} fence - Fence
+ * @param {ObjectId} deviceId - Device
+ * @returns {Promise<boolean>}
+ */
+const wasInside = async (fence, deviceId) => {
+  const key = `${fence._id}:${deviceId}`;
+  if (!positions.has(key)) {
+    const last = await GeofenceEvent.findOne({ geofence: fence._id, device: deviceId })
+      .sort({ occurredAt: -1 })
+      .select('type');
+    positions.set(key, Boolean(last && last.type === 'enter'));
+  }
+  return positions.get(key);
+};
+
+/**
+ * Checks a saved reading's GPS fix against all applicable fences
+ *
+ * Readings without a fix are ignored. Never rejects; errors are logged so
+ * ingestion is not affected.
+ *
+ * @param {Sensor} reading - Saved Sensor document
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @returns {Promise<void>}
+ */
+const checkPosition = (reading, wss) => {
+  if (!hasFix(reading) || !reading.device) return queue;
+
+  queue = queue
+    .then(async () => {
+      const applicable = (await loadFences())
+        .filter((fence) => !fence.device || fence.device.equals(reading.device));
+
+      for (const fence of applicable) {
+        const inside = fence.contains(reading);
+        if (inside === await wasInside(fence, reading.device)) continue;
+
+        positions.set(`${fence._id}:${reading.device}`, inside);
+        const event = await GeofenceEvent.create({
+          geofence: fence._id,
+          geofenceName: fence.name,
+          device: reading.device,
+          mission: reading.mission,
+          reading: reading._id,
+          type: inside ? 'enter' : 'exit',
+          latitude: reading.latitude,
+          longitude: reading.longitude,
+          occurredAt: reading.timestamp,
+        });
+
+        await event.populate('device', 'name');
+        console.log(`[GeofenceMonitor] ${event.device.name} ${event.type} "${fence.name}"`);
+        broadcast(wss, CHANNELS.GEOFENCES, MESSAGE_TYPES.GEOFENCE, event.toJSON());
+      }
+    })
+    .catch((error) => {
+      console.error('[GeofenceMonitor] Check error:', error.message);
+    });
+  return queue;
+};
+
+module.exports = {
+  checkPosition,
+  invalidateFences,
+};
@@ -0,0 +1,61 @@
+/**
+ * Login History
+ *
+ * Records logins and refused attempts (called from the Passport strategy
+ * in config/passport) and reads them back for the profile page. Recording
+ * never fails a login: errors are only logged.
+ *
+ * @module services/loginHistory
+ */
+
+const LoginEvent = require('../model/loginEventModel');
+
+/**
+ * Entries shown on the profile page
+ * @constant {number}
+ */
+const RECENT_LOGINS = 20;
+
+/**
+ * Records a login attempt
+ *
+ * @async
+ * @param {Request} req - Login request (for IP and browser)
+ * @param {Object} attempt
+ * @param {string} attempt.email - Email entered on the login form
+ * @param {User} [attempt.user] - Account the attempt was for, if it exists
+ * @param {string} [attempt.failure] - Why it was refused (see LOGIN_FAILURES); none for a success
+ * @returns {Promise<void>}
+ */
+const recordLogin = async (req, { email, user, failure }) => {
+  try {
+    await LoginEvent.create({
+      user: user ? user._id : undefined,
+      email: String(email || '').slice(0, 254),
+      success: !failure,
+      failure,
+      ip: req.ip,
+      userAgent: String(req.get('user-agent') || '').slice(0, 300),
+    });
+  } catch (error) {
+    console.error('[LoginHistory] Failed to record login:', error.message);
+  }
+};
+
+/**
+ * Most recent login events of an account, newest first
+ *
+ * @async
+ * @param {ObjectId|string} userId - Account id
+ * @param {number} [limit] - Number of entries
+ * @returns {Promise<LoginEvent[]>}
+ */
+const recentLogins = (userId, limit = RECENT_LOGINS) => LoginEvent.find({ user: userId })
+  .sort({ createdAt: -1 })
+  .limit(limit);
+
+module.exports = {
+  RECENT_LOGINS,
+  recordLogin,
+  recentLogins,
+};
@@ -0,0 +1,293 @@
+/**
+ * Login Throttle
+ *
+ * Brute-force protection for the login form. Failed logins are counted per
+ * account (the email entered, whether or not it is registered) and per
+ * client IP address within LOGIN_WINDOW_MS:
+ * - after a few free failures every further attempt is answered more
+ *   slowly, doubling from LOGIN_DELAY_BASE_MS up to LOGIN_DELAY_MAX_MS
+ * - after LOGIN_MAX_FAILURES for an account, or LOGIN_IP_MAX_FAILURES for
+ *   an address, logins are refused for LOGIN_LOCKOUT_MS, even with the
+ *   right password
+ *
+ * Every attempt is counted as a failure before its password is checked
+ * (reserveLogin), in one atomic store update, so a burst of parallel
+ * attempts cannot all pass the check before any of them has failed. A
+ * successful login then clears the account's counter and takes its own
+ * attempt back off the address's counter (recordSuccess); otherwise an
+ * address's counter only runs out, so logging in to one account does not
+ * buy more guesses at others.
+ *
+ * The counters live in a pluggable store, picked with LOGIN_THROTTLE_STORE:
+ * - `memory` (default): this process only; counters reset on restart
+ * - `mongo`: shared by every server process (model/loginThrottleModel)
+ *
+ * Other stores can be plugged in with setStore(); a store is any object
+ * with async `hit(key, policy)`, `release(key)` and `reset(key)` (see
+ * STORES).
+ *
+ * @module services/loginThrottle
+ */
+
+const LoginThrottle = require('../model/loginThrottleModel');
+
+/**
+ * How long failures are counted
+ * @constant {number}
+ */
+const LOGIN_WINDOW_MS = Number(process.env.LOGIN_WINDOW_MS) || 15 * 60 * 1000;
+
+/**
+ * How long a lockout lasts
+ * @constant {number}
+ */
+const LOGIN_LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000;
+
+/**
+ * First delay once the free failures are used up
+ * @constant {number}
+ */
+const LOGIN_DELAY_BASE_MS = Number(process.env.LOGIN_DELAY_BASE_MS) || 500;
+
+/**
+ * Longest delay
+ * @constant {number}
+ */
+const LOGIN_DELAY_MAX_MS = Number(process.env.LOGIN_DELAY_MAX_MS) || 8000;
+
+/**
+ * Limits per counter: failures answered without delay, and failures that
+ * trigger a lockout
+ * @constant {Object<string, {prefix: string, freeFailures: number, maxFailures: number}>}
+ */
+const LOGIN_LIMITS = {
+  account: {
+    prefix: 'account:',
+    freeFailures: 2,
+    maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+  },
+  ip: {
+    prefix: 'ip:',
+    freeFailures: 5,
+    maxFailures: Number(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+  },
+};
+
+/**
+ * Built-in stores, keyed by LOGIN_THROTTLE_STORE value
+ *
+ * `hit(key, policy)` counts one attempt, atomically: a locked key is left
+ * as it is; otherwise the count goes up (starting a new window when the
+ * last one, or the lockout that ended it, is over), and passing
+ * `policy.maxFailures` locks the key for `policy.lockoutMs`. It resolves to the updated `{failures, lockedUntil}`.
+ * `release(key)` takes one attempt back off the count and `reset(key)`
+ * forgets the key.
+ *
+ * @constant {Object<string, function(): Object>}
+ */
+const STORES = {
+  memory: () => {
+    const entries = new Map();
+
+    // Forget counters nobody touched again once they run out
+    const sweep = setInterval(() => {
+      const now = Date.now();
+      entries.forEach((entry, key) => {
+        if (entry.windowEndsAt <= now && !(entry.lockedUntil > now)) entries.delete(key);
+      });
+    }, LOGIN_WINDOW_MS);
+    sweep.unref();
+
+    return {
+      // Runs without awaiting anything, so no other attempt can interleave
+      hit: async (key, { windowMs, maxFailures, lockoutMs }) => {
+        const now = Date.now();
+        let entry = entries.get(key);
+        if (entry && entry.lockedUntil > now) return { ...entry };
+
+        if (!entry || entry.windowEndsAt <= now || entry.lockedUntil) {
+          entry = { failures: 0, windowEndsAt: now + windowMs, lockedUntil: null };
+          entries.set(key, entry);
+        }
+        entry.failures += 1;
+        entry.lockedUntil = entry.failures > maxFailures ? now + lockoutMs : null;
+        return { ...entry };
+      },
+
+      release: async (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.failures > 0) entry.failures -= 1;
+      },
+
+      reset: async (key) => {
+        entries.delete(key);
+      },
+    };
+  },
+
+  mongo: () => ({
+    // One atomic update, so parallel attempts from any process all count
+    hit: (key, { windowMs, maxFailures, lockoutMs }) => {
+      const now = new Date();
+      const locked = { $gt: ['$lockedUntil', now] };
+      // Checked only when not locked: a lockout that is over starts a new window
+      const startOver = { $or: [{ $not: [{ $gt: ['$windowEndsAt', now] }] }, { $gt: ['$lockedUntil', null] }] };
+      return LoginThrottle.findOneAndUpdate({ key }, [
+        {
+          $set: {
+            failures: { $cond: [locked, '$failures', { $cond: [startOver, 1, { $add: ['$failures', 1] }] }] },
+            windowEndsAt: {
+              $cond: [locked, '$windowEndsAt', { $cond: [startOver, new Date(now.getTime() + windowMs), '$windowEndsAt'] }],
+            },
+          },
+        },
+        {
+          $set: {
+            lockedUntil: {
+              $cond: [
+                locked,
+                '$lockedUntil',
+                { $cond: [{ $gt: ['$failures', maxFailures] }, new Date(now.getTime() + lockoutMs), null] },
+              ],
+            },
+          },
+        },
+        { $set: { expiresAt: { $max: ['$windowEndsAt', '$lockedUntil'] } } },
+      ], { upsert: true, new: true }).lean();
+    },
+
+    release: async (key) => {
+      await LoginThrottle.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+    },
+
+    reset: async (key) => {
+      await LoginThrottle.deleteOne({ key });
+    },
+  }),
+};
+
+/**
+ * Store in use, created on first use
+ * @type {Object|null}
+ */
+let store = null;
+
+/**
+ * Replaces the store (e.g. with a custom one)
+ *
+ * @param {Object} custom - Store with `hit`, `release` and `reset`
+ */
+const setStore = (custom) => {
+  store = custom;
+};
+
+/**
+ * Returns the configured store
+ *
+ * @returns {Object}
+ * @throws {Error} If LOGIN_THROTTLE_STORE names no known store
+ */
+const getStore = () => {
+  if (!store) {
+    const name = process.env.LOGIN_THROTTLE_STORE || 'memory';
+    if (!STORES[name]) {
+      throw new Error(`Unknown LOGIN_THROTTLE_STORE "${name}" (use ${Object.keys(STORES).join(', ')})`);
+    }
+    store = STORES[name]();
+  }
+  return store;
+};
+
+/**
+ * Store keys of a login attempt
+ *
+ * @param {string} ip - Client address
+ * @param {string} email - Email entered on the login form
+ * @returns {{account: string, ip: string}}
+ */
+const keysFor = (ip, email) => ({
+  account: LOGIN_LIMITS.account.prefix + String(email || '').trim().toLowerCase(),
+  ip: LOGIN_LIMITS.ip.prefix + ip,
+});
+
+/**
+ * Delay owed for a number of failures
+ *
+ * @param {number} failures - Failures in the current window
+ * @param {number} freeFailures - Failures answered without delay
+ * @returns {number} Milliseconds
+ */
+const delayFor = (failures, freeFailures) => {
+  if (failures <= freeFailures) return 0;
+  return Math.min(LOGIN_DELAY_BASE_MS * 2 ** (failures - freeFailures - 1), LOGIN_DELAY_MAX_MS);
+};
+
+/**
+ * Counts a login attempt as failed before its password is checked, and
+ * tells whether it may go ahead
+ *
+ * Call recordSuccess() if the password turns out to be right.
+ *
+ * @async
+ * @param {string} ip - Client address
+ * @param {string} email - Email entered on the login form
+ * @returns {Promise<{lockedUntil: Date|null, delayMs: number}>} When the
+ *   attempt is locked out until (null if it may go ahead), and how long to
+ *   wait before checking the password
+ */
+const reserveLogin = async (ip, email) => {
+  const keys = keysFor(ip, email);
+  const policy = (limits) => ({ windowMs: LOGIN_WINDOW_MS, lockoutMs: LOGIN_LOCKOUT_MS, maxFailures: limits.maxFailures });
+
+  const [account, address] = await Promise.all([
+    getStore().hit(keys.account, policy(LOGIN_LIMITS.account)),
+    getStore().hit(keys.ip, policy(LOGIN_LIMITS.ip)),
+  ]);
+  if (account.failures === LOGIN_LIMITS.account.maxFailures + 1) {
+    console.log('[LoginThrottle] Locked logins to', keys.account);
+  }
+  if (address.failures === LOGIN_LIMITS.ip.maxFailures + 1) {
+    console.log('[LoginThrottle] Locked logins from', keys.ip);
+  }
+
+  const now = Date.now();
+  const lockedUntil = [account, address]
+    .map((entry) => (entry.lockedUntil ? new Date(entry.lockedUntil).getTime() : 0))
+    .filter((until) => until > now)
+    .sort((a, b) => b - a)[0];
+
+  // The delay grows with the failures before this attempt
+  return {
+    lockedUntil: lockedUntil ? new Date(lockedUntil) : null,
+    delayMs: lockedUntil ? 0 : Math.max(
+      delayFor(account.failures - 1, LOGIN_LIMITS.account.freeFailures),
+      delayFor(address.failures - 1, LOGIN_LIMITS.ip.freeFailures)
+    ),
+  };
+};
+
+/**
+ * Undoes the reservation of a login whose password was right: clears the
+ * account's failures and takes the attempt off the address's count
+ *
+ * @async
+ * @param {string} ip - Client address
+ * @param {string} email - Email of the account
+ * @returns {Promise<void>}
+ */
+const recordSuccess = async (ip, email) => {
+  const keys = keysFor(ip, email);
+  await Promise.all([getStore().reset(keys.account), getStore().release(keys.ip)]);
+};
+
+module.exports = {
+  LOGIN_WINDOW_MS,
+  LOGIN_LOCKOUT_MS,
+  LOGIN_DELAY_BASE_MS,
+  LOGIN_DELAY_MAX_MS,
+  LOGIN_LIMITS,
+  STORES,
+  setStore,
+  reserveLogin,
+  recordSuccess,
+};
@@ -0,0 +1,146 @@
+/**
+ * Mailer
+ *
+ * Sends application email (e.g. password reset links) through a pluggable
+ * transport, picked with MAIL_TRANSPORT:
+ * - `smtp`: a real mail server (SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+ *   SMTP_USER, SMTP_PASS)
+ * - `file`: writes each message as an `.eml` file to MAIL_DIR (default
+ *   `server/mail`), for testing without a mail server
+ * - `console` (default): prints each message to the server log
+ *
+ * In production (NODE_ENV=production) MAIL_TRANSPORT must be set, and the
+ * `file` and `console` transports are refused: they would leave the live
+ * reset links of every message on the server.
+ *
+ * Other transports can be plugged in with setTransport(); a transport is
+ * any object with an async `send(message)`.
+ *
+ * @module services/mailer
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Sender address of outgoing mail
+ * @constant {string}
+ */
+const MAIL_FROM = process.env.MAIL_FROM || process.env.EMAIL_FROM || 'HydroQuest <no-reply@hydroquest.local>';
+
+/**
+ * Directory the `file` transport writes to
+ * @constant {string}
+ */
+const MAIL_DIR = path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', 'mail'));
+
+/**
+ * Transports that keep messages on the server, refused in production
+ * @constant {string[]}
+ */
+const LOCAL_TRANSPORTS = ['file', 'console'];
+
+/**
+ * Built-in transports, keyed by MAIL_TRANSPORT value
+ * @constant {Object<string, function(): {send: function(Object): Promise<Object>}>}
+ */
+const TRANSPORTS = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+    return { send: (message) => transporter.sendMail(message) };
+  },
+
+  file: () => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+        const file = path.join(MAIL_DIR, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+        await fs.promises.writeFile(file, info.message);
+        console.log(`[Mailer] Wrote "${message.subject}" for ${message.to} to ${file}`);
+        return info;
+      },
+    };
+  },
+
+  console: () => ({
+    send: async (message) => {
+      console.log(`[Mailer] To: ${message.to}\n[Mailer] Subject: ${message.subject}\n${message.text}`);
+      return { messageId: null };
+    },
+  }),
+};
+
+/**
+ * Transport in use, created on first send
+ * @type {{send: function(Object): Promise<Object>}|null}
+ */
+let transport = null;
+
+/**
+ * Replaces the transport (e.g. with a custom one)
+ *
+ * @param {{send: function(Object): Promise<Object>}} custom - Transport
+ */
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+/**
+ * Returns the configured transport
+ *
+ * @returns {{send: function(Object): Promise<Object>}}
+ * @throws {Error} If MAIL_TRANSPORT names no known transport, or in
+ *   production is not set or names a local transport
+ */
+const getTransport = () => {
+  if (!transport) {
+    const production = process.env.NODE_ENV === 'production';
+    const name = process.env.MAIL_TRANSPORT || (production ? '' : 'console');
+    if (!name) {
+      throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (use ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+    if (production && LOCAL_TRANSPORTS.includes(name)) {
+      throw new Error(`MAIL_TRANSPORT "${name}" keeps mail on the server and is refused in production`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+/**
+ * Sends an email
+ *
+ * @async
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<Object>} Transport result
+ *
+ * @example
+ * await sendMail({ to: user.email, subject: 'Hello', text: 'Hi there' });
+ */
+const sendMail = (message) => getTransport().send({ from: MAIL_FROM, ...message });
+
+module.exports = {
+  MAIL_FROM,
+  MAIL_DIR,
+  TRANSPORTS,
+  setTransport,
+  getTransport,
+  sendMail,
+};
@@ -0,0 +1,357 @@
+/**
+ * Media Recorder
+ *
+ * Saves snapshots and clips from the relayed camera stream to disk.
+ * services/videoRelay hands every frame it relays to captureFrame(), which
+ * keeps the newest frame of each camera (for snapshots) and appends it to
+ * any clip being recorded from that camera. Clips therefore have the
+ * relayed frame rate (at most VIDEO_MAX_FPS).
+ *
+ * Files go to MEDIA_DIR (default `server/media`):
+ * - snapshots as `<id>.jpg`
+ * - clips as `<id>.mjpeg`, the frames' JPEGs back to back (plays in
+ *   `ffplay -f mjpeg`); the frame offsets and times are kept in the Media
+ *   document for the gallery player
+ *
+ * When a snapshot is taken or a clip stops, the Media document is tagged
+ * with the mission and GPS fix of the telemetry reading nearest to the
+ * first frame, and with the vision node's detections in the captured time
+ * range. Like detections, only readings of the sensor board the vision node
+ * is paired with are used (any device's while it is unpaired).
+ *
+ * @module services/mediaRecorder
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Media = require('../model/mediaModel');
+const Detection = require('../model/detectionModel');
+const Device = require('../model/deviceModel');
+const { findNearestReading } = require('./detectionRecorder');
+const { parseTimestamp } = require('./telemetryIngest');
+
+/**
+ * Directory saved media is written to
+ * @constant {string}
+ */
+const MEDIA_DIR = path.resolve(process.env.MEDIA_DIR || path.join(__dirname, '..', 'media'));
+
+/**
+ * Longest clip; recording stops by itself after this many seconds
+ * @constant {number}
+ */
+const CLIP_MAX_SECONDS = Number(process.env.MEDIA_CLIP_MAX_SECONDS) || 300;
+
+/**
+ * Frames older than this are not used for new snapshots or recordings
+ * (the camera has gone quiet)
+ * @constant {number}
+ */
+const FRAME_MAX_AGE_MS = 10 * 1000;
+
+/**
+ * Detections this close to a snapshot's frame count as in view
+ * @constant {number}
+ */
+const DETECTION_WINDOW_MS = 500;
+
+/**
+ * Most detections linked to one file
+ * @constant {number}
+ */
+const MAX_DETECTIONS = 500;
+
+/**
+ * Newest frame per camera, keyed by `<deviceId>:<stream>`
+ * @type {Map<string, {device: Document, stream: number, image: Buffer|string, capturedAt: Date, receivedAt: number}>}
+ */
+const latestFrames = new Map();
+
+/**
+ * Clips being recorded, keyed by Media id
+ * @type {Map<string, {media: Document, key: string, file: WriteStream, offsets: number[], times: number[], bytes: number, timer: Timeout}>}
+ */
+const recordings = new Map();
+
+/**
+ * Builds an error carrying an HTTP status for the controller
+ *
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const mediaError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Key of a camera in latestFrames
+ *
+ * @param {ObjectId|string} deviceId - Vision node id
+ * @param {number} stream - Camera id
+ * @returns {string}
+ */
+const cameraKey = (deviceId, stream) => `${deviceId}:${stream}`;
+
+/**
+ * JPEG bytes of a frame (JSON frames carry base64)
+ *
+ * @param {Buffer|string} image - Raw or base64 JPEG
+ * @returns {Buffer}
+ */
+const jpegOf = (image) => (Buffer.isBuffer(image) ? image : Buffer.from(image, 'base64'));
+
+/**
+ * Takes a relayed frame: remembers it as the camera's newest and appends
+ * it to the camera's clip, if one is recording
+ *
+ * @param {Document} device - Vision node that sent the frame
+ * @param {Object} frame
+ * @param {number} [frame.stream=0] - Camera id
+ * @param {Buffer|string} frame.image - JPEG bytes, or base64 for JSON frames
+ * @param {string|number} [frame.capturedAt] - Capture time (ISO or epoch ms)
+ */
+const captureFrame = (device, { stream = 0, image, capturedAt }) => {
+  const key = cameraKey(device._id, stream);
+  const frame = {
+    device,
+    stream,
+    image,
+    capturedAt: parseTimestamp(capturedAt) || new Date(),
+    receivedAt: Date.now(),
+  };
+  latestFrames.set(key, frame);
+
+  recordings.forEach((recording) => {
+    if (recording.key !== key) return;
+    const jpeg = jpegOf(image);
+    if (recording.offsets.length === 0) recording.media.startedAt = frame.capturedAt;
+    recording.offsets.push(recording.bytes);
+    recording.times.push(frame.capturedAt.getTime() - recording.media.startedAt.getTime());
+    recording.media.endedAt = frame.capturedAt;
+    recording.bytes += jpeg.length;
+    recording.file.write(jpeg);
+  });
+};
+
+/**
+ * Finds the newest recent frame of a camera
+ *
+ * @param {Object} source
+ * @param {string} [source.device] - Vision node id (default: any)
+ * @param {number} [source.stream] - Camera id (default: any)
+ * @returns {Object|undefined} Entry of latestFrames
+ */
+const latestFrame = ({ device, stream } = {}) => {
+  let newest;
+  const since = Date.now() - FRAME_MAX_AGE_MS;
+  latestFrames.forEach((frame) => {
+    if (frame.receivedAt < since) return;
+    if (device && String(frame.device._id) !== String(device)) return;
+    if (stream !== undefined && frame.stream !== stream) return;
+    if (!newest || frame.receivedAt > newest.receivedAt) newest = frame;
+  });
+  return newest;
+};
+
+/**
+ * Tags a Media document with the mission, GPS fix and detections of its
+ * time range
+ *
+ * @param {Document} media - Media document (not saved)
+ * @returns {Promise<void>}
+ */
+const describeCapture = async (media) => {
+  const from = media.startedAt.getTime();
+  const to = (media.endedAt || media.startedAt).getTime();
+
+  // Looked up now, so a clip follows a pairing changed while it recorded
+  const camera = await Device.findById(media.device).select('pairedDevice').lean();
+
+  const [reading, detections] = await Promise.all([
+    findNearestReading(media.startedAt, { device: (camera && camera.pairedDevice) || undefined }),
+    Detection.find({
+      device: media.device,
+      stream: media.stream,
+      capturedAt: { $gte: new Date(from - DETECTION_WINDOW_MS), $lte: new Date(to + DETECTION_WINDOW_MS) },
+    })
+      .sort({ capturedAt: 1 })
+      .limit(MAX_DETECTIONS)
+      .select('_id'),
+  ]);
+
+  if (reading) {
+    media.mission = reading.mission;
+    media.latitude = reading.latitude;
+    media.longitude = reading.longitude;
+  }
+  media.detections = detections.map((detection) => detection._id);
+};
+
+/**
+ * Saves the newest frame of a camera as a JPEG
+ *
+ * @param {Object} source - Camera to capture ({device, stream}, both optional)
+ * @param {Document} [user] - User taking the snapshot
+ * @returns {Promise<Document>} Saved Media document
+ * @throws {Error} 404 if the camera sent no frame in the last FRAME_MAX_AGE_MS
+ */
+const takeSnapshot = async (source, user) => {
+  const frame = latestFrame(source);
+  if (!frame) throw mediaError(404, 'No recent frames from that camera');
+
+  const jpeg = jpegOf(frame.image);
+  const media = new Media({
+    kind: 'snapshot',
+    device: frame.device._id,
+    stream: frame.stream,
+    mimeType: 'image/jpeg',
+    size: jpeg.length,
+    startedAt: frame.capturedAt,
+    frameCount: 1,
+    createdBy: user && user._id,
+  });
+  media.fileName = `${media._id}.jpg`;
+
+  await fs.promises.mkdir(MEDIA_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(MEDIA_DIR, media.fileName), jpeg);
+  await describeCapture(media);
+  await media.save();
+
+  console.log(`[MediaRecorder] Snapshot ${media.fileName} from ${frame.device.name}`);
+  return media;
+};
+
+/**
+ * Starts recording a camera's relayed frames
+ *
+ * @param {Object} source - Camera to record ({device, stream}, both optional)
+ * @param {Document} [user] - User starting the recording
+ * @returns {Promise<Document>} Media document in the `recording` state
+ * @throws {Error} 404 if the camera sent no frame in the last FRAME_MAX_AGE_MS,
+ *   409 if the camera is already being recorded
+ */
+const startRecording = async (source, user) => {
+  const frame = latestFrame(source);
+  if (!frame) throw mediaError(404, 'No recent frames from that camera');
+
+  const key = cameraKey(frame.device._id, frame.stream);
+  for (const recording of recordings.values()) {
+    if (recording.key === key) throw mediaError(409, 'That camera is already being recorded');
+  }
+
+  const media = new Media({
+    kind: 'clip',
+    status: 'recording',
+    device: frame.device._id,
+    stream: frame.stream,
+    mimeType: 'video/x-motion-jpeg',
+    startedAt: new Date(),
+    createdBy: user && user._id,
+  });
+  media.fileName = `${media._id}.mjpeg`;
+
+  await fs.promises.mkdir(MEDIA_DIR, { recursive: true });
+  await media.save();
+
+  const file = fs.createWriteStream(path.join(MEDIA_DIR, media.fileName));
+  file.on('error', (error) => console.error('[MediaRecorder] Write error:', error.message));
+  recordings.set(String(media._id), {
+    media,
+    key,
+    file,
+    offsets: [],
+    times: [],
+    bytes: 0,
+    timer: setTimeout(() => {
+      stopRecording(media._id).catch((error) => console.error('[MediaRecorder] Auto-stop error:', error.message));
+    }, CLIP_MAX_SECONDS * 1000),
+  });
+
+  console.log(`[MediaRecorder] Recording ${media.fileName} from ${frame.device.name}`);
+  return media;
+};
+
+/**
+ * Stops a recording, closes its file and stores its metadata
+ *
+ * A clip without frames, or one left in `recording` by a restart (no
+ * longer in memory), is marked `failed`.
+ *
+ * @param {ObjectId|string} id - Media id
+ * @returns {Promise<Document>} Updated Media document
+ * @throws {Error} 404 if there is no such clip, 409 if it is not recording
+ */
+const stopRecording = async (id) => {
+  const recording = recordings.get(String(id));
+  if (!recording) {
+    const media = await Media.findById(id);
+    if (!media || media.kind !== 'clip') throw mediaError(404, 'Recording not found');
+    if (media.status !== 'recording') throw mediaError(409, 'That clip is not recording');
+    media.status = 'failed';
+    return media.save();
+  }
+
+  recordings.delete(String(id));
+  clearTimeout(recording.timer);
+  await new Promise((resolve) => recording.file.end(resolve));
+
+  const { media } = recording;
+  media.frameCount = recording.offsets.length;
+  media.size = recording.bytes;
+  media.frames = { offsets: recording.offsets, times: recording.times };
+  media.status = media.frameCount > 0 ? 'ready' : 'failed';
+  if (media.frameCount > 0) await describeCapture(media);
+  await media.save();
+
+  console.log(`[MediaRecorder] Stopped ${media.fileName} (${media.frameCount} frames)`);
+  return media;
+};
+
+/**
+ * Clips currently recording
+ *
+ * @returns {Array<{id: string, device: ObjectId, stream: number, startedAt: Date, frameCount: number}>}
+ */
+const activeRecordings = () => Array.from(recordings.values()).map(({ media, offsets }) => ({
+  id: String(media._id),
+  device: media.device,
+  stream: media.stream,
+  startedAt: media.startedAt,
+  frameCount: offsets.length,
+}));
+
+/**
+ * Absolute path of a media file
+ *
+ * @param {Document} media - Media document
+ * @returns {string}
+ */
+const mediaPath = (media) => path.join(MEDIA_DIR, media.fileName);
+
+/**
+ * Deletes a media file and its document (a recording is stopped first)
+ *
+ * @param {Document} media - Media document
+ * @returns {Promise<void>}
+ */
+const removeMedia = async (media) => {
+  if (recordings.has(String(media._id))) await stopRecording(media._id);
+  await fs.promises.rm(mediaPath(media), { force: true });
+  await Media.deleteOne({ _id: media._id });
+};
+
+module.exports = {
+  MEDIA_DIR,
+  CLIP_MAX_SECONDS,
+  captureFrame,
+  latestFrame,
+  takeSnapshot,
+  startRecording,
+  stopRecording,
+  activeRecordings,
+  mediaPath,
+  removeMedia,
+};
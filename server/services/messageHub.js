@@ -0,0 +1,409 @@
+/**
+ * WebSocket Message Hub
+ *
+ * Parses the typed message envelope used on the WebSocket, routes each
+ * message type to its handler and fans broadcasts out per channel so that
+ * clients only receive the traffic they subscribed to.
+ *
+ * Envelope format:
+ * {
+ *   "type": "telemetry",      // see MESSAGE_TYPES
+ *   "id": "abc123",           // optional, echoed back in acks
+ *   "v": 1,                   // optional payload schema version
+ *   "payload": { ... }
+ * }
+ *
+ * Messages without a `type` are legacy frames: `{image: ...}` is read as a
+ * video frame and anything else as telemetry.
+ *
+ * Binary messages are video frames in the format of utils/videoFrame; they
+ * are dispatched as `video_frame` envelopes with `binary: true` and the
+ * decoded header and image as payload.
+ *
+ * Every connection carries a role (see middleware/wsAuthenticate). Each
+ * message type may only be sent by the roles listed in MESSAGE_PERMISSIONS,
+ * and channel broadcasts only ever reach dashboards. Dashboards are further
+ * limited by their user's permissions (config/permissions): USER_PERMISSIONS
+ * guards what they may send and CHANNEL_PERMISSIONS what they may receive.
+ *
+ * @module services/messageHub
+ */
+
+const WebSocket = require('ws');
+const { ROLES } = require('../middleware/wsAuthenticate');
+const { PERMISSIONS, can } = require('../config/permissions');
+const { decodeFrame } = require('../utils/videoFrame');
+
+/**
+ * Message types understood by the hub
+ * @constant {Object<string, string>}
+ */
+const MESSAGE_TYPES = {
+  TELEMETRY: 'telemetry',
+  VIDEO_FRAME: 'video_frame',
+  DETECTION: 'detection',
+  COMMAND: 'command',
+  COMMAND_STATUS: 'command_status',
+  ACK: 'ack',
+  ALERT: 'alert',
+  GEOFENCE: 'geofence',
+  SUBSCRIBE: 'subscribe',
+  UNSUBSCRIBE: 'unsubscribe',
+  ERROR: 'error',
+};
+
+/**
+ * Broadcast channels clients can subscribe to
+ * @constant {Object<string, string>}
+ */
+const CHANNELS = {
+  TELEMETRY: 'telemetry',
+  VIDEO: 'video',
+  DETECTIONS: 'detections',
+  COMMANDS: 'commands',
+  ALERTS: 'alerts',
+  GEOFENCES: 'geofences',
+};
+
+/**
+ * Channels a client receives before it sends its first `subscribe`.
+ * Video is opt-in so pages that never asked for frames never get them.
+ * @constant {string[]}
+ */
+const DEFAULT_CHANNELS = [CHANNELS.TELEMETRY, CHANNELS.ALERTS, CHANNELS.GEOFENCES];
+
+/**
+ * Roles allowed to send each message type
+ * @constant {Object<string, string[]>}
+ */
+const MESSAGE_PERMISSIONS = {
+  [MESSAGE_TYPES.TELEMETRY]: [ROLES.DEVICE],
+  [MESSAGE_TYPES.VIDEO_FRAME]: [ROLES.VISION],
+  [MESSAGE_TYPES.DETECTION]: [ROLES.VISION],
+  [MESSAGE_TYPES.COMMAND]: [ROLES.DASHBOARD],
+  [MESSAGE_TYPES.ACK]: [ROLES.DEVICE, ROLES.VISION],
+  [MESSAGE_TYPES.SUBSCRIBE]: [ROLES.DASHBOARD],
+  [MESSAGE_TYPES.UNSUBSCRIBE]: [ROLES.DASHBOARD],
+};
+
+/**
+ * User permission a dashboard needs to send each message type
+ * @constant {Object<string, string>}
+ */
+const USER_PERMISSIONS = {
+  [MESSAGE_TYPES.COMMAND]: PERMISSIONS.ISSUE_COMMANDS,
+};
+
+/**
+ * User permission a dashboard needs to subscribe to each channel
+ * @constant {Object<string, string>}
+ */
+const CHANNEL_PERMISSIONS = {
+  [CHANNELS.TELEMETRY]: PERMISSIONS.VIEW_TELEMETRY,
+  [CHANNELS.VIDEO]: PERMISSIONS.VIEW_VIDEO,
+  [CHANNELS.DETECTIONS]: PERMISSIONS.VIEW_TELEMETRY,
+  [CHANNELS.COMMANDS]: PERMISSIONS.VIEW_COMMANDS,
+  [CHANNELS.ALERTS]: PERMISSIONS.VIEW_TELEMETRY,
+  [CHANNELS.GEOFENCES]: PERMISSIONS.VIEW_TELEMETRY,
+};
+
+/**
+ * Whether a dashboard's user may receive a channel
+ *
+ * @param {WebSocket} ws - Client connection
+ * @param {string} channel - Channel name
+ * @returns {boolean}
+ */
+const mayReceive = (ws, channel) => can(ws.user, CHANNEL_PERMISSIONS[channel]);
+
+/**
+ * Builds an outbound envelope string
+ *
+ * @param {string} type - Message type
+ * @param {Object} payload - Message payload
+ * @param {Object} [extra] - Extra envelope fields (e.g. `id`)
+ * @returns {string} Serialized envelope
+ */
+const encode = (type, payload, extra = {}) => JSON.stringify({ type, ...extra, payload });
+
+/**
+ * Parses a raw WebSocket message into an envelope
+ *
+ * @param {Buffer|string} raw - Raw message
+ * @returns {{type: string, id?: string, v?: number, payload: Object}}
+ * @throws {SyntaxError} If the message is not valid JSON
+ */
+const parseEnvelope = (raw) => {
+  const data = JSON.parse(raw.toString());
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { type: undefined, payload: data };
+  }
+
+  if (typeof data.type === 'string') {
+    const { type, id, v, payload, ...rest } = data;
+    const body = payload !== undefined ? payload : rest;
+    // Keep the schema version visible to payload parsers
+    if (v !== undefined && body && typeof body === 'object' && body.v === undefined) {
+      body.v = v;
+    }
+    return { type, id, v, payload: body };
+  }
+
+  // Legacy un-enveloped frames
+  if (data.image !== undefined) {
+    return { type: MESSAGE_TYPES.VIDEO_FRAME, payload: data };
+  }
+  return { type: MESSAGE_TYPES.TELEMETRY, payload: data };
+};
+
+/**
+ * Returns the channel set of a connection, initialising it on first use
+ *
+ * @param {WebSocket} ws - Client connection
+ * @returns {Set<string>}
+ */
+const channelsOf = (ws) => {
+  if (!ws.channels) ws.channels = new Set(DEFAULT_CHANNELS.filter((c) => mayReceive(ws, c)));
+  return ws.channels;
+};
+
+/**
+ * Sends an envelope to a single client if its socket is open
+ *
+ * @param {WebSocket} ws - Client connection
+ * @param {string} type - Message type
+ * @param {Object} payload - Message payload
+ * @param {Object} [extra] - Extra envelope fields
+ * @returns {boolean} True if the message was sent
+ */
+const send = (ws, type, payload, extra) => {
+  if (ws.readyState !== WebSocket.OPEN) return false;
+  ws.send(encode(type, payload, extra));
+  return true;
+};
+
+/**
+ * Sends an already-encoded message to channel subscribers
+ *
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @param {string} channel - Target channel
+ * @param {string|Buffer} message - Serialized envelope or binary frame
+ * @param {Object} [options]
+ * @param {WebSocket} [options.except] - Connection to skip
+ * @param {function(WebSocket): boolean} [options.filter] - Additional recipient filter
+ * @returns {number} Number of clients the message was sent to
+ */
+const fanOut = (wss, channel, message, { except, filter = () => true } = {}) => {
+  let count = 0;
+
+  wss.clients.forEach((client) => {
+    if (client === except || client.readyState !== WebSocket.OPEN) return;
+    if (client.role !== ROLES.DASHBOARD || !channelsOf(client).has(channel)) return;
+    if (!filter(client)) return;
+    client.send(message);
+    count++;
+  });
+
+  return count;
+};
+
+/**
+ * Sends an envelope to every open dashboard subscribed to a channel
+ *
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @param {string} channel - Target channel
+ * @param {string} type - Message type
+ * @param {Object} payload - Message payload
+ * @param {Object} [options]
+ * @param {WebSocket} [options.except] - Connection to skip (usually the sender)
+ * @param {function(WebSocket): boolean} [options.filter] - Additional recipient filter
+ * @returns {number} Number of clients the message was sent to
+ */
+const broadcast = (wss, channel, type, payload, options) => (
+  fanOut(wss, channel, encode(type, payload), options)
+);
+
+/**
+ * Sends a binary message (e.g. a video frame) to every open dashboard
+ * subscribed to a channel
+ *
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @param {string} channel - Target channel
+ * @param {Buffer} data - Message bytes
+ * @param {Object} [options] - Same as broadcast()
+ * @returns {number} Number of clients the message was sent to
+ */
+const broadcastBinary = (wss, channel, data, options) => fanOut(wss, channel, data, options);
+
+/**
+ * Sends an envelope to every open connection of a given role
+ *
+ * Used for traffic towards devices, which do not take part in channel
+ * broadcasts.
+ *
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @param {string} role - Target role
+ * @param {string} type - Message type
+ * @param {Object} payload - Message payload
+ * @param {function(WebSocket): boolean} [filter] - Additional recipient filter
+ * @returns {number} Number of connections the message was sent to
+ */
+const sendToRole = (wss, role, type, payload, filter = () => true) => {
+  const message = encode(type, payload);
+  let count = 0;
+
+  wss.clients.forEach((client) => {
+    if (client.role !== role || client.readyState !== WebSocket.OPEN) return;
+    if (!filter(client)) return;
+    client.send(message);
+    count++;
+  });
+
+  return count;
+};
+
+/**
+ * Normalizes the `channels` field of a (un)subscribe payload
+ *
+ * @param {WebSocket} ws - Client connection
+ * @param {Object} payload - Subscribe payload
+ * @returns {{valid: string[], invalid: string[], forbidden: string[]}}
+ */
+const readChannels = (ws, payload) => {
+  const requested = [].concat((payload && payload.channels) || []);
+  const known = requested.filter((c) => Object.values(CHANNELS).includes(c));
+  return {
+    valid: known.filter((c) => mayReceive(ws, c)),
+    invalid: requested.filter((c) => !known.includes(c)),
+    forbidden: known.filter((c) => !mayReceive(ws, c)),
+  };
+};
+
+/**
+ * Built-in handler: subscribe to channels
+ *
+ * The first subscribe replaces the default channel set, so a client that
+ * asks for `["telemetry"]` gets exactly that. Channels the user may not
+ * receive are left out and listed in the ack.
+ */
+const handleSubscribe = (ws, envelope) => {
+  const { valid, invalid, forbidden } = readChannels(ws, envelope.payload);
+  if (!ws.hasSubscribed) {
+    ws.channels = new Set();
+    ws.hasSubscribed = true;
+  }
+  valid.forEach((c) => channelsOf(ws).add(c));
+  send(ws, MESSAGE_TYPES.ACK, {
+    status: invalid.length || forbidden.length ? 'partial' : 'ok',
+    channels: [...channelsOf(ws)],
+    unknownChannels: invalid,
+    forbiddenChannels: forbidden,
+  }, { id: envelope.id });
+};
+
+/**
+ * Built-in handler: unsubscribe from channels
+ */
+const handleUnsubscribe = (ws, envelope) => {
+  const { valid } = readChannels(ws, envelope.payload);
+  ws.hasSubscribed = true;
+  valid.forEach((c) => channelsOf(ws).delete(c));
+  send(ws, MESSAGE_TYPES.ACK, {
+    status: 'ok',
+    channels: [...channelsOf(ws)],
+  }, { id: envelope.id });
+};
+
+/**
+ * Creates a message dispatcher bound to a set of type handlers
+ *
+ * Handlers are called as `handler(ws, envelope, wss)` and may be async.
+ * Subscribe/unsubscribe are handled by the hub itself.
+ *
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @param {Object<string, Function>} handlers - Handlers keyed by message type
+ * @returns {function(WebSocket, Buffer|string, boolean=): Promise<void>} Dispatcher
+ *
+ * @example
+ * const dispatch = createDispatcher(wss, { telemetry: handleSensorData });
+ * ws.on('message', (message, isBinary) => dispatch(ws, message, isBinary));
+ */
+const createDispatcher = (wss, handlers) => {
+  const routes = {
+    [MESSAGE_TYPES.SUBSCRIBE]: handleSubscribe,
+    [MESSAGE_TYPES.UNSUBSCRIBE]: handleUnsubscribe,
+    ...handlers,
+  };
+
+  return async (ws, raw, isBinary = false) => {
+    let envelope;
+    try {
+      envelope = isBinary
+        ? { type: MESSAGE_TYPES.VIDEO_FRAME, binary: true, payload: decodeFrame(raw) }
+        : parseEnvelope(raw);
+    } catch (err) {
+      if (isBinary) {
+        console.error('[MessageHub] Invalid binary frame:', err.message);
+        send(ws, MESSAGE_TYPES.ERROR, { code: 'invalid_frame', message: err.message });
+      } else {
+        console.error('[MessageHub] Invalid JSON received');
+        send(ws, MESSAGE_TYPES.ERROR, { code: 'invalid_json', message: 'Message is not valid JSON' });
+      }
+      return;
+    }
+
+    const handler = routes[envelope.type];
+    const allowed = MESSAGE_PERMISSIONS[envelope.type];
+    if (handler && allowed && !allowed.includes(ws.role)) {
+      console.warn(`[MessageHub] ${ws.role} connection may not send ${envelope.type}`);
+      send(ws, MESSAGE_TYPES.ERROR, {
+        code: 'forbidden',
+        message: `Connections of role ${ws.role} may not send ${envelope.type} messages`,
+      }, { id: envelope.id });
+      return;
+    }
+
+    const permission = USER_PERMISSIONS[envelope.type];
+    if (handler && permission && !can(ws.user, permission)) {
+      console.warn(`[MessageHub] ${ws.user.email} (${ws.user.role}) lacks ${permission} for ${envelope.type}`);
+      send(ws, MESSAGE_TYPES.ERROR, {
+        code: 'forbidden',
+        message: `You do not have permission to send ${envelope.type} messages`,
+      }, { id: envelope.id });
+      return;
+    }
+
+    if (!handler) {
+      console.warn('[MessageHub] Unknown message type:', envelope.type);
+      send(ws, MESSAGE_TYPES.ERROR, {
+        code: 'unknown_type',
+        message: `Unknown message type: ${envelope.type}`,
+      }, { id: envelope.id });
+      return;
+    }
+
+    try {
+      await handler(ws, envelope, wss);
+    } catch (err) {
+      console.error(`[MessageHub] Error handling ${envelope.type} message:`, err.message);
+      send(ws, MESSAGE_TYPES.ERROR, { code: 'internal_error', message: 'Failed to process message' },
+        { id: envelope.id });
+    }
+  };
+};
+
+module.exports = {
+  MESSAGE_TYPES,
+  CHANNELS,
+  DEFAULT_CHANNELS,
+  MESSAGE_PERMISSIONS,
+  USER_PERMISSIONS,
+  CHANNEL_PERMISSIONS,
+  parseEnvelope,
+  send,
+  broadcast,
+  broadcastBinary,
+  sendToRole,
+  createDispatcher,
+};
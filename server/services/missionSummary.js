@@ -0,0 +1,99 @@
+/**
+ * Mission Summary
+ *
+ * Computes the debrief figures for a mission from its tagged Sensor
+ * readings: duration, distance travelled, temperature/TDS statistics and a
+ * water-quality breakdown. Readings are streamed with a cursor so long
+ * missions are summarised in a single pass without loading them all.
+ *
+ * @module services/missionSummary
+ */
+
+const Sensor = require('../model/dataModel');
+const { hasFix, distanceMeters } = require('../utils/geo');
+
+/**
+ * Water quality classes, in the order the `waterQuality` virtual uses
+ * @constant {string[]}
+ */
+const QUALITY_CLASSES = ['Excellent', 'Good', 'Fair', 'Poor', 'Unacceptable', 'Unknown'];
+
+/**
+ * Creates a running min/max/avg accumulator
+ *
+ * @returns {{add: function(number): void, result: function(): Object}}
+ */
+const createStat = () => {
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let count = 0;
+
+  return {
+    add(value) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return;
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+      sum += value;
+      count++;
+    },
+    result() {
+      return count === 0
+        ? { min: null, max: null, avg: null, count }
+        : { min, max, avg: sum / count, count };
+    },
+  };
+};
+
+/**
+ * Summarises a mission
+ *
+ * @async
+ * @param {Mission} mission - Mission document
+ * @returns {Promise<Object>} Summary
+ *
+ * @example
+ * const summary = await summarizeMission(mission);
+ * // => { durationMs, readings, distanceMeters, temperature: {min, max, avg, count},
+ * //      TDS_Value: {...}, waterQuality: { Excellent: 12, Good: 3, ... } }
+ */
+const summarizeMission = async (mission) => {
+  const temperature = createStat();
+  const tds = createStat();
+  const waterQuality = Object.fromEntries(QUALITY_CLASSES.map((q) => [q, 0]));
+
+  let readings = 0;
+  let distance = 0;
+  let lastFix = null;
+
+  const cursor = Sensor.find({ mission: mission._id })
+    .sort({ timestamp: 1 })
+    .cursor();
+
+  for await (const reading of cursor) {
+    readings++;
+    temperature.add(reading.temperature);
+    tds.add(reading.TDS_Value);
+    waterQuality[reading.waterQuality]++;
+
+    if (hasFix(reading)) {
+      if (lastFix) distance += distanceMeters(lastFix, reading);
+      lastFix = reading;
+    }
+  }
+
+  return {
+    durationMs: mission.durationMs,
+    readings,
+    distanceMeters: distance,
+    temperature: temperature.result(),
+    TDS_Value: tds.result(),
+    waterQuality,
+  };
+};
+
+module.exports = {
+  QUALITY_CLASSES,
+  createStat,
+  summarizeMission,
+};
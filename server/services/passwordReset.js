@@ -0,0 +1,272 @@
+/**
+ * Password Reset
+ *
+ * Issues and redeems the one-time tokens behind /auth/forgot and
+ * /auth/reset/:token. The emailed token is random; only its SHA-256 hash
+ * is stored (User.resetPasswordToken), together with its expiry
+ * (User.passwordTokenExpiredAt). Redeeming a token clears both fields in
+ * the same update that sets the new password, so a token works once.
+ *
+ * Setting the password also moves User.passwordChangedAt, which ends every
+ * existing login session of the account (see User.findBySession).
+ *
+ * Admins can force a reset (forceReset): the current password stops
+ * working at once and the user is emailed a link to choose a new one.
+ *
+ * Links always point at APP_URL. It is never taken from the request's Host
+ * header, which a client can forge to have a real reset email carry its
+ * token to another server; without APP_URL no links are sent at all.
+ *
+ * @module services/passwordReset
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const User = require('../model/userModel');
+const { sendMail, getTransport } = require('./mailer');
+
+/**
+ * How long a reset link stays valid
+ * @constant {number}
+ */
+const RESET_TOKEN_TTL_MS = Number(process.env.PASSWORD_RESET_TTL_MS) || 60 * 60 * 1000;
+
+/**
+ * Reads the public address reset links point to
+ *
+ * @param {string} [value] - APP_URL setting
+ * @returns {string|null} Origin and path without a trailing slash, or null
+ *   if unset
+ * @throws {Error} If the setting is not an http(s) URL, so a typo stops
+ *   the server instead of breaking every link
+ */
+const readAppUrl = (value) => {
+  if (!value || !value.trim()) return null;
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch (error) {
+    throw new Error(`APP_URL "${value}" is not a valid URL`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`APP_URL "${value}" must be an http or https URL`);
+  }
+  return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+};
+
+/**
+ * Public address reset links point to (null: resets are unavailable)
+ * @constant {string|null}
+ */
+const APP_URL = readAppUrl(process.env.APP_URL);
+
+/**
+ * Shortest accepted password (same rule as registration)
+ * @constant {number}
+ */
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Builds an error carrying an HTTP status for the controller
+ *
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const resetError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Returns APP_URL, refusing to build links without it or without a mail
+ * transport allowed to carry them (see services/mailer)
+ *
+ * @returns {string}
+ * @throws {Error} 503 if APP_URL is not set or mail cannot be sent
+ */
+const resetLinkBase = () => {
+  if (!APP_URL) {
+    throw resetError(503, 'Password reset is unavailable: APP_URL is not configured');
+  }
+  try {
+    getTransport();
+  } catch (error) {
+    throw resetError(503, `Password reset is unavailable: ${error.message}`);
+  }
+  return APP_URL;
+};
+
+/**
+ * Checks a new password and its confirmation
+ *
+ * @param {string} password - New password
+ * @param {string} confirmPassword - Repeated new password
+ * @throws {Error} 400 if the password is too short or the two differ
+ */
+const validateNewPassword = (password, confirmPassword) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw resetError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+  if (password !== confirmPassword) {
+    throw resetError(400, 'Passwords do not match');
+  }
+};
+
+/**
+ * Hashes a reset token for storage and lookup
+ *
+ * @param {string} token - Token from the reset link
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Query matching the user a still-valid token belongs to
+ *
+ * @param {string} token - Token from the reset link
+ * @returns {Object} Mongoose filter
+ */
+const tokenFilter = (token) => ({
+  resetPasswordToken: hashToken(token),
+  passwordTokenExpiredAt: { $gt: new Date() },
+});
+
+/**
+ * Stores a new token for the account and emails the reset link
+ *
+ * Any earlier token of the account stops working.
+ *
+ * @async
+ * @param {User} user - Account to reset
+ * @param {Object} [options]
+ * @param {Object} [options.set] - Further fields to set in the same update
+ * @param {string} [options.reason] - Opening sentence of the email
+ * @param {string} [options.closing] - Closing sentence of the email
+ * @returns {Promise<void>}
+ */
+const sendResetLink = async (user, {
+  set = {},
+  reason = 'Someone (hopefully you) asked to reset the password of your HydroQuest account.',
+  closing = 'If you did not ask for this, ignore this email; your password stays the same.',
+} = {}) => {
+  const base = resetLinkBase();
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+  await User.updateOne({ _id: user._id }, {
+    $set: { ...set, resetPasswordToken: hashToken(token), passwordTokenExpiredAt: expiresAt },
+  });
+
+  const link = `${base}/auth/reset/${token}`;
+  const minutes = Math.round(RESET_TOKEN_TTL_MS / 60000);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your HydroQuest password',
+    text: [
+      `Hello ${user.firstName},`,
+      '',
+      reason,
+      `Open this link within ${minutes} minutes to choose a new password:`,
+      '',
+      link,
+      '',
+      closing,
+    ].join('\n'),
+  });
+};
+
+/**
+ * Starts a reset: stores a new token for the account and emails the link
+ *
+ * Does nothing for unknown or deactivated accounts, so the caller can
+ * answer the same way whether or not an account exists.
+ *
+ * @async
+ * @param {string} email - Address entered on the forgot-password form
+ * @returns {Promise<boolean>} Whether a link was sent
+ * @throws {Error} 503 if APP_URL is not set or mail cannot be sent, for
+ *   every address alike
+ */
+const requestReset = async (email) => {
+  resetLinkBase();
+  const address = String(email || '').trim().toLowerCase();
+  if (!address) return false;
+
+  const user = await User.findOne({ email: address }).select('+isActive');
+  if (!user || user.isActive === false) {
+    console.log('[PasswordReset] Reset requested for unknown or inactive address:', address);
+    return false;
+  }
+
+  await sendResetLink(user);
+  console.log('[PasswordReset] Reset link sent to', user.email);
+  return true;
+};
+
+/**
+ * Forces a reset: the current password stops working, every session of the
+ * account ends and the user is emailed a reset link
+ *
+ * @async
+ * @param {User} user - Account to reset
+ * @returns {Promise<void>}
+ * @throws {Error} 503 if APP_URL is not set or mail cannot be sent (the
+ *   password is left as it is)
+ */
+const forceReset = async (user) => {
+  resetLinkBase();
+  // Replace the password with one nobody knows
+  const unusable = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+  await sendResetLink(user, {
+    set: { password: unusable, passwordChangedAt: new Date() },
+    reason: 'An administrator has reset the password of your HydroQuest account; your old password no longer works.',
+    closing: 'If the link expires, use "Forgot your password?" on the login page for a new one.',
+  });
+  console.log('[PasswordReset] Reset forced for', user.email);
+};
+
+/**
+ * Finds the account a reset token belongs to
+ *
+ * @async
+ * @param {string} token - Token from the reset link
+ * @returns {Promise<User|null>} Null if the token is unknown, used or expired
+ */
+const findUserByToken = (token) => User.findOne(tokenFilter(token));
+
+/**
+ * Redeems a reset token and sets the new password
+ *
+ * @async
+ * @param {string} token - Token from the reset link
+ * @param {string} password - New password
+ * @param {string} confirmPassword - Repeated new password
+ * @returns {Promise<User>} The updated account
+ * @throws {Error} 400 if the passwords are invalid, 410 if the token is
+ *   unknown, used or expired
+ */
+const resetPassword = async (token, password, confirmPassword) => {
+  validateNewPassword(password, confirmPassword);
+
+  const hashed = await bcrypt.hash(password, 12);
+  const user = await User.findOneAndUpdate(tokenFilter(token), {
+    $set: { password: hashed, passwordChangedAt: new Date() },
+    $unset: { resetPasswordToken: 1, passwordTokenExpiredAt: 1 },
+  }, { new: true });
+
+  if (!user) {
+    throw resetError(410, 'This reset link is invalid or has expired');
+  }
+
+  console.log('[PasswordReset] Password reset for', user.email);
+  return user;
+};
+
+module.exports = {
+  RESET_TOKEN_TTL_MS,
+  APP_URL,
+  MIN_PASSWORD_LENGTH,
+  validateNewPassword,
+  hashToken,
+  requestReset,
+  forceReset,
+  findUserByToken,
+  resetPassword,
+};
@@ -0,0 +1,220 @@
+/**
+ * Telemetry Export
+ *
+ * Streams Sensor readings out as CSV, GeoJSON or GPX for spreadsheets and
+ * GIS tools. Readings are read through a MongoDB cursor and written with
+ * backpressure, so exporting a long mission never holds it in memory.
+ *
+ * @module services/telemetryExport
+ */
+
+const { once } = require('events');
+const Sensor = require('../model/dataModel');
+const { hasFix } = require('../utils/geo');
+
+/** Knots to metres per second (GPX speed unit) */
+const KNOTS_TO_MS = 1852 / 3600;
+
+/**
+ * Stored reading fields, in CSV column order
+ * @constant {string[]}
+ */
+const CSV_COLUMNS = [
+  '_id', 'timestamp', 'temperature', 'TDS_Value', 'latitude', 'longitude', 'speed', 'device', 'mission',
+];
+
+/**
+ * Escapes a value for a CSV cell
+ *
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Escapes text for XML content and attributes
+ *
+ * @param {*} value - Text
+ * @returns {string}
+ */
+const xml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Sensor properties carried by GeoJSON Point features
+ *
+ * @param {Object} doc - Lean Sensor document
+ * @returns {Object}
+ */
+const featureProperties = (doc) => ({
+  id: String(doc._id),
+  timestamp: doc.timestamp.toISOString(),
+  temperature: doc.temperature,
+  TDS_Value: doc.TDS_Value,
+  speed: doc.speed,
+  device: doc.device ? String(doc.device) : undefined,
+  mission: doc.mission ? String(doc.mission) : undefined,
+});
+
+/**
+ * Export formats
+ *
+ * Each format creates a fresh writer per export with `header()`,
+ * `row(doc)` and `footer()` returning the text to write (row may return
+ * an empty string to skip a reading).
+ *
+ * @constant {Object<string, {contentType: string, extension: string, create: Function}>}
+ */
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    create: () => ({
+      header: () => `${CSV_COLUMNS.join(',')}\r\n`,
+      row: (doc) => `${CSV_COLUMNS.map((column) => csvCell(doc[column])).join(',')}\r\n`,
+      footer: () => '',
+    }),
+  },
+
+  geojson: {
+    contentType: 'application/geo+json; charset=utf-8',
+    extension: 'geojson',
+    create: () => {
+      // Only coordinate pairs are kept for the track, never whole documents
+      const track = [];
+      let first = true;
+
+      return {
+        header: () => '{"type":"FeatureCollection","features":[\n',
+        row: (doc) => {
+          if (!hasFix(doc)) return '';
+          const coordinates = [doc.longitude, doc.latitude];
+          track.push(coordinates);
+          const feature = JSON.stringify({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates },
+            properties: featureProperties(doc),
+          });
+          const text = `${first ? '' : ',\n'}${feature}`;
+          first = false;
+          return text;
+        },
+        footer: () => {
+          const line = JSON.stringify({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: track },
+            properties: { name: 'track', points: track.length },
+          });
+          return `${first ? '' : ',\n'}${line}\n]}\n`;
+        },
+      };
+    },
+  },
+
+  gpx: {
+    contentType: 'application/gpx+xml; charset=utf-8',
+    extension: 'gpx',
+    create: ({ name }) => ({
+      header: () => [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="HydroQuest" xmlns="http://www.topografix.com/GPX/1/1"',
+        '  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">',
+        `  <trk><name>${xml(name)}</name><trkseg>`,
+        '',
+      ].join('\n'),
+      row: (doc) => {
+        if (!hasFix(doc)) return '';
+        const ext = [];
+        if (typeof doc.temperature === 'number') ext.push(`<gpxtpx:wtemp>${doc.temperature}</gpxtpx:wtemp>`);
+        if (typeof doc.speed === 'number') ext.push(`<gpxtpx:speed>${(doc.speed * KNOTS_TO_MS).toFixed(3)}</gpxtpx:speed>`);
+        const extensions = ext.length
+          ? `<extensions><gpxtpx:TrackPointExtension>${ext.join('')}</gpxtpx:TrackPointExtension></extensions>`
+          : '';
+        return `    <trkpt lat="${doc.latitude}" lon="${doc.longitude}">`
+          + `<time>${doc.timestamp.toISOString()}</time>${extensions}</trkpt>\n`;
+      },
+      footer: () => '  </trkseg></trk>\n</gpx>\n',
+    }),
+  },
+};
+
+/**
+ * Writes a chunk, waiting for the response to drain when its buffer is full
+ *
+ * A response whose client has disconnected never drains, so the wait also
+ * ends when the response closes.
+ *
+ * @param {Response} res - Writable response
+ * @param {string} chunk - Text to write
+ * @returns {Promise<boolean>} False if the response is closed
+ * @throws {Error} If the response fails while waiting
+ */
+const write = async (res, chunk) => {
+  if (res.destroyed) return false;
+  if (!chunk || res.write(chunk)) return true;
+  if (res.destroyed) return false;
+
+  const stop = new AbortController();
+  try {
+    return await Promise.race([
+      once(res, 'drain', { signal: stop.signal }).then(() => true),
+      once(res, 'close', { signal: stop.signal }).then(() => false),
+    ]);
+  } finally {
+    stop.abort();
+  }
+};
+
+/**
+ * Streams readings matching a filter to the response in the given format
+ *
+ * Headers must not have been sent yet. Stops early (and closes the
+ * cursor) if the client disconnects.
+ *
+ * @async
+ * @param {Response} res - Express response object
+ * @param {Object} options
+ * @param {string} options.format - One of the FORMATS keys
+ * @param {Object} options.filter - MongoDB filter (see telemetryQuery.buildFilter)
+ * @param {string} options.name - Base file name / track name
+ * @returns {Promise<number>} Number of readings read
+ */
+const streamExport = async (res, { format, filter, name }) => {
+  const spec = FORMATS[format];
+  const writer = spec.create({ name });
+
+  res.setHeader('Content-Type', spec.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}.${spec.extension}"`);
+
+  const cursor = Sensor.find(filter).sort({ timestamp: 1 }).lean().cursor();
+
+  let count = 0;
+  try {
+    let open = await write(res, writer.header());
+    if (open) {
+      for await (const doc of cursor) {
+        count++;
+        open = await write(res, writer.row(doc));
+        if (!open) break;
+      }
+    }
+    if (open) res.end(writer.footer());
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+
+  return count;
+};
+
+module.exports = {
+  FORMATS,
+  CSV_COLUMNS,
+  streamExport,
+};
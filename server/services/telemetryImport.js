@@ -0,0 +1,164 @@
+/**
+ * Telemetry Import
+ *
+ * Bulk-loads readings that a device logged while it was out of Wi-Fi range.
+ * Each row is normalized and validated exactly like live telemetry, then
+ * de-duplicated against readings already stored for the same device (and
+ * against earlier rows of the same upload) before being inserted.
+ *
+ * @module services/telemetryImport
+ */
+
+const Sensor = require('../model/dataModel');
+const { normalizeTelemetry, SCHEMA_VERSION } = require('./telemetryIngest');
+const { parseCsv } = require('../utils/csv');
+
+/**
+ * Maximum rows accepted in a single upload
+ * @constant {number}
+ */
+const MAX_ROWS = 50000;
+
+/**
+ * Columns that exports write but imports must not take from the file
+ * @constant {string[]}
+ */
+const IGNORED_COLUMNS = ['_id', 'id', 'device', 'mission', 'createdAt', 'updatedAt'];
+
+/**
+ * Parses an upload body into raw records
+ *
+ * @param {string} body - Upload text
+ * @param {string} format - "csv" or "ndjson"
+ * @returns {Array<{line: number, values: Object}|{line: number, error: string}>}
+ */
+const parseRecords = (body, format) => {
+  if (format === 'csv') return parseCsv(body);
+
+  return body.split(/\r?\n/).reduce((records, text, index) => {
+    if (text.trim() === '') return records;
+    try {
+      records.push({ line: index + 1, values: JSON.parse(text) });
+    } catch (err) {
+      records.push({ line: index + 1, error: 'Line is not valid JSON' });
+    }
+    return records;
+  }, []);
+};
+
+/**
+ * Drops empty cells and columns that belong to the server
+ *
+ * @param {Object} values - Raw record
+ * @returns {Object}
+ */
+const cleanRecord = (values) => Object.fromEntries(
+  Object.entries(values).filter(([key, value]) => value !== '' && !IGNORED_COLUMNS.includes(key))
+);
+
+/**
+ * Imports logged readings for a device
+ *
+ * Every row must carry its own device timestamp (`timestamp` or `ts`);
+ * rows without one cannot be placed on the timeline and are rejected.
+ * Rows without a `v` column are read as the current schema version, since
+ * offline logs are written by current firmware.
+ *
+ * @async
+ * @param {Object} options
+ * @param {string} options.body - Upload text
+ * @param {string} options.format - "csv" or "ndjson"
+ * @param {Device} options.device - Device that logged the readings
+ * @param {Mission} [options.mission] - Mission to attach the readings to
+ * @returns {Promise<{summary: Object, rows: Object[]}>} Per-row report
+ *
+ * @example
+ * const report = await importTelemetry({ body, format: 'csv', device, mission });
+ * // => { summary: { total: 3, accepted: 1, duplicate: 1, rejected: 1 },
+ * //      rows: [{ line: 2, status: 'accepted' },
+ * //             { line: 3, status: 'duplicate' },
+ * //             { line: 4, status: 'rejected', reasons: [...] }] }
+ */
+const importTelemetry = async ({ body, format, device, mission }) => {
+  const records = parseRecords(body, format);
+  if (records.length > MAX_ROWS) {
+    const error = new Error(`Uploads are limited to ${MAX_ROWS} rows`);
+    error.status = 400;
+    throw error;
+  }
+
+  const rows = [];
+  const candidates = [];
+
+  records.forEach((record) => {
+    if (record.error) {
+      rows.push({
+        line: record.line,
+        status: 'rejected',
+        reasons: [{ field: '*', code: 'invalid_json', message: record.error }],
+      });
+      return;
+    }
+
+    const values = cleanRecord(record.values || {});
+    if (values.timestamp === undefined && values.ts === undefined) {
+      rows.push({
+        line: record.line,
+        status: 'rejected',
+        reasons: [{ field: 'timestamp', code: 'missing_timestamp', message: 'Each row needs a device timestamp' }],
+      });
+      return;
+    }
+
+    const result = normalizeTelemetry(values, { defaultVersion: SCHEMA_VERSION });
+    if (!result.ok) {
+      rows.push({ line: record.line, status: 'rejected', reasons: result.reasons });
+      return;
+    }
+
+    const row = { line: record.line, status: 'accepted' };
+    rows.push(row);
+    candidates.push({ row, value: result.value });
+  });
+
+  // De-duplicate against stored readings for this device, then within the file
+  if (candidates.length > 0) {
+    const times = candidates.map(({ value }) => value.timestamp.getTime());
+    const first = times.reduce((a, b) => Math.min(a, b));
+    const last = times.reduce((a, b) => Math.max(a, b));
+    const existing = await Sensor.find({
+      device: device._id,
+      timestamp: { $gte: new Date(first), $lte: new Date(last) },
+    }).select('timestamp').lean();
+
+    const seen = new Set(existing.map((doc) => doc.timestamp.getTime()));
+    candidates.forEach((candidate) => {
+      const time = candidate.value.timestamp.getTime();
+      if (seen.has(time)) {
+        candidate.row.status = 'duplicate';
+      } else {
+        seen.add(time);
+      }
+    });
+  }
+
+  const accepted = candidates.filter(({ row }) => row.status === 'accepted');
+  if (accepted.length > 0) {
+    await Sensor.insertMany(accepted.map(({ value }) => ({
+      ...value,
+      device: device._id,
+      mission: mission ? mission._id : undefined,
+    })), { ordered: false });
+  }
+
+  const summary = { total: rows.length, accepted: 0, duplicate: 0, rejected: 0 };
+  rows.forEach((row) => { summary[row.status]++; });
+  rows.sort((a, b) => a.line - b.line);
+
+  return { summary, rows };
+};
+
+module.exports = {
+  MAX_ROWS,
+  importTelemetry,
+};
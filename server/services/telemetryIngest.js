@@ -0,0 +1,244 @@
+/**
+ * Telemetry Ingestion
+ *
+ * Declares the telemetry message schema and normalizes raw payloads from
+ * the field (firmware, replays, imports) onto the canonical Sensor model.
+ *
+ * Schema versions:
+ * - v0 (legacy): no `v` field. Sent by the original ESP8266 firmware using
+ *   `temperature_celsius`, `temperature_kelvin`, `tds_value` and GPS speed
+ *   in km/h.
+ * - v1 (current): `v: 1`, canonical field names, speed in knots.
+ *
+ * @module services/telemetryIngest
+ */
+
+const Sensor = require('../model/dataModel');
+
+/**
+ * Current telemetry schema version
+ * @constant {number}
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * Schema versions accepted by the ingestion layer
+ * @constant {number[]}
+ */
+const SUPPORTED_VERSIONS = [0, 1];
+
+/** Kilometres per hour to knots */
+const KMH_TO_KNOTS = 1 / 1.852;
+
+/** Metres per second to knots */
+const MS_TO_KNOTS = 3600 / 1852;
+
+/**
+ * Field declarations for the canonical telemetry message
+ *
+ * Each canonical field lists the alternate names it may arrive under.
+ * Aliases are tried in order; the first one present wins. An alias can
+ * carry a `convert` function when the source unit differs from the
+ * canonical unit. `legacySpeed` marks the bare `speed` key, whose unit
+ * depends on the schema version.
+ *
+ * @constant {Object<string, Array<{key: string, convert?: Function}>>}
+ */
+const FIELD_ALIASES = {
+  temperature: [
+    { key: 'temperature' },
+    { key: 'temperature_celsius' },
+    { key: 'temp' },
+    { key: 'temperature_c' },
+    { key: 'temperature_kelvin', convert: (k) => k - 273.15 },
+    { key: 'temperature_k', convert: (k) => k - 273.15 },
+  ],
+  TDS_Value: [
+    { key: 'TDS_Value' },
+    { key: 'tds_value' },
+    { key: 'tds' },
+    { key: 'TDS' },
+  ],
+  latitude: [
+    { key: 'latitude' },
+    { key: 'lat' },
+  ],
+  longitude: [
+    { key: 'longitude' },
+    { key: 'lng' },
+    { key: 'lon' },
+  ],
+  speed: [
+    { key: 'speed_knots' },
+    { key: 'speed_kmh', convert: (v) => v * KMH_TO_KNOTS },
+    { key: 'speed_kmph', convert: (v) => v * KMH_TO_KNOTS },
+    { key: 'speed_ms', convert: (v) => v * MS_TO_KNOTS },
+    { key: 'speed', legacySpeed: true },
+  ],
+};
+
+/**
+ * Fields of which at least one must be present for a reading to be stored
+ * @constant {string[]}
+ */
+const MEASUREMENT_FIELDS = ['temperature', 'TDS_Value', 'latitude'];
+
+/**
+ * Builds a structured rejection reason
+ *
+ * @param {string} field - Offending field (or '*' for the whole message)
+ * @param {string} code - Machine-readable reason code
+ * @param {string} message - Human-readable explanation
+ * @returns {{field: string, code: string, message: string}}
+ */
+const reason = (field, code, message) => ({ field, code, message });
+
+/**
+ * Coerces a raw value to a finite number
+ *
+ * Firmware builds its JSON by string concatenation, so numeric values can
+ * arrive as strings (or as `nan` when a sensor is unplugged).
+ *
+ * @param {*} value - Raw value
+ * @returns {number|undefined} Finite number, or undefined if not numeric
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : undefined;
+  }
+  return undefined;
+};
+
+/**
+ * Resolves the schema version of a payload
+ *
+ * @param {Object} payload - Raw payload
+ * @param {number} defaultVersion - Version assumed when the payload has none
+ * @returns {number|undefined} Version, or undefined if unsupported
+ */
+const resolveVersion = (payload, defaultVersion) => {
+  const raw = payload.v !== undefined ? payload.v : payload.schemaVersion;
+  if (raw === undefined) return defaultVersion;
+  const version = toNumber(raw);
+  return SUPPORTED_VERSIONS.includes(version) ? version : undefined;
+};
+
+/**
+ * Parses a device-supplied timestamp
+ *
+ * Accepts ISO strings, epoch milliseconds and epoch seconds.
+ *
+ * @param {*} value - Raw timestamp
+ * @returns {Date|undefined} Parsed date, or undefined if invalid
+ */
+const parseTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = toNumber(value);
+  let date;
+  if (n !== undefined) {
+    // Anything below 1e11 is too small to be epoch ms for a recent date
+    date = new Date(n < 1e11 ? n * 1000 : n);
+  } else {
+    date = new Date(value);
+  }
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Normalizes a raw telemetry payload onto the canonical Sensor fields
+ *
+ * Maps aliases, converts units, coerces numbers and then runs the Sensor
+ * model's own validators so range rules live in one place.
+ *
+ * @param {Object} payload - Parsed JSON payload
+ * @param {Object} [options]
+ * @param {Date} [options.receivedAt=new Date()] - Server receive time, used
+ *   when the payload carries no device timestamp
+ * @param {number} [options.defaultVersion=0] - Version assumed for payloads
+ *   without `v`; live firmware traffic defaults to legacy v0
+ * @returns {{ok: true, version: number, value: Object} |
+ *           {ok: false, version?: number, reasons: Array<Object>}}
+ *
+ * @example
+ * normalizeTelemetry({ temperature_celsius: '24.5', tds_value: 310, speed: 3.7 });
+ * // => { ok: true, version: 0,
+ * //      value: { temperature: 24.5, TDS_Value: 310, speed: 1.99..., timestamp: ... } }
+ */
+const normalizeTelemetry = (payload, { receivedAt = new Date(), defaultVersion = 0 } = {}) => {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return {
+      ok: false,
+      reasons: [reason('*', 'invalid_payload', 'Telemetry payload must be a JSON object')],
+    };
+  }
+
+  const version = resolveVersion(payload, defaultVersion);
+  if (version === undefined) {
+    return {
+      ok: false,
+      reasons: [reason('v', 'unsupported_version',
+        `Unsupported schema version; expected one of ${SUPPORTED_VERSIONS.join(', ')}`)],
+    };
+  }
+
+  const value = {};
+  const reasons = [];
+
+  Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+    const alias = aliases.find(({ key }) => payload[key] !== undefined && payload[key] !== null);
+    if (!alias) return;
+
+    const number = toNumber(payload[alias.key]);
+    if (number === undefined) {
+      reasons.push(reason(alias.key, 'not_a_number', `${alias.key} must be a finite number`));
+      return;
+    }
+
+    let converted = alias.convert ? alias.convert(number) : number;
+    // v0 firmware reports GPS speed in km/h under the bare `speed` key
+    if (alias.legacySpeed && version === 0) converted *= KMH_TO_KNOTS;
+
+    value[field] = converted;
+  });
+
+  const deviceTime = payload.timestamp !== undefined ? payload.timestamp : payload.ts;
+  if (deviceTime !== undefined) {
+    const timestamp = parseTimestamp(deviceTime);
+    if (!timestamp) {
+      reasons.push(reason('timestamp', 'invalid_timestamp', 'timestamp is not a valid date'));
+    } else {
+      value.timestamp = timestamp;
+    }
+  }
+  if (!value.timestamp) value.timestamp = receivedAt;
+
+  if (reasons.length === 0 && !MEASUREMENT_FIELDS.some((field) => value[field] !== undefined)) {
+    reasons.push(reason('*', 'no_measurements',
+      'Payload contains no temperature, TDS or GPS reading'));
+  }
+
+  if (reasons.length === 0) {
+    const error = new Sensor(value).validateSync();
+    if (error) {
+      Object.values(error.errors).forEach((err) => {
+        reasons.push(reason(err.path, 'out_of_range', err.message));
+      });
+    }
+  }
+
+  if (reasons.length > 0) {
+    return { ok: false, version, reasons };
+  }
+
+  return { ok: true, version, value };
+};
+
+module.exports = {
+  SCHEMA_VERSION,
+  SUPPORTED_VERSIONS,
+  FIELD_ALIASES,
+  parseTimestamp,
+  normalizeTelemetry,
+};
@@ -0,0 +1,464 @@
+/**
+ * Telemetry Query
+ *
+ * Builds history queries over stored Sensor readings for the REST API:
+ * time-range/device/mission filters, spatial filters on the GeoJSON
+ * `position`, field selection, keyset (cursor) pagination, nearest-first
+ * radius searches and server-side downsampling into fixed-width buckets.
+ *
+ * Invalid query parameters throw an Error with `status = 400`, which the
+ * controllers (and the global error handler) turn into a client error.
+ *
+ * @module services/telemetryQuery
+ */
+
+const mongoose = require('mongoose');
+const Sensor = require('../model/dataModel');
+
+/**
+ * Numeric reading fields that can be selected and aggregated
+ * @constant {string[]}
+ */
+const METRIC_FIELDS = ['temperature', 'TDS_Value', 'latitude', 'longitude', 'speed'];
+
+/**
+ * Reference fields that can be selected alongside metrics
+ * @constant {string[]}
+ */
+const REFERENCE_FIELDS = ['device', 'mission'];
+
+/** Default and maximum page sizes */
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/** Maximum number of buckets a single aggregate request may produce */
+const MAX_BUCKETS = 10000;
+
+/** Maximum radius of a near-point search, in metres */
+const MAX_RADIUS_M = 50000;
+
+/** Maximum vertices accepted in a `polygon` parameter */
+const MAX_POLYGON_VERTICES = 500;
+
+/**
+ * Bucket unit sizes in milliseconds
+ * @constant {Object<string, number>}
+ */
+const BUCKET_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Creates a 400 error for an invalid query parameter
+ *
+ * @param {string} message - Explanation for the client
+ * @returns {Error}
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Parses an optional date query parameter
+ *
+ * @param {string} value - ISO date or epoch milliseconds
+ * @param {string} name - Parameter name (for error messages)
+ * @returns {Date|undefined}
+ * @throws {Error} 400 if the value is not a valid date
+ */
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`${name} must be an ISO date or epoch milliseconds`);
+  return date;
+};
+
+/**
+ * Parses an optional ObjectId query parameter
+ *
+ * @param {string} value - Raw value
+ * @param {string} name - Parameter name (for error messages)
+ * @returns {mongoose.Types.ObjectId|undefined}
+ * @throws {Error} 400 if the value is not a valid id
+ */
+const parseId = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  if (!mongoose.isValidObjectId(value)) throw badRequest(`${name} must be a valid id`);
+  return new mongoose.Types.ObjectId(value);
+};
+
+/**
+ * Parses a list of numbers separated by commas
+ *
+ * @param {string} value - Raw value
+ * @param {string} name - Parameter name (for error messages)
+ * @returns {number[]}
+ * @throws {Error} 400 if any entry is not a finite number
+ */
+const parseNumbers = (value, name) => {
+  const numbers = String(value).split(',').map((n) => (n.trim() === '' ? NaN : Number(n)));
+  if (numbers.some((n) => !Number.isFinite(n))) throw badRequest(`${name} must contain only numbers`);
+  return numbers;
+};
+
+/**
+ * Checks a longitude/latitude pair
+ *
+ * @param {number} longitude - Longitude
+ * @param {number} latitude - Latitude
+ * @param {string} name - Parameter name (for error messages)
+ * @throws {Error} 400 if either coordinate is out of range
+ */
+const assertLngLat = (longitude, latitude, name) => {
+  if (longitude < -180 || longitude > 180 || latitude < -90 || latitude > 90) {
+    throw badRequest(`${name} has coordinates out of range`);
+  }
+};
+
+/**
+ * Parses a bounding box into a GeoJSON Polygon
+ *
+ * Uses the GeoJSON bbox order, which is also what Leaflet's
+ * `map.getBounds().toBBoxString()` produces. Boxes crossing the
+ * antimeridian are not supported.
+ *
+ * @param {string} value - "minLng,minLat,maxLng,maxLat"
+ * @returns {{type: 'Polygon', coordinates: Array}}
+ * @throws {Error} 400 if the box is malformed
+ */
+const parseBbox = (value) => {
+  const numbers = parseNumbers(value, 'bbox');
+  if (numbers.length !== 4) throw badRequest('bbox must be minLng,minLat,maxLng,maxLat');
+  const [minLng, minLat, maxLng, maxLat] = numbers;
+  assertLngLat(minLng, minLat, 'bbox');
+  assertLngLat(maxLng, maxLat, 'bbox');
+  if (minLng >= maxLng || minLat >= maxLat) throw badRequest('bbox minimums must be below its maximums');
+
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat],
+    ]],
+  };
+};
+
+/**
+ * Parses a polygon into a GeoJSON Polygon
+ *
+ * The ring is closed automatically if the last vertex does not repeat the
+ * first.
+ *
+ * @param {string} value - "lng,lat;lng,lat;..." (at least three vertices)
+ * @returns {{type: 'Polygon', coordinates: Array}}
+ * @throws {Error} 400 if the polygon is malformed
+ */
+const parsePolygon = (value) => {
+  const ring = String(value).split(';').filter((pair) => pair.trim() !== '').map((pair) => {
+    const numbers = parseNumbers(pair, 'polygon');
+    if (numbers.length !== 2) throw badRequest('polygon vertices must be lng,lat pairs separated by ;');
+    assertLngLat(numbers[0], numbers[1], 'polygon');
+    return numbers;
+  });
+
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) ring.push([...first]);
+  if (ring.length < 4) throw badRequest('polygon needs at least three distinct vertices');
+  if (ring.length > MAX_POLYGON_VERTICES) {
+    throw badRequest(`polygon may have at most ${MAX_POLYGON_VERTICES} vertices`);
+  }
+
+  return { type: 'Polygon', coordinates: [ring] };
+};
+
+/**
+ * Builds the MongoDB filter shared by list, aggregate and export queries
+ *
+ * `bbox` and `polygon` restrict results to readings whose GPS fix lies in
+ * the area (readings without a fix never match).
+ *
+ * @param {Object} query - Request query
+ * @param {string} [query.from] - Range start (inclusive)
+ * @param {string} [query.to] - Range end (inclusive)
+ * @param {string} [query.device] - Device id
+ * @param {string} [query.mission] - Mission id
+ * @param {string} [query.bbox] - Bounding box (see parseBbox)
+ * @param {string} [query.polygon] - Polygon (see parsePolygon)
+ * @returns {Object} MongoDB filter
+ * @throws {Error} 400 on invalid parameters
+ */
+const buildFilter = (query) => {
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  if (from && to && from > to) throw badRequest('from must not be after to');
+
+  const filter = {};
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = from;
+    if (to) filter.timestamp.$lte = to;
+  }
+
+  const device = parseId(query.device, 'device');
+  if (device) filter.device = device;
+
+  const mission = parseId(query.mission, 'mission');
+  if (mission) filter.mission = mission;
+
+  if (query.bbox !== undefined && query.polygon !== undefined) {
+    throw badRequest('Use either bbox or polygon, not both');
+  }
+  if (query.bbox !== undefined || query.polygon !== undefined) {
+    const geometry = query.bbox !== undefined ? parseBbox(query.bbox) : parsePolygon(query.polygon);
+    filter.position = { $geoWithin: { $geometry: geometry } };
+  }
+
+  return filter;
+};
+
+/**
+ * Parses the `fields` parameter (comma-separated)
+ *
+ * @param {string} [value] - Raw value, e.g. "temperature,TDS_Value"
+ * @param {string[]} allowed - Fields that may be requested
+ * @returns {string[]} Requested fields, or all allowed fields when omitted
+ * @throws {Error} 400 on unknown fields
+ */
+const parseFields = (value, allowed) => {
+  if (value === undefined || value === '') return allowed;
+  const fields = String(value).split(',').map((f) => f.trim()).filter(Boolean);
+  const unknown = fields.filter((f) => !allowed.includes(f));
+  if (unknown.length) {
+    throw badRequest(`Unknown fields: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`);
+  }
+  return fields;
+};
+
+/**
+ * Encodes a pagination cursor from the last document of a page
+ *
+ * @param {{timestamp: Date, _id: ObjectId}} doc - Last document
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (doc) => Buffer.from(JSON.stringify({
+  t: doc.timestamp.getTime(),
+  id: String(doc._id),
+})).toString('base64url');
+
+/**
+ * Decodes a pagination cursor
+ *
+ * @param {string} cursor - Opaque cursor
+ * @returns {{timestamp: Date, _id: ObjectId}}
+ * @throws {Error} 400 if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Number.isFinite(t) || !mongoose.isValidObjectId(id)) throw new Error('bad cursor');
+    return { timestamp: new Date(t), _id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    throw badRequest('cursor is invalid');
+  }
+};
+
+/**
+ * Parses a bucket width such as "1s", "5m" or "1h"
+ *
+ * @param {string} value - Raw value
+ * @returns {number} Bucket width in milliseconds
+ * @throws {Error} 400 if the value is not a valid width
+ */
+const parseBucket = (value) => {
+  const match = /^(\d+)(ms|s|m|h|d)$/.exec(String(value || ''));
+  if (!match || Number(match[1]) === 0) {
+    throw badRequest('bucket must look like 1s, 30s, 1m, 15m, 1h or 1d');
+  }
+  return Number(match[1]) * BUCKET_UNITS[match[2]];
+};
+
+/**
+ * Fetches one page of readings
+ *
+ * Pages are keyed on (timestamp, _id) so they stay stable while new
+ * readings arrive.
+ *
+ * @async
+ * @param {Object} query - Request query (filters plus `fields`, `limit`,
+ *   `cursor` and `order` = asc|desc, default desc)
+ * @returns {Promise<{data: Object[], nextCursor: string|null}>}
+ * @throws {Error} 400 on invalid parameters
+ */
+const findPage = async (query) => {
+  const filter = buildFilter(query);
+  const fields = parseFields(query.fields, [...METRIC_FIELDS, ...REFERENCE_FIELDS]);
+  const order = query.order === 'asc' ? 1 : -1;
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  if (query.cursor) {
+    const after = decodeCursor(query.cursor);
+    const op = order === 1 ? '$gt' : '$lt';
+    filter.$and = [{
+      $or: [
+        { timestamp: { [op]: after.timestamp } },
+        { timestamp: after.timestamp, _id: { [op]: after._id } },
+      ],
+    }];
+  }
+
+  // Fetch one extra document to know whether another page exists
+  const docs = await Sensor.find(filter)
+    .select(['timestamp', ...fields].join(' '))
+    .sort({ timestamp: order, _id: order })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    data,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1]) : null,
+  };
+};
+
+/**
+ * Finds readings within a radius of a point, nearest first
+ *
+ * Each reading carries `distanceMeters` from the point. Other filters
+ * (time range, device, mission) still apply.
+ *
+ * @async
+ * @param {Object} query - Request query (filters plus `lat`, `lng`,
+ *   `radius` in metres, `fields` and `limit`)
+ * @returns {Promise<{data: Object[]}>}
+ * @throws {Error} 400 on invalid parameters
+ *
+ * @example
+ * await findNear({ lat: '31.9686', lng: '35.9163', radius: '200' });
+ * // => { data: [{ _id, timestamp, distanceMeters: 12.4, temperature: 24.1, ... }, ...] }
+ */
+const findNear = async (query) => {
+  if (query.lat === undefined || query.lng === undefined || query.radius === undefined) {
+    throw badRequest('lat, lng and radius are required');
+  }
+  const [latitude] = parseNumbers(query.lat, 'lat');
+  const [longitude] = parseNumbers(query.lng, 'lng');
+  assertLngLat(longitude, latitude, 'lat/lng');
+  const [radius] = parseNumbers(query.radius, 'radius');
+  if (radius <= 0 || radius > MAX_RADIUS_M) {
+    throw badRequest(`radius must be between 0 and ${MAX_RADIUS_M} metres`);
+  }
+
+  const filter = buildFilter(query);
+  if (filter.position) throw badRequest('bbox and polygon cannot be combined with a radius search');
+  const fields = parseFields(query.fields, [...METRIC_FIELDS, ...REFERENCE_FIELDS]);
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  const project = { timestamp: 1, distanceMeters: 1 };
+  fields.forEach((field) => { project[field] = 1; });
+
+  const data = await Sensor.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [longitude, latitude] },
+        key: 'position',
+        distanceField: 'distanceMeters',
+        maxDistance: radius,
+        spherical: true,
+        query: filter,
+      },
+    },
+    { $limit: limit },
+    { $project: project },
+  ]);
+
+  return { data };
+};
+
+/**
+ * Downsamples readings into fixed-width time buckets with min/max/avg
+ *
+ * @async
+ * @param {Object} query - Request query (filters plus `bucket` and `fields`;
+ *   `from` and `to` are required so the bucket count is bounded)
+ * @returns {Promise<{bucketMs: number, buckets: Object[]}>}
+ * @throws {Error} 400 on invalid parameters
+ *
+ * @example
+ * await aggregateBuckets({ from: '2024-05-01T10:00Z', to: '2024-05-01T11:00Z',
+ *   bucket: '1m', fields: 'temperature' });
+ * // => { bucketMs: 60000, buckets: [
+ * //      { t: Date, count: 118, temperature: { min: 24.1, max: 24.6, avg: 24.3 } }, ...] }
+ */
+const aggregateBuckets = async (query) => {
+  if (!query.from || !query.to) throw badRequest('from and to are required for aggregation');
+
+  const filter = buildFilter(query);
+  const bucketMs = parseBucket(query.bucket);
+  const fields = parseFields(query.fields, METRIC_FIELDS);
+
+  const span = filter.timestamp.$lte - filter.timestamp.$gte;
+  if (span / bucketMs > MAX_BUCKETS) {
+    throw badRequest(`Too many buckets; use a wider bucket (max ${MAX_BUCKETS} per request)`);
+  }
+
+  const group = { _id: '$bucket', count: { $sum: 1 } };
+  fields.forEach((field) => {
+    group[`${field}_min`] = { $min: `$${field}` };
+    group[`${field}_max`] = { $max: `$${field}` };
+    group[`${field}_avg`] = { $avg: `$${field}` };
+  });
+
+  const epoch = { $toLong: '$timestamp' };
+  const rows = await Sensor.aggregate([
+    { $match: filter },
+    { $addFields: { bucket: { $subtract: [epoch, { $mod: [epoch, bucketMs] }] } } },
+    { $group: group },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const buckets = rows.map((row) => {
+    const bucket = { t: new Date(row._id), count: row.count };
+    fields.forEach((field) => {
+      bucket[field] = {
+        min: row[`${field}_min`],
+        max: row[`${field}_max`],
+        avg: row[`${field}_avg`],
+      };
+    });
+    return bucket;
+  });
+
+  return { bucketMs, buckets };
+};
+
+module.exports = {
+  METRIC_FIELDS,
+  REFERENCE_FIELDS,
+  badRequest,
+  parseDate,
+  parseId,
+  buildFilter,
+  parseFields,
+  parseBucket,
+  parseBbox,
+  parsePolygon,
+  findPage,
+  findNear,
+  aggregateBuckets,
+};
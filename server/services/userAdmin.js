@@ -0,0 +1,391 @@
+/**
+ * User Administration
+ *
+ * Account management for the admin console: listing and searching users,
+ * changing roles, deactivating and reactivating accounts, forcing password
+ * resets and deleting users. Every change is written to the audit trail
+ * (model/auditLogModel). Admins can also review login attempts
+ * (model/loginEventModel).
+ *
+ * Admins cannot demote, deactivate or delete themselves, and the last
+ * active admin cannot be demoted, deactivated or deleted, so the console
+ * can never lock every admin out.
+ *
+ * Errors carry an HTTP `status` for the controller.
+ *
+ * @module services/userAdmin
+ */
+
+const mongoose = require('mongoose');
+const User = require('../model/userModel');
+const AuditLog = require('../model/auditLogModel');
+const LoginEvent = require('../model/loginEventModel');
+const { forceReset } = require('./passwordReset');
+const { removePicture } = require('./accountProfile');
+
+const { USER_ROLES } = User;
+const { AUDIT_ACTIONS } = AuditLog;
+const { LOGIN_FAILURES } = LoginEvent;
+
+/** Default and maximum page sizes */
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Account status filters of the user list
+ * @constant {Object<string, string>}
+ */
+const USER_STATUSES = {
+  ACTIVE: 'active',
+  INACTIVE: 'inactive',
+};
+
+/**
+ * Result filters of the login attempts log
+ * @constant {Object<string, string>}
+ */
+const LOGIN_RESULTS = {
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  LOCKED: 'locked',
+};
+
+/**
+ * Builds an error carrying an HTTP status for the controller
+ *
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const adminError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Escapes text for use inside a regular expression
+ *
+ * @param {string} text - Raw search text
+ * @returns {string}
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Reads a page number and size from query parameters
+ *
+ * @param {Object} query - `page` and `limit`
+ * @returns {{page: number, limit: number}}
+ */
+const readPage = ({ page, limit }) => ({
+  page: Math.max(parseInt(page, 10) || 1, 1),
+  limit: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+});
+
+/**
+ * Lists users, newest first
+ *
+ * Unknown filter values are ignored rather than rejected, like the other
+ * dashboard pages.
+ *
+ * @async
+ * @param {Object} query
+ * @param {string} [query.q] - Text matched against first name, last name and email
+ * @param {string} [query.role] - One of USER_ROLES
+ * @param {string} [query.status] - One of USER_STATUSES
+ * @param {number|string} [query.page] - Page number, from 1
+ * @param {number|string} [query.limit] - Users per page
+ * @returns {Promise<{users: User[], total: number, page: number, pages: number, limit: number, filters: Object}>}
+ */
+const listUsers = async (query = {}) => {
+  const filters = {
+    q: typeof query.q === 'string' ? query.q.trim().slice(0, 100) : '',
+    role: Object.values(USER_ROLES).includes(query.role) ? query.role : '',
+    status: Object.values(USER_STATUSES).includes(query.status) ? query.status : '',
+  };
+  const { page, limit } = readPage(query);
+
+  const filter = {};
+  if (filters.q) {
+    const pattern = new RegExp(escapeRegex(filters.q), 'i');
+    filter.$or = [{ firstName: pattern }, { lastName: pattern }, { email: pattern }];
+  }
+  if (filters.role) filter.role = filters.role;
+  // Accounts created before isActive was used have no value: they are active
+  if (filters.status === USER_STATUSES.ACTIVE) filter.isActive = { $ne: false };
+  if (filters.status === USER_STATUSES.INACTIVE) filter.isActive = false;
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .select('+isActive')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(filter),
+  ]);
+
+  return { users, total, page, pages: Math.max(Math.ceil(total / limit), 1), limit, filters };
+};
+
+/**
+ * Lists audit trail entries, newest first
+ *
+ * @async
+ * @param {Object} query
+ * @param {string} [query.target] - Only entries about this user id
+ * @param {number|string} [query.page] - Page number, from 1
+ * @param {number|string} [query.limit] - Entries per page
+ * @returns {Promise<{entries: AuditLog[], total: number, page: number, pages: number, limit: number, target: string}>}
+ */
+const listAudit = async (query = {}) => {
+  const target = mongoose.isValidObjectId(query.target) ? String(query.target) : '';
+  const { page, limit } = readPage(query);
+  const filter = target ? { target } : {};
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  return { entries, total, page, pages: Math.max(Math.ceil(total / limit), 1), limit, target };
+};
+
+/**
+ * Lists login attempts, newest first
+ *
+ * @async
+ * @param {Object} query
+ * @param {string} [query.email] - Text matched against the email entered
+ * @param {string} [query.ip] - Client address
+ * @param {string} [query.result] - One of LOGIN_RESULTS
+ * @param {number|string} [query.page] - Page number, from 1
+ * @param {number|string} [query.limit] - Attempts per page
+ * @returns {Promise<{attempts: LoginEvent[], total: number, page: number, pages: number, limit: number, filters: Object}>}
+ */
+const listLoginAttempts = async (query = {}) => {
+  const filters = {
+    email: typeof query.email === 'string' ? query.email.trim().slice(0, 100) : '',
+    ip: typeof query.ip === 'string' ? query.ip.trim().slice(0, 64) : '',
+    result: Object.values(LOGIN_RESULTS).includes(query.result) ? query.result : '',
+  };
+  const { page, limit } = readPage(query);
+
+  const filter = {};
+  if (filters.email) filter.email = new RegExp(escapeRegex(filters.email), 'i');
+  if (filters.ip) filter.ip = filters.ip;
+  if (filters.result === LOGIN_RESULTS.SUCCEEDED) filter.success = true;
+  if (filters.result === LOGIN_RESULTS.FAILED) filter.success = false;
+  if (filters.result === LOGIN_RESULTS.LOCKED) filter.failure = LOGIN_FAILURES.LOCKED;
+
+  const [attempts, total] = await Promise.all([
+    LoginEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    LoginEvent.countDocuments(filter),
+  ]);
+
+  return { attempts, total, page, pages: Math.max(Math.ceil(total / limit), 1), limit, filters };
+};
+
+/**
+ * Loads the user an action applies to
+ *
+ * @async
+ * @param {string} id - User id
+ * @returns {Promise<User>}
+ * @throws {Error} 404 if there is no such user
+ */
+const findTarget = async (id) => {
+  const user = mongoose.isValidObjectId(id) ? await User.findById(id).select('+isActive') : null;
+  if (!user) throw adminError(404, 'User not found');
+  return user;
+};
+
+/**
+ * Refuses actions an admin tries on their own account
+ *
+ * @param {User} actor - Admin making the change
+ * @param {User} target - Account being changed
+ * @param {string} verb - Action for the message (e.g. "deactivate")
+ * @throws {Error} 400
+ */
+const ensureNotSelf = (actor, target, verb) => {
+  if (actor._id.equals(target._id)) {
+    throw adminError(400, `You cannot ${verb} your own account`);
+  }
+};
+
+/**
+ * Refuses to take away the last active admin
+ *
+ * @async
+ * @param {User} target - Account losing its admin rights
+ * @throws {Error} 409 if no other active admin would remain
+ */
+const ensureAnotherAdmin = async (target) => {
+  if (target.role !== USER_ROLES.ADMIN || target.isActive === false) return;
+
+  const others = await User.countDocuments({
+    _id: { $ne: target._id },
+    role: USER_ROLES.ADMIN,
+    isActive: { $ne: false },
+  });
+  if (others === 0) {
+    throw adminError(409, `${target.email} is the last active admin`);
+  }
+};
+
+/**
+ * Writes an audit trail entry
+ *
+ * @async
+ * @param {User} actor - Admin who made the change
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {User} target - Account the change applied to
+ * @param {Object} [details] - Action specifics
+ * @param {Object} [context] - Request context (`ip`)
+ * @returns {Promise<AuditLog>}
+ */
+const record = (actor, action, target, details = {}, { ip } = {}) => {
+  console.log(`[UserAdmin] ${actor.email} ${action} ${target.email}`, details);
+  return AuditLog.create({
+    actor: actor._id,
+    actorEmail: actor.email,
+    action,
+    target: target._id,
+    targetEmail: target.email,
+    targetName: target.fullName,
+    details,
+    ip,
+  });
+};
+
+/**
+ * Changes a user's role
+ *
+ * @async
+ * @param {User} actor - Admin making the change
+ * @param {string} id - User id
+ * @param {string} role - New role (one of USER_ROLES)
+ * @param {Object} [context] - Request context (`ip`)
+ * @returns {Promise<User>} The updated user
+ * @throws {Error} 400 for an unknown role or the admin's own account, 404, 409
+ */
+const changeRole = async (actor, id, role, context) => {
+  if (!Object.values(USER_ROLES).includes(role)) {
+    throw adminError(400, `Role must be one of: ${Object.values(USER_ROLES).join(', ')}`);
+  }
+
+  const target = await findTarget(id);
+  if (target.role === role) return target;
+  ensureNotSelf(actor, target, 'change the role of');
+  if (role !== USER_ROLES.ADMIN) await ensureAnotherAdmin(target);
+
+  const from = target.role;
+  await User.updateOne({ _id: target._id }, { $set: { role } });
+  target.role = role;
+  await record(actor, AUDIT_ACTIONS.ROLE_CHANGED, target, { from, to: role }, context);
+  return target;
+};
+
+/**
+ * Deactivates or reactivates an account
+ *
+ * A deactivated user cannot log in, and their sessions stop working at
+ * once (see User.findBySession).
+ *
+ * @async
+ * @param {User} actor - Admin making the change
+ * @param {string} id - User id
+ * @param {boolean} active - Whether the account should be active
+ * @param {Object} [context] - Request context (`ip`)
+ * @returns {Promise<User>} The updated user
+ * @throws {Error} 400 for the admin's own account, 404, 409
+ */
+const setActive = async (actor, id, active, context) => {
+  const target = await findTarget(id);
+  if ((target.isActive !== false) === active) return target;
+  ensureNotSelf(actor, target, active ? 'reactivate' : 'deactivate');
+  if (!active) await ensureAnotherAdmin(target);
+
+  await User.updateOne({ _id: target._id }, { $set: { isActive: active } });
+  target.isActive = active;
+  await record(actor, active ? AUDIT_ACTIONS.REACTIVATED : AUDIT_ACTIONS.DEACTIVATED, target, {}, context);
+  return target;
+};
+
+/**
+ * Forces a password reset (see services/passwordReset.forceReset)
+ *
+ * @async
+ * @param {User} actor - Admin making the change
+ * @param {string} id - User id
+ * @param {Object} [context] - Request context (`ip`)
+ * @returns {Promise<User>} The user
+ * @throws {Error} 404, 503 if reset links are unavailable
+ */
+const forcePasswordReset = async (actor, id, context) => {
+  const target = await findTarget(id);
+  await forceReset(target);
+  await record(actor, AUDIT_ACTIONS.PASSWORD_RESET_FORCED, target, {}, context);
+  return target;
+};
+
+/**
+ * Deletes a user
+ *
+ * Their uploaded profile picture is deleted. Records they created
+ * (missions, commands, media) keep pointing at the deleted id; the audit trail keeps the user's name and email.
+ *
+ * @async
+ * @param {User} actor - Admin making the change
+ * @param {string} id - User id
+ * @param {Object} [context] - Request context (`ip`)
+ * @returns {Promise<User>} The deleted user
+ * @throws {Error} 400 for the admin's own account, 404, 409
+ */
+const deleteUser = async (actor, id, context) => {
+  const target = await findTarget(id);
+  ensureNotSelf(actor, target, 'delete');
+  await ensureAnotherAdmin(target);
+
+  await User.deleteOne({ _id: target._id });
+  await removePicture(target);
+  await record(actor, AUDIT_ACTIONS.DELETED, target, { role: target.role }, context);
+  return target;
+};
+
+/**
+ * Closes a user's open dashboard WebSockets, e.g. after their session was
+ * ended or their permissions changed (a reconnect picks up the new state)
+ *
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @param {User} user - Account whose connections should be dropped
+ * @param {string} reason - Close reason sent to the client
+ * @returns {number} Number of connections closed
+ */
+const disconnectUser = (wss, user, reason) => {
+  let closed = 0;
+  if (!wss) return closed;
+
+  wss.clients.forEach((client) => {
+    if (client.user && client.user._id.equals(user._id)) {
+      client.close(4001, reason);
+      closed++;
+    }
+  });
+  return closed;
+};
+
+module.exports = {
+  USER_STATUSES,
+  LOGIN_RESULTS,
+  listUsers,
+  listAudit,
+  listLoginAttempts,
+  changeRole,
+  setActive,
+  forcePasswordReset,
+  deleteUser,
+  disconnectUser,
+};
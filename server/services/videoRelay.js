@@ -0,0 +1,136 @@
+/**
+ * Video Relay
+ *
+ * Forwards camera frames from vision nodes to dashboards subscribed to the
+ * `video` channel without letting a fast camera or a slow viewer back the
+ * server up:
+ * - Each camera stream is relayed at most VIDEO_MAX_FPS frames per second.
+ *   A frame that arrives before its slot replaces the pending one, so
+ *   viewers always get the newest frame instead of a queue of old ones.
+ * - A viewer whose socket still has more than VIDEO_MAX_BUFFERED_BYTES
+ *   waiting to go out skips frames until it has caught up.
+ *
+ * Frames are relayed in the form they arrived: binary frames (see
+ * utils/videoFrame) go out binary, JSON frames as `video_frame` envelopes.
+ * Either way the relay renumbers `seq` per stream, so a viewer can count
+ * the frames it missed from the gaps. Every relayed frame is also handed to
+ * services/mediaRecorder for snapshots and clips.
+ *
+ * @module services/videoRelay
+ */
+
+const { MESSAGE_TYPES, CHANNELS, broadcast, broadcastBinary } = require('./messageHub');
+const { encodeFrame } = require('../utils/videoFrame');
+const { captureFrame } = require('./mediaRecorder');
+
+/**
+ * Highest relay rate per camera stream (frames per second)
+ * @constant {number}
+ */
+const MAX_FPS = Number(process.env.VIDEO_MAX_FPS) || 10;
+
+/**
+ * Unsent bytes above which a viewer skips frames
+ * @constant {number}
+ */
+const MAX_BUFFERED_BYTES = Number(process.env.VIDEO_MAX_BUFFERED_BYTES) || 1024 * 1024;
+
+/**
+ * Relay state per vision connection, then per stream (camera) id
+ * @type {Map<WebSocket, Map<number, {device: Document, lastSentAt: number, pending: Object|null, timer: Timeout|null, seq: number}>>}
+ */
+const streams = new Map();
+
+/**
+ * Returns the relay state of one camera stream, creating it on first use
+ * (the connection's streams are cleaned up when it closes)
+ *
+ * @param {WebSocket} ws - Vision node connection
+ * @param {number} streamId - Camera on the vision node
+ * @returns {Object}
+ */
+const streamOf = (ws, streamId) => {
+  let byId = streams.get(ws);
+  if (!byId) {
+    byId = new Map();
+    streams.set(ws, byId);
+    ws.once('close', () => {
+      byId.forEach((stream) => clearTimeout(stream.timer));
+      streams.delete(ws);
+    });
+  }
+
+  let stream = byId.get(streamId);
+  if (!stream) {
+    stream = { device: ws.device, lastSentAt: 0, pending: null, timer: null, seq: 0 };
+    byId.set(streamId, stream);
+  }
+  return stream;
+};
+
+/**
+ * Whether a viewer keeps up with the stream
+ *
+ * @param {WebSocket} client - Viewer connection
+ * @returns {boolean}
+ */
+const keepsUp = (client) => client.bufferedAmount <= MAX_BUFFERED_BYTES;
+
+/**
+ * Sends the pending frame of a stream to every viewer that keeps up
+ *
+ * @param {Object} stream - Relay state
+ * @param {WebSocket.Server} wss - WebSocket server
+ * @returns {number} Number of viewers the frame was sent to
+ */
+const flush = (stream, wss) => {
+  const frame = stream.pending;
+  stream.pending = null;
+  stream.timer = null;
+  if (!frame) return 0;
+
+  stream.lastSentAt = Date.now();
+  stream.seq = (stream.seq + 1) >>> 0;
+  captureFrame(stream.device, frame);
+
+  if (frame.binary) {
+    const data = encodeFrame({ streamId: frame.stream, seq: stream.seq, capturedAt: frame.capturedAt }, frame.image);
+    return broadcastBinary(wss, CHANNELS.VIDEO, data, { filter: keepsUp });
+  }
+
+  return broadcast(wss, CHANNELS.VIDEO, MESSAGE_TYPES.VIDEO_FRAME, {
+    ...frame,
+    seq: stream.seq,
+    relayedAt: new Date(stream.lastSentAt).toISOString(),
+  }, { filter: keepsUp });
+};
+
+/**
+ * Queues a frame from a vision node for relay
+ *
+ * The frame goes out immediately if the stream's rate allows, otherwise it
+ * waits for the next slot (replacing any frame already waiting).
+ *
+ * @param {WebSocket} ws - Vision node connection
+ * @param {Object} frame - JSON frame ({stream, image, device, capturedAt, receivedAt})
+ *   or binary frame ({binary: true, stream, image: Buffer, capturedAt: ms})
+ * @param {WebSocket.Server} wss - WebSocket server
+ */
+const relayFrame = (ws, frame, wss) => {
+  const stream = streamOf(ws, frame.stream);
+  stream.pending = frame;
+  if (stream.timer) return;
+
+  const wait = stream.lastSentAt + 1000 / MAX_FPS - Date.now();
+  if (wait <= 0) {
+    flush(stream, wss);
+  } else {
+    stream.timer = setTimeout(() => flush(stream, wss), wait);
+  }
+};
+
+module.exports = {
+  MAX_FPS,
+  MAX_BUFFERED_BYTES,
+  relayFrame,
+};
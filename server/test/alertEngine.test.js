@@ -0,0 +1,82 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const AlertRule = require('../model/alertRuleModel');
+const Alert = require('../model/alertModel');
+const { evaluateReading, invalidateRules } = require('../services/alertEngine');
+
+const { ALERT_STATES } = Alert;
+const wss = { clients: new Set() };
+const device = new mongoose.Types.ObjectId();
+const start = Date.UTC(2026, 4, 1, 10);
+
+describe('alert hysteresis', () => {
+  let created;
+
+  beforeEach(() => {
+    created = [];
+    const rule = new AlertRule({
+      name: 'Warm water',
+      metric: 'temperature',
+      comparison: 'gt',
+      threshold: 25,
+      hysteresis: 1,
+      minDurationSec: 10,
+      severity: 'warning',
+      enabled: true,
+    });
+    mock.method(AlertRule, 'find', async () => [rule]);
+    mock.method(Alert, 'findOne', async () => null);
+    mock.method(Alert, 'create', async (doc) => {
+      const alert = new Alert(doc);
+      created.push(alert);
+      return alert;
+    });
+    mock.method(Alert.prototype, 'save', async function () { return this; });
+    invalidateRules();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  /** Evaluates readings of the temperatures given, one second apart */
+  const feed = async (...temperatures) => {
+    for (const [i, temperature] of temperatures.entries()) {
+      await evaluateReading({ device, temperature, timestamp: new Date(start + i * 1000) }, wss);
+    }
+  };
+
+  it('opens an alert only once the breach has held for the minimum duration', async () => {
+    await feed(26, 26, 26, 26, 26, 26, 26, 26, 26, 26);
+    assert.strictEqual(created.length, 0);
+
+    invalidateRules();
+    await feed(26, 26, 26, 26, 26, 26, 26, 26, 26, 26, 26);
+    assert.strictEqual(created.length, 1);
+    assert.strictEqual(created[0].triggerValue, 26);
+  });
+
+  it('restarts the duration when the value drops back', async () => {
+    await feed(26, 26, 26, 26, 26, 24, 26, 26, 26, 26, 26, 26);
+    assert.strictEqual(created.length, 0);
+  });
+
+  it('keeps the alert open while the value stays inside the band', async () => {
+    await feed(...Array(11).fill(26), 27.5, 25, 24.5, 24, 26);
+    assert.strictEqual(created.length, 1);
+
+    const [alert] = created;
+    assert.notStrictEqual(alert.state, ALERT_STATES.RESOLVED);
+    assert.strictEqual(alert.peakValue, 27.5);
+    assert.strictEqual(alert.lastValue, 26);
+  });
+
+  it('resolves once the value clears the band, and opens a new alert on the next breach', async () => {
+    await feed(...Array(11).fill(26), 23.9);
+    const [alert] = created;
+    assert.strictEqual(alert.state, ALERT_STATES.RESOLVED);
+    assert.strictEqual(alert.lastValue, 23.9);
+
+    await feed(...Array(11).fill(26));
+    assert.strictEqual(created.length, 2);
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const mongoose = require('mongoose');
+
+// Read when the queue module loads
+process.env.COMMAND_QUEUE_TTL_MS = '500';
+
+const Command = require('../model/commandModel');
+const Device = require('../model/deviceModel');
+const {
+  QUEUE_TTL_MS, validateCommand, restoreQueues, issueCommand, handleCommandAck, deviceConnected,
+} = require('../services/commandQueue');
+
+const { COMMAND_NAMES, COMMAND_STATES } = Command;
+
+describe('validateCommand', () => {
+  it('cleans the arguments of a known command', () => {
+    assert.deepStrictEqual(validateCommand('set_interval', { intervalMs: '2000', extra: 1 }), {
+      ok: true,
+      value: { intervalMs: 2000 },
+    });
+    assert.deepStrictEqual(validateCommand('start_mission', { name: '  Harbour  ' }), {
+      ok: true,
+      value: { name: 'Harbour' },
+    });
+    assert.deepStrictEqual(validateCommand('ping'), { ok: true, value: {} });
+  });
+
+  it('refuses unknown commands and bad arguments', () => {
+    assert.deepStrictEqual(validateCommand('self_destruct').reasons, ['Unknown command: self_destruct']);
+    assert.deepStrictEqual(validateCommand('set_interval', {}).reasons, ['intervalMs is required']);
+    assert.deepStrictEqual(validateCommand('set_interval', { intervalMs: 50 }).reasons, [
+      'intervalMs must be a number from 200 to 3600000',
+    ]);
+    assert.deepStrictEqual(validateCommand('start_mission', { name: 'x'.repeat(101) }).reasons, [
+      'name cannot exceed 100 characters',
+    ]);
+  });
+});
+
+describe('command delivery', () => {
+  let wss;
+  let ws;
+
+  beforeEach(async () => {
+    const device = new Device({ name: `board-${new mongoose.Types.ObjectId()}`, kind: 'sensor_board' });
+    ws = { device, readyState: WebSocket.OPEN, sent: [], send(message) { this.sent.push(JSON.parse(message)); } };
+    wss = { clients: new Set([ws]) };
+
+    // Sets the timestamps the queue relies on, as Mongoose does
+    mock.method(Command.prototype, 'save', async function () {
+      if (!this.createdAt) this.createdAt = new Date();
+      return this;
+    });
+    mock.method(Device, 'findOne', async () => device);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const sentNames = () => ws.sent.map((message) => message.payload.name);
+  const ack = (message, payload = { status: 'ok' }) => handleCommandAck(ws, { id: message.id, payload }, wss);
+  const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+  it('sends one command at a time, in the order issued', async () => {
+    const first = await issueCommand(wss, { device: ws.device.name, name: COMMAND_NAMES.PING });
+    const second = await issueCommand(wss, { device: ws.device.name, name: COMMAND_NAMES.REBOOT });
+    await settle();
+
+    assert.deepStrictEqual(sentNames(), ['ping']);
+    assert.strictEqual(first.state, COMMAND_STATES.SENT);
+    assert.strictEqual(second.state, COMMAND_STATES.QUEUED);
+
+    assert.strictEqual(await ack(ws.sent[0], { status: 'ok', rtt: 12 }), true);
+    await settle();
+    assert.strictEqual(first.state, COMMAND_STATES.ACKED);
+    assert.deepStrictEqual(first.result, { rtt: 12 });
+    assert.deepStrictEqual(sentNames(), ['ping', 'reboot']);
+    assert.strictEqual(second.state, COMMAND_STATES.SENT);
+
+    await ack(ws.sent[1], { status: 'error', message: 'busy' });
+    assert.strictEqual(second.state, COMMAND_STATES.FAILED);
+    assert.strictEqual(second.error, 'busy');
+  });
+
+  it('ignores acks for anything but the command in flight', async () => {
+    const first = await issueCommand(wss, { device: ws.device.name, name: COMMAND_NAMES.PING });
+    await issueCommand(wss, { device: ws.device.name, name: COMMAND_NAMES.REBOOT });
+    await settle();
+
+    assert.strictEqual(await handleCommandAck(ws, { id: String(new mongoose.Types.ObjectId()) }, wss), false);
+    assert.strictEqual(await handleCommandAck(ws, { payload: { status: 'ok' } }, wss), false);
+    assert.strictEqual(first.state, COMMAND_STATES.SENT);
+    assert.deepStrictEqual(sentNames(), ['ping']);
+
+    await ack(ws.sent[0]);
+    assert.strictEqual(await ack(ws.sent[0]), false);
+    await settle();
+    await ack(ws.sent[1]);
+  });
+
+  it('times out a command whose device stays offline, without waiting for it to reconnect', async () => {
+    wss.clients.clear();
+    const command = await issueCommand(wss, { device: ws.device.name, name: COMMAND_NAMES.PING });
+    assert.strictEqual(command.state, COMMAND_STATES.QUEUED);
+
+    await new Promise((resolve) => setTimeout(resolve, QUEUE_TTL_MS + 100));
+    assert.strictEqual(command.state, COMMAND_STATES.TIMED_OUT);
+    assert.strictEqual(command.error, 'Device stayed offline');
+
+    wss.clients.add(ws);
+    await deviceConnected(ws, wss);
+    assert.deepStrictEqual(ws.sent, []);
+  });
+
+  it('sends commands stored before a restart ahead of newly issued ones', async () => {
+    const stored = new Command({ device: ws.device._id, name: COMMAND_NAMES.REBOOT, createdAt: new Date() });
+    const stale = new Command({ device: ws.device._id, name: COMMAND_NAMES.PING, state: COMMAND_STATES.SENT });
+    let load;
+    const loaded = new Promise((resolve) => { load = resolve; });
+    mock.method(Command, 'find', ({ state }) => (state === COMMAND_STATES.QUEUED
+      ? { sort: () => loaded.then(() => [stored]) }
+      : loaded.then(() => [stale])));
+
+    const restoring = restoreQueues(wss);
+    const connecting = deviceConnected(ws, wss);
+    const issuing = issueCommand(wss, { device: ws.device.name, name: COMMAND_NAMES.PING });
+    await settle();
+    assert.deepStrictEqual(ws.sent, []);
+
+    load();
+    await Promise.all([restoring, connecting]);
+    const issued = await issuing;
+    await settle();
+    assert.deepStrictEqual(sentNames(), ['reboot']);
+    assert.strictEqual(stale.state, COMMAND_STATES.TIMED_OUT);
+
+    await ack(ws.sent[0]);
+    await settle();
+    assert.deepStrictEqual(sentNames(), ['reboot', 'ping']);
+    await ack(ws.sent[1]);
+    assert.strictEqual(issued.state, COMMAND_STATES.ACKED);
+  });
+});
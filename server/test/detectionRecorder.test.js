@@ -0,0 +1,55 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Sensor = require('../model/dataModel');
+const Detection = require('../model/detectionModel');
+const { findNearestReading, recordDetections, normalizeDetections } = require('../services/detectionRecorder');
+
+const board = new mongoose.Types.ObjectId();
+const capturedAt = new Date('2026-05-01T10:00:00Z');
+let filters;
+
+beforeEach(() => {
+  mock.restoreAll();
+  filters = [];
+  mock.method(Sensor, 'findOne', (filter) => {
+    filters.push(filter);
+    return { sort: async () => null };
+  });
+});
+
+describe('findNearestReading', () => {
+  it('only matches readings of the given sensor board', async () => {
+    await findNearestReading(capturedAt, { device: board });
+    assert.strictEqual(filters.length, 2);
+    filters.forEach((filter) => assert.strictEqual(filter.device, board));
+  });
+
+  it('matches readings of any device without a board', async () => {
+    await findNearestReading(capturedAt);
+    filters.forEach((filter) => assert.ok(!('device' in filter)));
+  });
+
+  it('picks the reading closest in time', async () => {
+    const before = { timestamp: new Date(capturedAt.getTime() - 4000) };
+    const after = { timestamp: new Date(capturedAt.getTime() + 1000) };
+    mock.method(Sensor, 'findOne', (filter) => ({
+      sort: async () => (filter.timestamp.$lte && filter.timestamp.$gte ? before : after),
+    }));
+    assert.strictEqual(await findNearestReading(capturedAt), after);
+  });
+});
+
+describe('recordDetections', () => {
+  it('locates detections with the readings of the paired sensor board', async () => {
+    mock.method(Detection, 'insertMany', async (docs) => docs);
+    const camera = { _id: new mongoose.Types.ObjectId(), pairedDevice: board };
+    const { value } = normalizeDetections({
+      capturedAt: capturedAt.getTime(),
+      detections: [{ label: 'fish', confidence: 0.9, box: [1, 2, 3, 4] }],
+    });
+
+    await recordDetections(camera, value);
+    filters.forEach((filter) => assert.strictEqual(filter.device, board));
+  });
+});
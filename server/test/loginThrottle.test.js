@@ -0,0 +1,153 @@
+// Keep the progressive delay short so a burst of attempts finishes quickly
+process.env.LOGIN_DELAY_BASE_MS = '1';
+process.env.LOGIN_DELAY_MAX_MS = '2';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcrypt');
+const User = require('../model/userModel');
+const LoginEvent = require('../model/loginEventModel');
+const loginThrottle = require('../services/loginThrottle');
+const initPassport = require('../config/passport');
+
+const { LOGIN_LIMITS, STORES } = loginThrottle;
+const ACCOUNT_MAX = LOGIN_LIMITS.account.maxFailures;
+const IP_MAX = LOGIN_LIMITS.ip.maxFailures;
+
+const burst = (count, attempt) => Promise.all(Array.from({ length: count }, (_, i) => attempt(i)));
+const allowed = (results) => results.filter((result) => !result.lockedUntil).length;
+
+beforeEach(() => {
+  loginThrottle.setStore(STORES.memory());
+});
+
+describe('memory store', () => {
+  const policy = { windowMs: 60000, maxFailures: 2, lockoutMs: 30 };
+
+  it('locks a key once it passes maxFailures', async () => {
+    const store = STORES.memory();
+    assert.strictEqual((await store.hit('k', policy)).lockedUntil, null);
+    assert.strictEqual((await store.hit('k', policy)).lockedUntil, null);
+    const third = await store.hit('k', policy);
+    assert.ok(third.lockedUntil > Date.now());
+    // Attempts during the lockout are not counted
+    assert.strictEqual((await store.hit('k', policy)).failures, 3);
+  });
+
+  it('starts a new window once a lockout is over', async () => {
+    const store = STORES.memory();
+    await burst(3, () => store.hit('k', policy));
+    await new Promise((resolve) => setTimeout(resolve, 40));
+
+    const next = await store.hit('k', policy);
+    assert.strictEqual(next.failures, 1);
+    assert.strictEqual(next.lockedUntil, null);
+  });
+
+  it('release takes one attempt back and reset forgets the key', async () => {
+    const store = STORES.memory();
+    await store.hit('k', policy);
+    await store.hit('k', policy);
+    await store.release('k');
+    assert.strictEqual((await store.hit('k', policy)).failures, 2);
+    await store.reset('k');
+    assert.strictEqual((await store.hit('k', policy)).failures, 1);
+  });
+});
+
+describe('reserveLogin', () => {
+  it('lets only maxFailures of a concurrent burst on one account through', async () => {
+    const results = await burst(50, (i) => loginThrottle.reserveLogin(`10.0.0.${i}`, 'diver@example.com'));
+    assert.strictEqual(allowed(results), ACCOUNT_MAX);
+  });
+
+  it('lets only the address limit of a concurrent burst from one IP through', async () => {
+    const results = await burst(50, (i) => loginThrottle.reserveLogin('10.0.0.1', `diver${i}@example.com`));
+    assert.strictEqual(allowed(results), IP_MAX);
+  });
+
+  it('counts emails case-insensitively', async () => {
+    await burst(ACCOUNT_MAX, (i) => loginThrottle.reserveLogin(`10.0.0.${i}`, 'Diver@Example.com'));
+    const next = await loginThrottle.reserveLogin('10.0.1.1', ' diver@example.com ');
+    assert.ok(next.lockedUntil);
+  });
+
+  it('delays attempts once the free failures are used up', async () => {
+    const delays = [];
+    for (let i = 0; i < ACCOUNT_MAX; i++) {
+      delays.push((await loginThrottle.reserveLogin(`10.0.0.${i}`, 'diver@example.com')).delayMs);
+    }
+    const free = LOGIN_LIMITS.account.freeFailures;
+    assert.deepStrictEqual(delays.slice(0, free + 1), Array(free + 1).fill(0));
+    assert.ok(delays.slice(free + 1).every((delay) => delay > 0));
+  });
+
+  it('clears the account and gives the address its attempt back on success', async () => {
+    for (let i = 0; i < ACCOUNT_MAX - 1; i++) {
+      await loginThrottle.reserveLogin('10.0.0.1', 'diver@example.com');
+    }
+    await loginThrottle.recordSuccess('10.0.0.1', 'diver@example.com');
+
+    const results = await burst(ACCOUNT_MAX + 1, () => loginThrottle.reserveLogin('10.0.0.2', 'diver@example.com'));
+    assert.strictEqual(allowed(results), ACCOUNT_MAX);
+  });
+});
+
+describe('local strategy', () => {
+  let verify;
+  let compared;
+
+  beforeEach(async () => {
+    const password = await bcrypt.hash('correct horse', 4);
+    const user = { _id: 'u1', id: 'u1', email: 'diver@example.com', password, isActive: true };
+    mock.restoreAll();
+    mock.method(User, 'findOne', ({ email }) => ({
+      select: async () => (email === user.email ? user : null),
+    }));
+    mock.method(LoginEvent, 'create', async () => {});
+    compared = 0;
+    const compare = bcrypt.compare;
+    mock.method(bcrypt, 'compare', (...args) => {
+      compared++;
+      return compare(...args);
+    });
+
+    initPassport({
+      use: (strategy) => { verify = strategy._verify; },
+      serializeUser: () => {},
+      deserializeUser: () => {},
+    });
+  });
+
+  const login = (email, password, ip = '10.0.0.1') => new Promise((resolve, reject) => {
+    verify({ ip, get: () => 'test' }, email, password, (error, user, info) => (
+      error ? reject(error) : resolve({ user, message: info && info.message })
+    ));
+  });
+
+  it('checks at most maxFailures passwords of a concurrent burst', async () => {
+    const results = await burst(50, (i) => login('diver@example.com', `guess-${i}`, `10.0.0.${i}`));
+
+    assert.strictEqual(compared, ACCOUNT_MAX);
+    assert.ok(results.every((result) => result.user === false));
+    assert.strictEqual(results.filter((result) => result.message === 'Invalid email or password').length, ACCOUNT_MAX);
+  });
+
+  it('refuses the right password while the account is locked', async () => {
+    await burst(ACCOUNT_MAX, (i) => login('diver@example.com', 'wrong', `10.0.0.${i}`));
+    const result = await login('diver@example.com', 'correct horse', '10.0.1.1');
+    assert.strictEqual(result.user, false);
+    assert.match(result.message, /Too many failed login attempts/);
+  });
+
+  it('answers unknown emails like wrong passwords', async () => {
+    const unknown = await login('nobody@example.com', 'whatever');
+    const wrong = await login('diver@example.com', 'whatever');
+    assert.strictEqual(unknown.message, wrong.message);
+  });
+
+  it('logs in with the right password', async () => {
+    const result = await login('diver@example.com', 'correct horse');
+    assert.strictEqual(result.user.email, 'diver@example.com');
+  });
+});
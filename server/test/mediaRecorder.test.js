@@ -0,0 +1,56 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+process.env.MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'hydroquest-media-'));
+
+const Sensor = require('../model/dataModel');
+const Detection = require('../model/detectionModel');
+const Device = require('../model/deviceModel');
+const Media = require('../model/mediaModel');
+const { MEDIA_DIR, captureFrame, takeSnapshot } = require('../services/mediaRecorder');
+
+const camera = { _id: new mongoose.Types.ObjectId(), name: 'bow-camera' };
+const query = (result) => ({ select: () => ({ lean: async () => result }) });
+
+describe('takeSnapshot', () => {
+  let filters;
+
+  before(() => {
+    mock.method(Media.prototype, 'save', async function () { return this; });
+    mock.method(Detection, 'find', () => ({ sort: () => ({ limit: () => ({ select: async () => [] }) }) }));
+  });
+
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(MEDIA_DIR, { recursive: true, force: true });
+  });
+
+  const snapshot = async (pairing) => {
+    filters = [];
+    mock.method(Device, 'findById', () => query(pairing));
+    mock.method(Sensor, 'findOne', (filter) => {
+      filters.push(filter);
+      return { sort: async () => null };
+    });
+    captureFrame(camera, { image: Buffer.from('jpeg'), capturedAt: Date.now() });
+    return takeSnapshot({ device: camera._id });
+  };
+
+  it("locates the capture with the readings of the camera's paired sensor board", async () => {
+    const board = new mongoose.Types.ObjectId();
+    await snapshot({ _id: camera._id, pairedDevice: board });
+    assert.strictEqual(Device.findById.mock.calls[0].arguments[0], camera._id);
+    assert.strictEqual(filters.length, 2);
+    filters.forEach((filter) => assert.strictEqual(filter.device, board));
+  });
+
+  it('falls back to readings of any device while the camera is unpaired', async () => {
+    await snapshot({ _id: camera._id, pairedDevice: null });
+    assert.strictEqual(filters.length, 2);
+    filters.forEach((filter) => assert.ok(!('device' in filter)));
+  });
+});
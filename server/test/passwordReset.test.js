@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const User = require('../model/userModel');
+const mailer = require('../services/mailer');
+
+// APP_URL is read when the module loads
+const loadWithAppUrl = (value) => {
+  if (value === undefined) delete process.env.APP_URL;
+  else process.env.APP_URL = value;
+  delete require.cache[require.resolve('../services/passwordReset')];
+  return require('../services/passwordReset');
+};
+
+const account = { _id: 'u1', email: 'diver@example.com', firstName: 'Dana', isActive: true };
+let sent;
+let updates;
+
+beforeEach(() => {
+  mock.restoreAll();
+  sent = [];
+  updates = [];
+  mailer.setTransport({ send: async (message) => { sent.push(message); } });
+  mock.method(User, 'findOne', ({ email }) => ({
+    select: async () => (email === account.email ? account : null),
+  }));
+  mock.method(User, 'updateOne', async (filter, update) => { updates.push(update); });
+});
+
+describe('with APP_URL', () => {
+  it('points links at APP_URL', async () => {
+    const { requestReset } = loadWithAppUrl('https://hq.example.com/');
+    assert.strictEqual(await requestReset('diver@example.com'), true);
+    assert.match(sent[0].text, /https:\/\/hq\.example\.com\/auth\/reset\/[0-9a-f]{64}\n/);
+  });
+
+  it('keeps a path prefix', async () => {
+    const { forceReset } = loadWithAppUrl('https://example.com/hydroquest');
+    await forceReset(account);
+    assert.match(sent[0].text, /https:\/\/example\.com\/hydroquest\/auth\/reset\//);
+  });
+
+  it('refuses a value that is not an http(s) URL', () => {
+    assert.throws(() => loadWithAppUrl('hq.example.com'), /APP_URL/);
+    assert.throws(() => loadWithAppUrl('javascript:alert(1)'), /http or https/);
+  });
+});
+
+describe('without APP_URL', () => {
+  it('refuses every address alike and sends nothing', async () => {
+    const { requestReset } = loadWithAppUrl(undefined);
+    await assert.rejects(requestReset('diver@example.com'), { status: 503 });
+    await assert.rejects(requestReset('nobody@example.com'), { status: 503 });
+    assert.strictEqual(sent.length, 0);
+  });
+
+  it('leaves the password alone when forcing a reset', async () => {
+    const { forceReset } = loadWithAppUrl('');
+    await assert.rejects(forceReset(account), { status: 503 });
+    assert.strictEqual(updates.length, 0);
+  });
+});
+
+describe('in production', () => {
+  const withEnv = async (env, fn) => {
+    const saved = { NODE_ENV: process.env.NODE_ENV, MAIL_TRANSPORT: process.env.MAIL_TRANSPORT };
+    const apply = (values) => Object.entries(values).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+    apply(env);
+    mailer.setTransport(null);
+    try {
+      await fn();
+    } finally {
+      apply(saved);
+      mailer.setTransport(null);
+    }
+  };
+
+  const logsLink = (log) => log.mock.calls.some(({ arguments: args }) => /auth\/reset/.test(args.join(' ')));
+
+  it('refuses to send reset links through the log or a local file', async () => {
+    const { requestReset } = loadWithAppUrl('https://hq.example.com');
+    for (const transport of [undefined, 'console', 'file']) {
+      await withEnv({ NODE_ENV: 'production', MAIL_TRANSPORT: transport }, async () => {
+        const log = mock.method(console, 'log', () => {});
+        await assert.rejects(requestReset('diver@example.com'), { status: 503 });
+        assert.strictEqual(updates.length, 0);
+        assert.ok(!logsLink(log));
+        log.mock.restore();
+      });
+    }
+  });
+
+  it('still uses the console transport outside production', async () => {
+    const { requestReset } = loadWithAppUrl('https://hq.example.com');
+    await withEnv({ NODE_ENV: undefined, MAIL_TRANSPORT: undefined }, async () => {
+      const log = mock.method(console, 'log', () => {});
+      assert.strictEqual(await requestReset('diver@example.com'), true);
+      assert.ok(logsLink(log));
+      log.mock.restore();
+    });
+  });
+});
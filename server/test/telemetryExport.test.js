@@ -0,0 +1,79 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const mongoose = require('mongoose');
+const Sensor = require('../model/dataModel');
+const { streamExport } = require('../services/telemetryExport');
+
+/**
+ * Mocks Sensor.find with a cursor over `total` readings (endless if not
+ * given) that records when it is closed
+ */
+const mockCursor = (total = Infinity) => {
+  const cursor = {
+    closed: false,
+    close: async () => { cursor.closed = true; },
+    async *[Symbol.asyncIterator]() {
+      for (let i = 0; i < total && !cursor.closed; i++) {
+        yield {
+          _id: new mongoose.Types.ObjectId(),
+          timestamp: new Date(Date.UTC(2026, 4, 1) + i * 1000),
+          temperature: 12.5,
+          TDS_Value: 'x'.repeat(1000),
+        };
+      }
+    },
+  };
+  mock.method(Sensor, 'find', () => ({ sort: () => ({ lean: () => ({ cursor: () => cursor }) }) }));
+  return cursor;
+};
+
+/** Starts a server that exports CSV and resolves with its result */
+const exportServer = () => {
+  let done;
+  const result = new Promise((resolve) => { done = resolve; });
+  const server = http.createServer((req, res) => {
+    streamExport(res, { format: 'csv', filter: {}, name: 'export' }).then(done, done);
+  });
+  return { server, result };
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('streamExport', () => {
+  it('streams every reading and closes the cursor', async () => {
+    const cursor = mockCursor(3);
+    const { server, result } = exportServer();
+    server.listen(0);
+    await once(server, 'listening');
+
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/`);
+    const lines = (await response.text()).trim().split('\n');
+    server.close();
+
+    assert.strictEqual(await result, 3);
+    assert.strictEqual(lines.length, 4);
+    assert.ok(cursor.closed);
+  });
+
+  it('stops and closes the cursor when the client disconnects while the response is full', { timeout: 10000 }, async () => {
+    const cursor = mockCursor();
+    const { server, result } = exportServer();
+    server.listen(0);
+    await once(server, 'listening');
+
+    // Read the headers, never the body, so the response buffer fills up
+    const request = http.get(`http://127.0.0.1:${server.address().port}/`);
+    const [response] = await once(request, 'response');
+    response.pause();
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    request.destroy();
+
+    const count = await result;
+    server.close();
+
+    assert.ok(typeof count === 'number' && count > 0, `expected a count, got ${count}`);
+    assert.ok(cursor.closed);
+  });
+});
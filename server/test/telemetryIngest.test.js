@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { normalizeTelemetry, parseTimestamp } = require('../services/telemetryIngest');
+
+const receivedAt = new Date('2026-05-01T10:00:00Z');
+const codes = (result) => result.reasons.map(({ field, code }) => `${field}:${code}`);
+
+describe('normalizeTelemetry', () => {
+  it('maps aliases and coerces numeric strings', () => {
+    const result = normalizeTelemetry({ temperature_celsius: '24.5', tds: 310, lat: '48.1', lon: -1.6 }, { receivedAt });
+    assert.deepStrictEqual(result, {
+      ok: true,
+      version: 0,
+      value: { temperature: 24.5, TDS_Value: 310, latitude: 48.1, longitude: -1.6, timestamp: receivedAt },
+    });
+  });
+
+  it('uses the first alias present', () => {
+    const result = normalizeTelemetry({ temp: 10, temperature: 20 }, { receivedAt });
+    assert.strictEqual(result.value.temperature, 20);
+  });
+
+  it('converts units', () => {
+    const { value } = normalizeTelemetry({ temperature_kelvin: 300, speed_ms: 1 }, { receivedAt });
+    assert.ok(Math.abs(value.temperature - 26.85) < 1e-9);
+    assert.ok(Math.abs(value.speed - 3600 / 1852) < 1e-9);
+  });
+
+  it('reads the bare speed as km/h in v0 and as knots in v1', () => {
+    assert.ok(Math.abs(normalizeTelemetry({ temperature: 20, speed: 1.852 }).value.speed - 1) < 1e-9);
+    assert.strictEqual(normalizeTelemetry({ v: 1, temperature: 20, speed: 1.852 }).value.speed, 1.852);
+    assert.strictEqual(normalizeTelemetry({ temperature: 20, speed: 1.852 }, { defaultVersion: 1 }).version, 1);
+  });
+
+  it('takes the device timestamp over the receive time', () => {
+    const { value } = normalizeTelemetry({ temperature: 20, ts: 1714557600 }, { receivedAt });
+    assert.strictEqual(value.timestamp.toISOString(), '2024-05-01T10:00:00.000Z');
+  });
+
+  it('rejects what it cannot store, with a reason per field', () => {
+    assert.deepStrictEqual(codes(normalizeTelemetry(['temperature'])), ['*:invalid_payload']);
+    assert.deepStrictEqual(codes(normalizeTelemetry({ v: 7, temperature: 20 })), ['v:unsupported_version']);
+    assert.deepStrictEqual(codes(normalizeTelemetry({ speed: 3 })), ['*:no_measurements']);
+    assert.deepStrictEqual(
+      codes(normalizeTelemetry({ temperature: 'nan', tds: 'x', timestamp: 'never' })),
+      ['temperature:not_a_number', 'tds:not_a_number', 'timestamp:invalid_timestamp']
+    );
+    assert.deepStrictEqual(codes(normalizeTelemetry({ TDS_Value: -5 })), ['TDS_Value:out_of_range']);
+  });
+});
+
+describe('parseTimestamp', () => {
+  it('accepts ISO strings, epoch milliseconds and epoch seconds', () => {
+    const expected = '2026-05-01T10:00:00.000Z';
+    assert.strictEqual(parseTimestamp(expected).toISOString(), expected);
+    assert.strictEqual(parseTimestamp(receivedAt.getTime()).toISOString(), expected);
+    assert.strictEqual(parseTimestamp(String(receivedAt.getTime() / 1000)).toISOString(), expected);
+    assert.strictEqual(parseTimestamp(''), undefined);
+    assert.strictEqual(parseTimestamp('soon'), undefined);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * CSV Parsing
+ *
+ * Minimal RFC 4180 parser for imported telemetry logs: comma separated,
+ * double-quoted cells with "" escapes, CRLF or LF line endings.
+ *
+ * @module utils/csv
+ */
+
+/**
+ * Parses CSV text into records keyed by the header row
+ *
+ * Blank lines are skipped. Each record remembers the line it started on
+ * so import reports can point at the offending row.
+ *
+ * @param {string} text - CSV text including a header row
+ * @returns {Array<{line: number, values: Object<string, string>}>}
+ *
+ * @example
+ * parseCsv('timestamp,temperature\n2024-05-01T10:00:00Z,24.5\n');
+ * // => [{ line: 2, values: { timestamp: '2024-05-01T10:00:00Z', temperature: '24.5' } }]
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (!(row.length === 1 && row[0] === '')) rows.push({ line: rowLine, cells: row });
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      endCell();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  const [header, ...records] = rows;
+  if (!header) return [];
+  const columns = header.cells.map((c) => c.trim());
+
+  return records.map(({ line: recordLine, cells }) => ({
+    line: recordLine,
+    values: Object.fromEntries(columns.map((column, index) => [column, cells[index]])),
+  }));
+};
+
+module.exports = {
+  parseCsv,
+};
@@ -0,0 +1,97 @@
+/**
+ * Geographic Helpers
+ *
+ * Small spherical-earth helpers for working with the latitude/longitude
+ * pairs stored on Sensor readings.
+ *
+ * @module utils/geo
+ */
+
+/**
+ * Mean earth radius in metres
+ * @constant {number}
+ */
+const EARTH_RADIUS_M = 6371008.8;
+
+/**
+ * Converts degrees to radians
+ *
+ * @param {number} deg - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Checks that a point carries usable coordinates
+ *
+ * The firmware only sends readings once the GPS has a fix, but (0, 0) is
+ * what an uninitialised module reports, so it is treated as missing.
+ *
+ * @param {{latitude: number, longitude: number}} point
+ * @returns {boolean}
+ */
+const hasFix = (point) => Boolean(point)
+  && Number.isFinite(point.latitude)
+  && Number.isFinite(point.longitude)
+  && !(point.latitude === 0 && point.longitude === 0);
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ *
+ * @param {{latitude: number, longitude: number}} a - First point
+ * @param {{latitude: number, longitude: number}} b - Second point
+ * @returns {number} Distance in metres
+ */
+const distanceMeters = (a, b) => {
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Whether a point lies inside a linear ring (ray casting)
+ *
+ * Coordinates are treated as planar, which is accurate enough for fences
+ * a few kilometres across that do not straddle the antimeridian.
+ *
+ * @param {{latitude: number, longitude: number}} point - Point to test
+ * @param {Array<number[]>} ring - GeoJSON ring of [longitude, latitude] positions
+ * @returns {boolean}
+ */
+const ringContains = (point, ring) => {
+  const x = point.longitude;
+  const y = point.latitude;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Whether a point lies inside a GeoJSON polygon
+ *
+ * The first ring is the outer boundary; any further rings are holes.
+ *
+ * @param {{latitude: number, longitude: number}} point - Point to test
+ * @param {Array<Array<number[]>>} rings - GeoJSON Polygon coordinates
+ * @returns {boolean}
+ */
+const polygonContains = (point, rings) => {
+  const [outer, ...holes] = rings;
+  return ringContains(point, outer) && !holes.some((hole) => ringContains(point, hole));
+};
+
+module.exports = {
+  EARTH_RADIUS_M,
+  toRad,
+  hasFix,
+  distanceMeters,
+  polygonContains,
+};
@@ -0,0 +1,100 @@
+/**
+ * Binary Video Frame Codec
+ *
+ * Vision nodes can send frames as binary WebSocket messages instead of
+ * base64 JPEG inside JSON, saving about a third of the bandwidth and the
+ * JSON parse. A binary frame is a fixed header followed by the raw JPEG.
+ * All integers are big-endian:
+ *
+ * | Offset | Size | Field        | Notes                                   |
+ * | ------ | ---- | ------------ | --------------------------------------- |
+ * | 0      | 2    | magic        | ASCII "HQ"                              |
+ * | 2      | 1    | version      | 1                                       |
+ * | 3      | 1    | headerLength | Offset of the JPEG (20 in version 1)    |
+ * | 4      | 2    | streamId     | Camera on the vision node (uint16)      |
+ * | 6      | 2    | reserved     | 0                                       |
+ * | 8      | 4    | seq          | Frame sequence number (uint32)          |
+ * | 12     | 8    | capturedAt   | Capture time, ms since epoch (float64)  |
+ * | 20     | ...  | image        | JPEG bytes                              |
+ *
+ * `headerLength` lets later versions append header fields that older
+ * readers skip. The same layout is used to relay frames to dashboards.
+ *
+ * @module utils/videoFrame
+ */
+
+/**
+ * Frame magic bytes ("HQ")
+ * @constant {number}
+ */
+const FRAME_MAGIC = 0x4851;
+
+/**
+ * Current header version
+ * @constant {number}
+ */
+const FRAME_VERSION = 1;
+
+/**
+ * Header size of a version 1 frame in bytes
+ * @constant {number}
+ */
+const FRAME_HEADER_BYTES = 20;
+
+/**
+ * Parses a binary frame
+ *
+ * @param {Buffer} buffer - Raw WebSocket message
+ * @returns {{streamId: number, seq: number, capturedAt: number, image: Buffer}}
+ * @throws {Error} If the header is malformed or the frame has no image
+ */
+const decodeFrame = (buffer) => {
+  if (buffer.length < FRAME_HEADER_BYTES || buffer.readUInt16BE(0) !== FRAME_MAGIC) {
+    throw new Error('Not a video frame (bad magic)');
+  }
+
+  const version = buffer.readUInt8(2);
+  const headerLength = buffer.readUInt8(3);
+  if (version < FRAME_VERSION || headerLength < FRAME_HEADER_BYTES) {
+    throw new Error(`Unsupported frame header (version ${version}, ${headerLength} bytes)`);
+  }
+  if (buffer.length <= headerLength) {
+    throw new Error('Video frame has no image');
+  }
+
+  return {
+    streamId: buffer.readUInt16BE(4),
+    seq: buffer.readUInt32BE(8),
+    capturedAt: buffer.readDoubleBE(12),
+    image: buffer.subarray(headerLength),
+  };
+};
+
+/**
+ * Builds a version 1 binary frame
+ *
+ * @param {Object} header
+ * @param {number} [header.streamId=0] - Camera id (uint16)
+ * @param {number} header.seq - Sequence number (uint32, wraps)
+ * @param {number} [header.capturedAt] - Capture time in ms since epoch (NaN if unknown)
+ * @param {Buffer} image - JPEG bytes
+ * @returns {Buffer}
+ */
+const encodeFrame = ({ streamId = 0, seq, capturedAt = NaN }, image) => {
+  const header = Buffer.alloc(FRAME_HEADER_BYTES);
+  header.writeUInt16BE(FRAME_MAGIC, 0);
+  header.writeUInt8(FRAME_VERSION, 2);
+  header.writeUInt8(FRAME_HEADER_BYTES, 3);
+  header.writeUInt16BE(streamId, 4);
+  header.writeUInt32BE(seq >>> 0, 8);
+  header.writeDoubleBE(capturedAt, 12);
+  return Buffer.concat([header, image]);
+};
+
+module.exports = {
+  FRAME_MAGIC,
+  FRAME_VERSION,
+  FRAME_HEADER_BYTES,
+  decodeFrame,
+  encodeFrame,
+};